@@ -0,0 +1,175 @@
+// Annotations module - pen, highlighter, arrow, rectangle and spotlight drawn over the screen.
+// Points are fractions of the screen itself (after any crop, before the zoom), so annotations
+// stay on what they mark when the screen is zoomed, and follow the screen between scenes.
+
+export const TOOLS = ['pen', 'highlighter', 'arrow', 'rectangle', 'spotlight'];
+export const DEFAULT_ANNOTATION_SETTINGS = {
+    color: '#ef4444',
+    fadeSeconds: 5 // 0 keeps annotations until they're cleared
+};
+
+const FADE_OUT_MS = 600;
+const FULL_ZOOM = { x: 0, y: 0, size: 1 };
+const SPOTLIGHT_DIM = 0.65;
+
+let shapes = []; // { tool, color, points, endedAt }
+let current = null; // Shape being drawn
+let fadeSeconds = DEFAULT_ANNOTATION_SETTINGS.fadeSeconds;
+let changeListener = null;
+
+// Call a function whenever the annotations change (null stops). The compositor uses this to
+// pass them on to its worker.
+export function onChange(listener) {
+    changeListener = listener;
+}
+
+function notify() {
+    changeListener?.();
+}
+
+// The annotations as a plain object that can be posted to a worker
+export function getState() {
+    return { shapes, fadeSeconds };
+}
+
+// Replace the annotations with ones from getState() (in the compositor's worker)
+export function setState(state) {
+    shapes = state.shapes;
+    fadeSeconds = state.fadeSeconds;
+    current = null;
+}
+
+// Start a shape at a point ({ x, y } from 0 to 1)
+export function beginShape(tool, point, { color = DEFAULT_ANNOTATION_SETTINGS.color } = {}) {
+    if (!TOOLS.includes(tool)) return;
+    current = { tool, color, points: [point, point], endedAt: null };
+    shapes.push(current);
+    notify();
+}
+
+// Continue the shape being drawn (freehand tools add points, the others move their end)
+export function extendShape(point) {
+    if (!current) return;
+
+    if (current.tool === 'pen' || current.tool === 'highlighter') {
+        current.points.push(point);
+    } else {
+        current.points[1] = point;
+    }
+    notify();
+}
+
+// Finish the shape being drawn; its fade starts now
+export function endShape() {
+    if (!current) return;
+    current.endedAt = performance.now();
+    current = null;
+    notify();
+}
+
+// Remove the last shape
+export function undo() {
+    if (shapes[shapes.length - 1] === current) {
+        current = null;
+    }
+    shapes.pop();
+    notify();
+}
+
+// Remove every shape
+export function clear() {
+    shapes = [];
+    current = null;
+    notify();
+}
+
+// How long finished shapes stay before fading out (0 keeps them)
+export function setFadeSeconds(seconds) {
+    fadeSeconds = Math.max(0, Number(seconds) || 0);
+    notify();
+}
+
+// Opacity of a shape now (0 once it has faded)
+function getOpacity(shape, now) {
+    if (!fadeSeconds || shape.endedAt === null) return 1;
+    const fading = now - shape.endedAt - fadeSeconds * 1000;
+    return Math.max(0, 1 - Math.max(0, fading) / FADE_OUT_MS);
+}
+
+// Draw every annotation into the box the screen is shown in on a canvas ({ x, y, width, height }
+// in pixels), through the zoom it's shown with. `now` is on the clock of the page the
+// annotations were drawn on.
+export function drawAnnotations(ctx, box, now = performance.now(), zoom = FULL_ZOOM) {
+    shapes = shapes.filter(shape => getOpacity(shape, now) > 0);
+    if (shapes.length === 0) return;
+
+    const toCanvas = ({ x, y }) => [
+        box.x + (x - zoom.x) / zoom.size * box.width,
+        box.y + (y - zoom.y) / zoom.size * box.height
+    ];
+    const scale = box.width / zoom.size / 1000; // Line widths are set for a 1000 px wide screen
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(box.x, box.y, box.width, box.height);
+    ctx.clip();
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    for (const shape of shapes) {
+        ctx.globalAlpha = getOpacity(shape, now);
+        ctx.strokeStyle = shape.color;
+        ctx.fillStyle = shape.color;
+        const [start, end] = [toCanvas(shape.points[0]), toCanvas(shape.points[shape.points.length - 1])];
+
+        switch (shape.tool) {
+            case 'pen':
+            case 'highlighter': {
+                const highlighter = shape.tool === 'highlighter';
+                ctx.globalAlpha *= highlighter ? 0.35 : 1;
+                ctx.lineWidth = (highlighter ? 24 : 5) * scale;
+                ctx.beginPath();
+                ctx.moveTo(...start);
+                for (const point of shape.points.slice(1)) {
+                    ctx.lineTo(...toCanvas(point));
+                }
+                ctx.stroke();
+                break;
+            }
+
+            case 'arrow': {
+                const angle = Math.atan2(end[1] - start[1], end[0] - start[0]);
+                const head = 22 * scale;
+                ctx.lineWidth = 5 * scale;
+                ctx.beginPath();
+                ctx.moveTo(...start);
+                ctx.lineTo(...end);
+                ctx.stroke();
+                ctx.beginPath();
+                ctx.moveTo(...end);
+                ctx.lineTo(end[0] - head * Math.cos(angle - Math.PI / 6), end[1] - head * Math.sin(angle - Math.PI / 6));
+                ctx.lineTo(end[0] - head * Math.cos(angle + Math.PI / 6), end[1] - head * Math.sin(angle + Math.PI / 6));
+                ctx.closePath();
+                ctx.fill();
+                break;
+            }
+
+            case 'rectangle':
+                ctx.lineWidth = 5 * scale;
+                ctx.strokeRect(start[0], start[1], end[0] - start[0], end[1] - start[1]);
+                break;
+
+            case 'spotlight':
+                // Dim the whole screen except the region
+                ctx.globalAlpha *= SPOTLIGHT_DIM;
+                ctx.fillStyle = '#000';
+                ctx.beginPath();
+                ctx.rect(box.x, box.y, box.width, box.height);
+                ctx.rect(start[0], start[1], end[0] - start[0], end[1] - start[1]);
+                ctx.fill('evenodd');
+                break;
+        }
+    }
+
+    ctx.restore();
+}
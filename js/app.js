@@ -3,23 +3,61 @@
 import * as storage from './storage.js';
 import * as recorder from './recorder.js';
 import * as library from './library.js';
+import * as webm from './webm.js';
+import * as mp4 from './mp4-muxer.js';
+import * as quality from './quality.js';
+import * as audioProcessing from './audio-processing.js';
+import { createReplayBuffer } from './replay-buffer.js';
+import * as chromaKey from './chroma-key.js';
+import * as annotations from './annotations.js';
+import * as branding from './branding.js';
 
 // App state
-let state = 'loading'; // loading, unsupported, no-folder, ready, recording
+let state = 'loading'; // loading, unsupported, no-folder, ready, recording, paused, replay
 let timerInterval = null;
 let cameraPreviewStream = null;
 let micPreviewStream = null;
 let audioContext = null;
 let audioAnalyser = null;
+let processedAnalyser = null;
+let previewNodes = null; // { original, processed } the monitor can play
 let audioAnimationId = null;
-
-// Settings keys
+let mixerAnimationId = null;
+let toastTimeout = null;
+let deviceLists = { microphones: [], cameras: [] };
+let currentRecording = null; // { baseName, extension, seriesId, timestamp, kind, collection, streams, partSaves, savedFiles } while recording
+let replayBuffer = null; // Ring buffer of the last few minutes while instant replay runs
+let keyedPreview = null; // Green-screened camera preview while the key is on
+let folderImages = new Map(); // Decoded images from the folder by file name (backgrounds and logos)
+let annotationTool = null; // Annotation tool picked in the toolbar (null to move the camera bubble)
+let annotating = false; // Whether a shape is being drawn
+let zoomSelection = null; // { start } while a zoom region is dragged on the preview
+let overlayDrag = null; // { mode, startX, startY, layout } while the camera bubble is dragged
+let screenDrag = null; // { id, mode, startX, startY, rect, handle } while a screen is moved in the custom layout
+let layoutPreview = null; // { screenStream } while the camera bubble is arranged before recording
+let libraryRecordings = []; // Every recording in the folder, before the library filters
+let libraryView = { ...library.DEFAULT_LIBRARY_VIEW }; // Search, filters, sort and view of the library
+let thumbnails = new Map(); // Thumbnails by file name, size and date, so filtering doesn't redraw them
+let collections = []; // Names of the collections (subfolders) in the folder
+let currentCollection = null; // Collection shown in the library: null for all, '' for the top of the folder
+let workspaces = []; // Stored workspaces with whether their folder can be used: [{ id, name, handle, granted }]
+
+// Settings keys (each workspace has its own settings; the first keeps the key from before workspaces)
 const SETTINGS_KEY = 'unloom-settings';
 
+const DEFAULT_REPLAY_MINUTES = 5;
+const REPLAY_KEYFRAME_INTERVAL = 2000; // ms, so a replay starts at most this much before the chosen length
+const SLOW_FPS_RATIO = 0.8; // The frame rate is highlighted below this share of the target
+
+// Key of a workspace's settings (the open one's by default)
+function getSettingsKey(id = storage.getWorkspaceId()) {
+    return !id || id === storage.DEFAULT_WORKSPACE_ID ? SETTINGS_KEY : `${SETTINGS_KEY}-${id}`;
+}
+
 // Load saved settings
 function loadSettings() {
     try {
-        const saved = localStorage.getItem(SETTINGS_KEY);
+        const saved = localStorage.getItem(getSettingsKey());
         return saved ? JSON.parse(saved) : {};
     } catch {
         return {};
@@ -30,7 +68,7 @@ function loadSettings() {
 function saveSettings(settings) {
     try {
         const current = loadSettings();
-        localStorage.setItem(SETTINGS_KEY, JSON.stringify({ ...current, ...settings }));
+        localStorage.setItem(getSettingsKey(), JSON.stringify({ ...current, ...settings }));
     } catch {
         // Ignore storage errors
     }
@@ -49,22 +87,129 @@ async function init() {
         elements.changeFolderBtn = document.getElementById('change-folder-btn');
         elements.noFolderSection = document.getElementById('no-folder-section');
         elements.selectFolderBtn = document.getElementById('select-folder-btn');
+        elements.grantAccessBtn = document.getElementById('grant-access-btn');
+        elements.grantAccessLabel = document.getElementById('grant-access-label');
+        elements.workspaceBtn = document.getElementById('workspace-btn');
+        elements.workspaceName = document.getElementById('workspace-name');
+        elements.workspaceMenu = document.getElementById('workspace-menu');
+        elements.workspaceList = document.getElementById('workspace-list');
+        elements.addWorkspaceBtn = document.getElementById('add-workspace-btn');
         elements.readySection = document.getElementById('ready-section');
         elements.startRecordingBtn = document.getElementById('start-recording-btn');
+        elements.startReplayBtn = document.getElementById('start-replay-btn');
+        elements.replayLengthSelect = document.getElementById('replay-length-select');
         elements.recordingSection = document.getElementById('recording-section');
         elements.stopRecordingBtn = document.getElementById('stop-recording-btn');
+        elements.pauseRecordingBtn = document.getElementById('pause-recording-btn');
+        elements.pauseRecordingLabel = document.getElementById('pause-recording-label');
+        elements.saveReplayBtn = document.getElementById('save-replay-btn');
+        elements.stopReplayBtn = document.getElementById('stop-replay-btn');
         elements.recordingTimer = document.getElementById('recording-timer');
+        elements.recordingFps = document.getElementById('recording-fps');
+        elements.audioMixer = document.getElementById('audio-mixer');
+        elements.recordingDevices = document.getElementById('recording-devices');
+        elements.liveMicField = document.getElementById('live-mic-field');
+        elements.liveMicSelect = document.getElementById('live-mic-select');
+        elements.liveCameraField = document.getElementById('live-camera-field');
+        elements.liveCameraSelect = document.getElementById('live-camera-select');
+        elements.sceneSwitcher = document.getElementById('scene-switcher');
+        elements.sceneButtons = document.querySelectorAll('.scene-btn');
+        elements.overlayEditor = document.getElementById('overlay-editor');
+        elements.overlayOptions = document.getElementById('overlay-options');
+        elements.overlayStage = document.getElementById('overlay-stage');
+        elements.compositePreview = document.getElementById('composite-preview');
+        elements.overlayHandle = document.getElementById('overlay-handle');
+        elements.screenHandles = document.getElementById('screen-handles');
+        elements.screenSources = document.getElementById('screen-sources');
+        elements.screenLayoutSelect = document.getElementById('screen-layout-select');
+        elements.screenSourceList = document.getElementById('screen-source-list');
+        elements.addScreenBtn = document.getElementById('add-screen-btn');
+        elements.annotationTools = document.querySelectorAll('.annotation-tool');
+        elements.annotationColor = document.getElementById('annotation-color');
+        elements.annotationFade = document.getElementById('annotation-fade');
+        elements.zoomSelection = document.getElementById('zoom-selection');
+        elements.zoomToggleBtn = document.getElementById('zoom-toggle-btn');
+        elements.annotationUndo = document.getElementById('annotation-undo');
+        elements.annotationClear = document.getElementById('annotation-clear');
+        elements.overlayShapeSelect = document.getElementById('overlay-shape-select');
+        elements.overlayBorderColor = document.getElementById('overlay-border-color');
+        elements.toast = document.getElementById('toast');
         elements.libraryContainer = document.getElementById('library-container');
+        elements.libraryToolbar = document.getElementById('library-toolbar');
+        elements.librarySearch = document.getElementById('library-search');
+        elements.libraryFrom = document.getElementById('library-from');
+        elements.libraryTo = document.getElementById('library-to');
+        elements.libraryDuration = document.getElementById('library-duration');
+        elements.librarySize = document.getElementById('library-size');
+        elements.librarySort = document.getElementById('library-sort');
+        elements.libraryViewButtons = document.querySelectorAll('.library-view-btn');
+        elements.libraryCount = document.getElementById('library-count');
+        elements.collectionList = document.getElementById('collection-list');
+        elements.collectionHint = document.getElementById('collection-hint');
+        elements.newCollectionBtn = document.getElementById('new-collection-btn');
 
         // Device selection elements
         elements.micSelect = document.getElementById('mic-select');
         elements.micToggle = document.getElementById('mic-toggle');
-        elements.cameraToggle = document.getElementById('camera-toggle');
+        elements.separateAudioOption = document.getElementById('separate-audio-option');
+        elements.separateAudioToggle = document.getElementById('separate-audio-toggle');
+        elements.titlePromptToggle = document.getElementById('title-prompt-toggle');
+        elements.modeSelect = document.getElementById('mode-select');
+        elements.cameraOption = document.getElementById('camera-option');
+        elements.formatOption = document.getElementById('format-option');
+        elements.qualityOption = document.getElementById('quality-option');
         elements.cameraSelect = document.getElementById('camera-select');
+        elements.cropOption = document.getElementById('crop-option');
+        elements.cropToggle = document.getElementById('crop-toggle');
+        elements.regionPicker = document.getElementById('region-picker');
+        elements.regionStage = document.getElementById('region-stage');
+        elements.regionVideo = document.getElementById('region-video');
+        elements.regionSelection = document.getElementById('region-selection');
+        elements.regionCancelBtn = document.getElementById('region-cancel-btn');
+        elements.regionFullBtn = document.getElementById('region-full-btn');
+        elements.regionConfirmBtn = document.getElementById('region-confirm-btn');
+        elements.brandingInputs = document.querySelectorAll('[data-branding]');
+        elements.watermarkImage = document.getElementById('watermark-image');
+        elements.chromaOption = document.getElementById('chroma-option');
+        elements.chromaToggle = document.getElementById('chroma-toggle');
+        elements.chromaFields = document.getElementById('chroma-fields');
+        elements.chromaColor = document.getElementById('chroma-color');
+        elements.chromaTolerance = document.getElementById('chroma-tolerance');
+        elements.chromaSpill = document.getElementById('chroma-spill');
+        elements.chromaBackground = document.getElementById('chroma-background');
+        elements.chromaBackgroundColorField = document.getElementById('chroma-background-color-field');
+        elements.chromaBackgroundColor = document.getElementById('chroma-background-color');
+        elements.chromaBackgroundImageField = document.getElementById('chroma-background-image-field');
+        elements.chromaBackgroundImage = document.getElementById('chroma-background-image');
         elements.cameraPreviewContainer = document.getElementById('camera-preview-container');
         elements.cameraPreview = document.getElementById('camera-preview');
+        elements.arrangeLayoutBtn = document.getElementById('arrange-layout-btn');
+        elements.layoutPreviewSlot = document.getElementById('layout-preview-slot');
+        elements.layoutScreenBtn = document.getElementById('layout-screen-btn');
+        elements.layoutDoneBtn = document.getElementById('layout-done-btn');
         elements.audioPreviewContainer = document.getElementById('audio-preview-container');
         elements.audioLevel = document.getElementById('audio-level');
+        elements.processedAudioMeter = document.getElementById('processed-audio-meter');
+        elements.processedAudioLevel = document.getElementById('processed-audio-level');
+        elements.audioLabel = document.getElementById('audio-label');
+        elements.micMonitor = document.getElementById('mic-monitor');
+        elements.processingToggles = {
+            highPass: document.getElementById('processing-high-pass'),
+            noiseGate: document.getElementById('processing-noise-gate'),
+            compressor: document.getElementById('processing-compressor'),
+            normalize: document.getElementById('processing-normalize')
+        };
+        elements.formatSelect = document.getElementById('format-select');
+        elements.qualitySelect = document.getElementById('quality-select');
+        elements.customQuality = document.getElementById('custom-quality');
+        elements.customHeight = document.getElementById('custom-height');
+        elements.customFrameRate = document.getElementById('custom-frame-rate');
+        elements.customBitrate = document.getElementById('custom-bitrate');
+        elements.customCodec = document.getElementById('custom-codec');
+        elements.sizeEstimate = document.getElementById('size-estimate');
+        elements.limitMinutes = document.getElementById('limit-minutes');
+        elements.limitMegabytes = document.getElementById('limit-megabytes');
+        elements.segmentMinutes = document.getElementById('segment-minutes');
 
         // Check browser support
         if (!storage.isSupported() || !recorder.isSupported()) {
@@ -72,23 +217,31 @@ async function init() {
             return;
         }
 
-        // Initialize storage
+        // Initialize storage, and open the last used workspace (whose settings are restored below)
         await storage.initStorage();
+        const handle = await storage.getDirectoryHandle();
 
         // Initialize player
-        library.initPlayer();
+        library.initPlayer({ onSaveDetails: handleSaveDetails });
 
         // Setup event listeners
         setupEventListeners();
+        populateModes();
+        populateFormats();
+        populateQuality();
+        populateAudioProcessing();
+        populateLimits();
+        populateReplayLength();
+        populateChromaKey();
+        populateAnnotations();
+        populateBranding();
+        populateLibraryView();
 
         // Try to restore directory handle
-        const handle = await storage.getDirectoryHandle();
         if (handle) {
             const hasPermission = await storage.verifyPermission(handle);
             if (hasPermission) {
-                setState('ready');
-                await refreshLibrary();
-                await populateDevices();
+                await openFolder();
                 return;
             }
         }
@@ -105,343 +258,2266 @@ async function init() {
 function setupEventListeners() {
     elements.selectFolderBtn?.addEventListener('click', handleFolderSelect);
     elements.changeFolderBtn?.addEventListener('click', handleFolderSelect);
+    elements.grantAccessBtn?.addEventListener('click', () => handleGrantAccess(storage.getWorkspaceId()));
+    elements.workspaceBtn?.addEventListener('click', toggleWorkspaceMenu);
+    elements.addWorkspaceBtn?.addEventListener('click', handleAddWorkspace);
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('.workspace-switcher')) hideWorkspaceMenu();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') hideWorkspaceMenu();
+    });
     elements.startRecordingBtn?.addEventListener('click', handleStartRecording);
     elements.stopRecordingBtn?.addEventListener('click', handleStopRecording);
+    elements.pauseRecordingBtn?.addEventListener('click', handlePauseRecording);
+    elements.startReplayBtn?.addEventListener('click', handleStartReplay);
+    elements.saveReplayBtn?.addEventListener('click', handleSaveReplay);
+    elements.stopReplayBtn?.addEventListener('click', handleStopReplay);
+    elements.replayLengthSelect?.addEventListener('change', handleReplayLengthChange);
+    document.addEventListener('keydown', handleReplayHotkey);
+
+    // Library toolbar
+    elements.librarySearch?.addEventListener('input', () => handleLibraryViewChange());
+    for (const input of [elements.libraryFrom, elements.libraryTo, elements.libraryDuration, elements.librarySize, elements.librarySort]) {
+        input?.addEventListener('change', () => handleLibraryViewChange());
+    }
+    elements.libraryViewButtons?.forEach((button) => {
+        button.addEventListener('click', () => handleLibraryViewChange({ view: button.dataset.view }));
+    });
+    window.addEventListener('hashchange', handleLibraryHashChange);
+    elements.newCollectionBtn?.addEventListener('click', handleNewCollection);
+    document.addEventListener('keydown', handleSceneHotkey);
+    elements.sceneButtons?.forEach((button) => {
+        button.addEventListener('click', () => switchScene(button.dataset.scene));
+    });
 
     // Device selection listeners
     elements.micToggle?.addEventListener('change', handleMicToggle);
     elements.micSelect?.addEventListener('change', handleMicChange);
-    elements.cameraToggle?.addEventListener('change', handleCameraToggle);
+    elements.modeSelect?.addEventListener('change', handleModeChange);
     elements.cameraSelect?.addEventListener('change', handleCameraChange);
+    for (const input of [elements.chromaToggle, elements.chromaColor, elements.chromaBackgroundColor, elements.chromaBackgroundImage]) {
+        input?.addEventListener('change', handleChromaKeyChange);
+    }
+    for (const input of [elements.chromaTolerance, elements.chromaSpill]) {
+        input?.addEventListener('input', handleChromaKeyChange);
+    }
+    elements.chromaBackground?.addEventListener('change', handleChromaBackgroundChange);
+    elements.cameraPreview?.addEventListener('click', handleCameraPreviewClick);
+    elements.arrangeLayoutBtn?.addEventListener('click', () => showLayoutPreview());
+    elements.layoutScreenBtn?.addEventListener('click', handleLayoutScreen);
+    elements.layoutDoneBtn?.addEventListener('click', hideLayoutPreview);
+    elements.brandingInputs?.forEach((input) => {
+        input.addEventListener('change', handleBrandingChange);
+    });
+    elements.formatSelect?.addEventListener('change', handleFormatChange);
+    elements.separateAudioToggle?.addEventListener('change', handleSeparateAudioToggle);
+    elements.titlePromptToggle?.addEventListener('change', handleTitlePromptToggle);
+    elements.micMonitor?.addEventListener('change', applyMicMonitor);
+    for (const input of [elements.limitMinutes, elements.limitMegabytes, elements.segmentMinutes]) {
+        input?.addEventListener('change', handleLimitsChange);
+    }
+    for (const toggle of Object.values(elements.processingToggles)) {
+        toggle?.addEventListener('change', handleAudioProcessingChange);
+    }
+    elements.liveMicSelect?.addEventListener('change', handleLiveMicChange);
+    elements.liveCameraSelect?.addEventListener('change', handleLiveCameraChange);
+    elements.overlayHandle?.addEventListener('pointerdown', handleOverlayPointerDown);
+    elements.overlayHandle?.addEventListener('pointermove', handleOverlayPointerMove);
+    elements.overlayHandle?.addEventListener('pointerup', handleOverlayPointerUp);
+    elements.overlayHandle?.addEventListener('pointercancel', handleOverlayPointerUp);
+    elements.overlayShapeSelect?.addEventListener('change', handleOverlayStyleChange);
+    elements.screenLayoutSelect?.addEventListener('change', handleScreenLayoutChange);
+    elements.addScreenBtn?.addEventListener('click', handleAddScreen);
+    elements.overlayBorderColor?.addEventListener('input', handleOverlayStyleChange);
+    elements.compositePreview?.addEventListener('loadedmetadata', updateOverlayHandle);
+    elements.annotationTools?.forEach((button) => {
+        button.addEventListener('click', () => selectAnnotationTool(button.dataset.tool));
+    });
+    elements.annotationColor?.addEventListener('change', handleAnnotationSettingsChange);
+    elements.annotationFade?.addEventListener('change', handleAnnotationSettingsChange);
+    elements.zoomToggleBtn?.addEventListener('click', handleZoomToggle);
+    elements.cropToggle?.addEventListener('change', handleCropToggle);
+    elements.annotationUndo?.addEventListener('click', () => annotations.undo());
+    elements.annotationClear?.addEventListener('click', () => annotations.clear());
+    elements.overlayStage?.addEventListener('pointerdown', handleAnnotationPointerDown);
+    elements.overlayStage?.addEventListener('pointermove', handleAnnotationPointerMove);
+    elements.overlayStage?.addEventListener('pointerup', handleAnnotationPointerUp);
+    elements.overlayStage?.addEventListener('pointercancel', handleAnnotationPointerUp);
+    navigator.mediaDevices?.addEventListener('devicechange', handleDeviceChange);
+
+    // Quality listeners
+    elements.qualitySelect?.addEventListener('change', handleQualityChange);
+    for (const input of [elements.customHeight, elements.customFrameRate, elements.customBitrate, elements.customCodec]) {
+        input?.addEventListener('change', handleQualityChange);
+    }
 }
 
-// Populate device dropdowns
-async function populateDevices() {
-    const { microphones, cameras } = await recorder.getDevices();
+// Restore the saved recording mode
+function populateModes() {
+    if (!elements.modeSelect) return;
+
     const settings = loadSettings();
+    if (settings.mode in recorder.RECORDING_MODES) {
+        elements.modeSelect.value = settings.mode;
+    } else {
+        // Before modes existed, the camera toggle decided whether the camera was included
+        elements.modeSelect.value = settings.cameraEnabled === false ? 'screen' : 'screen-camera';
+    }
+    if (elements.cropToggle) {
+        elements.cropToggle.checked = settings.cropEnabled === true;
+    }
 
-    // Populate microphone dropdown
-    if (elements.micSelect) {
-        elements.micSelect.innerHTML = '<option value="">Select microphone</option>';
-        for (const mic of microphones) {
-            const option = document.createElement('option');
-            option.value = mic.deviceId;
-            option.textContent = mic.label;
-            elements.micSelect.appendChild(option);
-        }
+    updateModeDisplay();
+}
 
-        // Restore saved mic or select first
-        if (settings.micDeviceId && microphones.some(m => m.deviceId === settings.micDeviceId)) {
-            elements.micSelect.value = settings.micDeviceId;
-        } else if (microphones.length > 0) {
-            elements.micSelect.value = microphones[0].deviceId;
-        }
-    }
+// Get the selected recording mode
+function getSelectedMode() {
+    return elements.modeSelect?.value || 'screen';
+}
 
-    // Populate camera dropdown
-    if (elements.cameraSelect) {
-        elements.cameraSelect.innerHTML = '<option value="">Select camera</option>';
-        for (const camera of cameras) {
-            const option = document.createElement('option');
-            option.value = camera.deviceId;
-            option.textContent = camera.label;
-            elements.cameraSelect.appendChild(option);
-        }
+// Check if the selected mode records the camera
+function modeUsesCamera() {
+    return recorder.RECORDING_MODES[getSelectedMode()]?.camera || false;
+}
 
-        // Restore saved camera or select first
-        if (settings.cameraDeviceId && cameras.some(c => c.deviceId === settings.cameraDeviceId)) {
-            elements.cameraSelect.value = settings.cameraDeviceId;
-        } else if (cameras.length > 0) {
-            elements.cameraSelect.value = cameras[0].deviceId;
-        }
-    }
+// Show only the options that apply to the selected mode
+function updateModeDisplay() {
+    const mode = getSelectedMode();
+    elements.cameraOption?.classList.toggle('hidden', !modeUsesCamera());
+    elements.chromaOption?.classList.toggle('hidden', !modeUsesCamera());
+    elements.cropOption?.classList.toggle('hidden', !recorder.RECORDING_MODES[mode]?.screen);
+    elements.formatOption?.classList.toggle('hidden', mode === 'audio');
+    elements.qualityOption?.classList.toggle('hidden', mode === 'audio');
+    elements.separateAudioOption?.classList.toggle('hidden', mode === 'audio');
+    updateQualityDisplay();
+}
 
-    // Restore toggle states (default to true if not saved)
-    if (elements.micToggle) {
-        elements.micToggle.checked = settings.micEnabled !== false;
-    }
-    if (elements.cameraToggle) {
-        elements.cameraToggle.checked = settings.cameraEnabled !== false;
+// Restore the saved voice processing toggles
+function populateAudioProcessing() {
+    const saved = { ...audioProcessing.DEFAULT_PROCESSING, ...loadSettings().audioProcessing };
+    for (const [stage, toggle] of Object.entries(elements.processingToggles)) {
+        if (toggle) toggle.checked = !!saved[stage];
     }
+}
 
-    // Start previews if toggles are checked
-    if (elements.micToggle?.checked && elements.micSelect?.value) {
-        await startMicPreview();
-    }
-    if (elements.cameraToggle?.checked && elements.cameraSelect?.value) {
-        await startCameraPreview();
+// Get the voice processing stages that are turned on
+function getAudioProcessingSettings() {
+    const settings = {};
+    for (const [stage, toggle] of Object.entries(elements.processingToggles)) {
+        settings[stage] = toggle?.checked || false;
     }
+    return settings;
 }
 
-// Handle microphone toggle
-async function handleMicToggle() {
-    const enabled = elements.micToggle.checked;
-    saveSettings({ micEnabled: enabled });
+// Handle a voice processing toggle (the preview is rebuilt so the change can be heard)
+async function handleAudioProcessingChange() {
+    saveSettings({ audioProcessing: getAudioProcessingSettings() });
 
-    if (enabled) {
+    if (state === 'ready' && elements.micToggle?.checked) {
         await startMicPreview();
-    } else {
-        stopMicPreview();
     }
 }
 
-// Handle microphone selection change
-async function handleMicChange() {
-    saveSettings({ micDeviceId: elements.micSelect?.value });
-    if (elements.micToggle?.checked) {
-        await startMicPreview();
-    }
+// Restore the saved recording limits (empty means no limit)
+function populateLimits() {
+    const { limits = {} } = loadSettings();
+    if (elements.limitMinutes) elements.limitMinutes.value = limits.maxMinutes || '';
+    if (elements.limitMegabytes) elements.limitMegabytes.value = limits.maxMegabytes || '';
+    if (elements.segmentMinutes) elements.segmentMinutes.value = limits.segmentMinutes || '';
 }
 
-// Handle camera toggle
-async function handleCameraToggle() {
-    const enabled = elements.cameraToggle.checked;
-    saveSettings({ cameraEnabled: enabled });
+// Get the recording limits
+function getLimits() {
+    const read = (input) => {
+        const value = Number(input?.value);
+        return value > 0 ? value : null;
+    };
+
+    return {
+        maxMinutes: read(elements.limitMinutes),
+        maxMegabytes: read(elements.limitMegabytes),
+        segmentMinutes: read(elements.segmentMinutes)
+    };
+}
 
-    if (enabled) {
-        await startCameraPreview();
-    } else {
-        stopCameraPreview();
-    }
+// Handle a limit change
+function handleLimitsChange() {
+    saveSettings({ limits: getLimits() });
 }
 
-// Handle camera selection change
-async function handleCameraChange() {
-    saveSettings({ cameraDeviceId: elements.cameraSelect?.value });
-    if (elements.cameraToggle?.checked) {
-        await startCameraPreview();
-    }
+// Restore the saved green screen settings
+function populateChromaKey() {
+    const settings = { ...chromaKey.DEFAULT_CHROMA_KEY, ...loadSettings().chromaKey };
+    if (!elements.chromaToggle) return;
+
+    elements.chromaToggle.checked = settings.enabled;
+    elements.chromaColor.value = settings.color;
+    elements.chromaTolerance.value = settings.tolerance;
+    elements.chromaSpill.value = settings.spill;
+    elements.chromaBackground.value = settings.background;
+    elements.chromaBackgroundColor.value = settings.backgroundColor;
+    elements.chromaBackgroundImage.dataset.saved = settings.backgroundImage;
+    updateChromaKeyDisplay();
 }
 
-// Start camera preview
-async function startCameraPreview() {
-    stopCameraPreview(); // Stop any existing preview
+// List the folder's images as background and logo choices
+async function populateImageSelects() {
+    let names = [];
+    try {
+        names = await storage.getImageNames();
+    } catch (err) {
+        console.warn('Could not list images:', err);
+    }
 
-    const deviceId = elements.cameraSelect?.value;
-    if (!deviceId) return;
+    for (const select of [elements.chromaBackgroundImage, elements.watermarkImage]) {
+        if (!select) continue;
 
-    cameraPreviewStream = await recorder.startCameraPreview(deviceId);
-    if (cameraPreviewStream && elements.cameraPreview) {
-        elements.cameraPreview.srcObject = cameraPreviewStream;
-        elements.cameraPreviewContainer?.classList.remove('hidden');
+        const selected = select.value || select.dataset.saved || '';
+        select.innerHTML = '';
+        select.append(new Option(names.length ? 'Choose an image' : 'No images in the folder', ''));
+        for (const name of names) {
+            select.append(new Option(name, name));
+        }
+        select.value = names.includes(selected) ? selected : '';
     }
 }
 
-// Stop camera preview
-function stopCameraPreview() {
-    if (cameraPreviewStream) {
-        recorder.stopCameraPreview(cameraPreviewStream);
-        cameraPreviewStream = null;
-    }
-    if (elements.cameraPreview) {
-        elements.cameraPreview.srcObject = null;
+// Decode an image from the folder (null if it can't be opened)
+async function loadFolderImage(filename) {
+    if (!folderImages.has(filename)) {
+        try {
+            const file = await storage.getImageFile(filename);
+            folderImages.set(filename, await createImageBitmap(file));
+        } catch (err) {
+            console.warn('Could not load image:', err);
+            showToast(`Could not open ${filename}.`);
+            return null;
+        }
     }
-    elements.cameraPreviewContainer?.classList.add('hidden');
+    return folderImages.get(filename);
 }
 
-// Start microphone preview with audio level meter
-async function startMicPreview() {
-    stopMicPreview(); // Stop any existing preview
-
-    const deviceId = elements.micSelect?.value;
-    if (!deviceId) return;
+// Get the green screen settings
+function getChromaKeySettings() {
+    return {
+        enabled: elements.chromaToggle?.checked || false,
+        color: elements.chromaColor?.value || chromaKey.DEFAULT_CHROMA_KEY.color,
+        tolerance: Number(elements.chromaTolerance?.value ?? chromaKey.DEFAULT_CHROMA_KEY.tolerance),
+        spill: Number(elements.chromaSpill?.value ?? chromaKey.DEFAULT_CHROMA_KEY.spill),
+        background: elements.chromaBackground?.value || 'transparent',
+        backgroundColor: elements.chromaBackgroundColor?.value || chromaKey.DEFAULT_CHROMA_KEY.backgroundColor,
+        backgroundImage: elements.chromaBackgroundImage?.value || ''
+    };
+}
 
-    try {
-        micPreviewStream = await navigator.mediaDevices.getUserMedia({
-            audio: {
-                deviceId: { exact: deviceId },
-                echoCancellation: true,
-                noiseSuppression: true,
-                autoGainControl: true
-            }
-        });
+// Add the decoded background image to the settings (null when the key is off)
+async function resolveChromaKey(settings) {
+    if (!settings.enabled) return null;
+    if (settings.background !== 'image' || !settings.backgroundImage) return settings;
 
-        // Create audio context and analyser for level meter
-        audioContext = new AudioContext();
-        audioAnalyser = audioContext.createAnalyser();
-        audioAnalyser.fftSize = 256;
+    const image = await loadFolderImage(settings.backgroundImage);
+    return image ? { ...settings, image } : settings;
+}
 
-        const source = audioContext.createMediaStreamSource(micPreviewStream);
-        source.connect(audioAnalyser);
+// Show only the green screen fields that apply
+function updateChromaKeyDisplay() {
+    const { enabled, background } = getChromaKeySettings();
+    elements.chromaFields?.classList.toggle('hidden', !enabled);
+    elements.chromaBackgroundColorField?.classList.toggle('hidden', background !== 'color');
+    elements.chromaBackgroundImageField?.classList.toggle('hidden', background !== 'image');
+}
 
-        // Show the preview container
-        elements.audioPreviewContainer?.classList.remove('hidden');
+// Handle a green screen setting change
+async function handleChromaKeyChange() {
+    saveSettings({ chromaKey: getChromaKeySettings() });
+    updateChromaKeyDisplay();
+    await applyChromaKeyPreview();
+}
 
-        // Start the level meter animation
-        updateAudioLevel();
-    } catch (err) {
-        console.error('Mic preview error:', err);
+// Refresh the image list when switching to an image background
+async function handleChromaBackgroundChange() {
+    if (elements.chromaBackground.value === 'image') {
+        await populateImageSelects();
     }
+    await handleChromaKeyChange();
 }
 
-// Stop microphone preview
-function stopMicPreview() {
-    if (audioAnimationId) {
-        cancelAnimationFrame(audioAnimationId);
-        audioAnimationId = null;
-    }
+// Show the camera preview keyed, or as it comes from the camera
+async function applyChromaKeyPreview() {
+    if (!cameraPreviewStream || !elements.cameraPreview) return;
 
-    if (micPreviewStream) {
-        micPreviewStream.getTracks().forEach(track => track.stop());
-        micPreviewStream = null;
+    const settings = await resolveChromaKey(getChromaKeySettings());
+    if (settings) {
+        if (keyedPreview) {
+            keyedPreview.update(settings);
+        } else {
+            keyedPreview = chromaKey.createKeyedStream(cameraPreviewStream, settings);
+            elements.cameraPreview.srcObject = keyedPreview.stream;
+        }
+    } else if (keyedPreview) {
+        keyedPreview.stop();
+        keyedPreview = null;
+        elements.cameraPreview.srcObject = cameraPreviewStream;
     }
+    elements.cameraPreview.classList.toggle('keyed', !!keyedPreview);
+}
 
-    if (audioContext) {
-        audioContext.close();
-        audioContext = null;
-        audioAnalyser = null;
-    }
+// Pick the key colour by clicking the preview (which is cropped to fill its box)
+function handleCameraPreviewClick(e) {
+    if (!keyedPreview) return;
 
-    if (elements.audioLevel) {
-        elements.audioLevel.style.height = '0%';
-    }
-    elements.audioPreviewContainer?.classList.add('hidden');
+    const { video } = keyedPreview;
+    const bounds = elements.cameraPreview.getBoundingClientRect();
+    const scale = Math.max(bounds.width / video.videoWidth, bounds.height / video.videoHeight);
+    const x = (e.clientX - bounds.left - (bounds.width - video.videoWidth * scale) / 2) / (video.videoWidth * scale);
+    const y = (e.clientY - bounds.top - (bounds.height - video.videoHeight * scale) / 2) / (video.videoHeight * scale);
+    if (x < 0 || x > 1 || y < 0 || y > 1) return;
+
+    elements.chromaColor.value = chromaKey.sampleColor(video, x, y);
+    handleChromaKeyChange();
 }
 
-// Update the audio level meter
-function updateAudioLevel() {
-    if (!audioAnalyser) return;
+// Restore the saved branding template into the panel's fields
+function populateBranding() {
+    const template = branding.normalizeBranding(loadSettings().branding);
 
-    const dataArray = new Uint8Array(audioAnalyser.frequencyBinCount);
-    audioAnalyser.getByteTimeDomainData(dataArray);
+    elements.brandingInputs?.forEach((input) => {
+        const [part, key] = input.dataset.branding.split('.');
+        const value = template[part][key];
+        if (input.type === 'checkbox') {
+            input.checked = value;
+        } else {
+            input.value = value;
+            input.dataset.saved = value;
+        }
+    });
+}
 
-    // Calculate RMS (root mean square) for better sensitivity
-    let sum = 0;
-    for (let i = 0; i < dataArray.length; i++) {
-        const sample = (dataArray[i] - 128) / 128; // Normalize to -1 to 1
-        sum += sample * sample;
-    }
-    const rms = Math.sqrt(sum / dataArray.length);
+// Read the branding template from the panel
+function getBrandingSettings() {
+    const template = branding.normalizeBranding(loadSettings().branding);
 
-    // Scale up for better visibility (multiply by 3 for more sensitivity)
-    const level = Math.min(100, rms * 300);
+    elements.brandingInputs?.forEach((input) => {
+        const [part, key] = input.dataset.branding.split('.');
+        if (input.type === 'checkbox') {
+            template[part][key] = input.checked;
+        } else if (input.type === 'number' || input.type === 'range') {
+            template[part][key] = Number(input.value) || 0;
+        } else {
+            template[part][key] = input.value;
+        }
+    });
+    return template;
+}
 
-    if (elements.audioLevel) {
-        elements.audioLevel.style.height = `${level}%`;
+// Handle a branding field change
+function handleBrandingChange() {
+    saveSettings({ branding: getBrandingSettings() });
+}
+
+// The branding template for a recording, with the logo decoded (null if nothing is on).
+// Instant replays leave out the title cards, since they're cut from the middle.
+async function resolveBranding({ cards = true } = {}) {
+    const template = getBrandingSettings();
+    if (!cards) {
+        template.intro.enabled = false;
+        template.outro.enabled = false;
     }
+    if (!branding.hasBranding(template)) return null;
 
-    audioAnimationId = requestAnimationFrame(updateAudioLevel);
+    const { watermark } = template;
+    if (watermark.enabled && watermark.image) {
+        watermark.bitmap = await loadFolderImage(watermark.image);
+    }
+    return template;
 }
 
-// Update UI based on state
-function setState(newState) {
-    state = newState;
-
-    // Hide all sections
-    elements.unsupportedBanner?.classList.add('hidden');
-    elements.folderSection?.classList.add('hidden');
-    elements.noFolderSection?.classList.add('hidden');
-    elements.readySection?.classList.add('hidden');
-    elements.recordingSection?.classList.add('hidden');
+// Restore the saved instant replay length
+function populateReplayLength() {
+    if (!elements.replayLengthSelect) return;
+    const { replayMinutes = DEFAULT_REPLAY_MINUTES } = loadSettings();
+    elements.replayLengthSelect.value = String(replayMinutes);
+}
 
-    // Show relevant sections
-    switch (state) {
-        case 'unsupported':
-            elements.unsupportedBanner?.classList.remove('hidden');
-            break;
+// Handle the region toggle
+function handleCropToggle() {
+    saveSettings({ cropEnabled: elements.cropToggle.checked });
+}
 
-        case 'no-folder':
-            elements.noFolderSection?.classList.remove('hidden');
-            break;
+// Whether the next recording should ask for a region of the screen
+function getRegionSelector() {
+    const screen = recorder.RECORDING_MODES[getSelectedMode()]?.screen;
+    return screen && elements.cropToggle?.checked ? selectScreenRegion : null;
+}
 
-        case 'ready':
-            elements.folderSection?.classList.remove('hidden');
-            elements.readySection?.classList.remove('hidden');
-            updateFolderDisplay();
-            break;
+// Let the user drag out the part of the shared screen to record. Resolves with the region as
+// fractions of the screen (null for the whole screen); cancelling rejects with an AbortError.
+function selectScreenRegion(displayStream) {
+    const { regionPicker, regionStage, regionVideo, regionSelection } = elements;
+    let region = loadSettings().cropRegion || null;
+    let start = null;
+
+    const showRegion = () => {
+        regionSelection.classList.toggle('hidden', !region);
+        if (!region) return;
+        regionSelection.style.left = `${region.x * 100}%`;
+        regionSelection.style.top = `${region.y * 100}%`;
+        regionSelection.style.width = `${region.width * 100}%`;
+        regionSelection.style.height = `${region.height * 100}%`;
+    };
+    const getPoint = (e) => {
+        const bounds = regionStage.getBoundingClientRect();
+        return {
+            x: Math.min(1, Math.max(0, (e.clientX - bounds.left) / bounds.width)),
+            y: Math.min(1, Math.max(0, (e.clientY - bounds.top) / bounds.height))
+        };
+    };
+
+    const onPointerDown = (e) => {
+        e.preventDefault();
+        regionStage.setPointerCapture(e.pointerId);
+        start = getPoint(e);
+    };
+    const onPointerMove = (e) => {
+        if (!start) return;
+        const point = getPoint(e);
+        region = {
+            x: Math.min(start.x, point.x),
+            y: Math.min(start.y, point.y),
+            width: Math.abs(point.x - start.x),
+            height: Math.abs(point.y - start.y)
+        };
+        showRegion();
+    };
+    const onPointerUp = () => {
+        start = null;
+    };
+
+    regionVideo.srcObject = displayStream;
+    regionVideo.play().catch(() => {});
+    regionStage.addEventListener('pointerdown', onPointerDown);
+    regionStage.addEventListener('pointermove', onPointerMove);
+    regionStage.addEventListener('pointerup', onPointerUp);
+    regionPicker.classList.add('visible');
+    showRegion();
+
+    return new Promise((resolve, reject) => {
+        const finish = (result) => {
+            regionStage.removeEventListener('pointerdown', onPointerDown);
+            regionStage.removeEventListener('pointermove', onPointerMove);
+            regionStage.removeEventListener('pointerup', onPointerUp);
+            elements.regionConfirmBtn.onclick = null;
+            elements.regionFullBtn.onclick = null;
+            elements.regionCancelBtn.onclick = null;
+            regionPicker.classList.remove('visible');
+            regionVideo.srcObject = null;
+            result();
+        };
+
+        elements.regionConfirmBtn.onclick = () => {
+            // A tiny selection is most likely a stray click
+            if (!region || region.width < 0.02 || region.height < 0.02) {
+                showToast('Drag over the preview to choose a region.');
+                return;
+            }
+            saveSettings({ cropRegion: region });
+            finish(() => resolve(region));
+        };
+        elements.regionFullBtn.onclick = () => finish(() => resolve(null));
+        elements.regionCancelBtn.onclick = () => finish(() => {
+            reject(Object.assign(new Error('Region selection cancelled'), { name: 'AbortError' }));
+        });
+    });
+}
 
-        case 'recording':
-            elements.folderSection?.classList.remove('hidden');
-            elements.recordingSection?.classList.remove('hidden');
-            break;
-    }
+// Handle instant replay length change
+function handleReplayLengthChange() {
+    saveSettings({ replayMinutes: Number(elements.replayLengthSelect.value) });
 }
 
-// Update folder name display
-function updateFolderDisplay() {
-    const folderName = storage.getFolderName();
-    if (elements.folderName) {
-        elements.folderName.textContent = folderName || 'Unknown folder';
-    }
+// Handle separate audio tracks toggle
+function handleSeparateAudioToggle() {
+    saveSettings({ separateAudio: elements.separateAudioToggle.checked });
 }
 
-// Handle folder selection
-async function handleFolderSelect() {
-    try {
-        const handle = await storage.requestFolderAccess();
-        if (handle) {
-            setState('ready');
-            await refreshLibrary();
-            await populateDevices();
-        }
-    } catch (err) {
-        console.error('Error selecting folder:', err);
-        alert('Failed to access folder. Please try again.');
-    }
+// Handle the toggle for asking for a title after recording
+function handleTitlePromptToggle() {
+    saveSettings({ titlePrompt: elements.titlePromptToggle.checked });
 }
 
-// Handle start recording
-async function handleStartRecording() {
-    try {
-        elements.startRecordingBtn.disabled = true;
+// Handle recording mode change
+async function handleModeChange() {
+    saveSettings({ mode: getSelectedMode() });
+    updateModeDisplay();
 
-        // Stop previews before recording (we'll use them in the recording)
-        stopMicPreview();
+    if (modeUsesCamera()) {
+        await startCameraPreview();
+    } else {
         stopCameraPreview();
+    }
+}
 
-        // Get selected devices (only use mic if toggle is enabled)
-        const micEnabled = elements.micToggle?.checked || false;
-        const micDeviceId = micEnabled ? (elements.micSelect?.value || null) : null;
-        const cameraEnabled = elements.cameraToggle?.checked || false;
-        const cameraDeviceId = elements.cameraSelect?.value || null;
-
-        await recorder.startRecording({
-            micDeviceId,
-            cameraEnabled,
-            cameraDeviceId
-        });
+// Disable formats this browser can't record and restore the saved choice
+function populateFormats() {
+    if (!elements.formatSelect) return;
 
-        setState('recording');
-        startTimer();
-    } catch (err) {
-        console.error('Error starting recording:', err);
-        elements.startRecordingBtn.disabled = false;
+    for (const option of elements.formatSelect.options) {
+        option.disabled = !recorder.isFormatSupported(option.value);
+    }
 
-        if (err.name === 'NotAllowedError') {
-            alert('Screen sharing permission denied. Please allow screen sharing to record.');
-        } else {
-            alert('Failed to start recording. Please try again.');
-        }
+    const { format } = loadSettings();
+    if (format && recorder.isFormatSupported(format)) {
+        elements.formatSelect.value = format;
+    } else {
+        elements.formatSelect.value = 'webm';
     }
 }
 
-// Handle stop recording
-async function handleStopRecording() {
-    try {
-        elements.stopRecordingBtn.disabled = true;
-        stopTimer();
+// Handle output format change
+function handleFormatChange() {
+    saveSettings({ format: elements.formatSelect.value });
+}
 
-        const { blob, duration } = await recorder.stopRecording();
+// Fill the quality dropdown and restore the saved preset and custom values
+function populateQuality() {
+    if (!elements.qualitySelect) return;
 
-        // Generate filename
-        const timestamp = Date.now();
-        const filename = `recording-${timestamp}.webm`;
+    elements.qualitySelect.innerHTML = '';
+    for (const [value, preset] of Object.entries(quality.QUALITY_PRESETS)) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = preset.label;
+        elements.qualitySelect.appendChild(option);
+    }
+    const customOption = document.createElement('option');
+    customOption.value = 'custom';
+    customOption.textContent = 'Custom';
+    elements.qualitySelect.appendChild(customOption);
 
-        // Save to folder
-        await storage.saveRecording(blob, {
-            filename,
-            duration,
-            timestamp
-        });
+    const settings = loadSettings();
+    const isKnown = settings.qualityPreset === 'custom' || settings.qualityPreset in quality.QUALITY_PRESETS;
+    elements.qualitySelect.value = isKnown ? settings.qualityPreset : quality.DEFAULT_PRESET;
 
-        setState('ready');
-        await refreshLibrary();
+    // Custom fields start from the saved values (or the default preset)
+    const custom = quality.resolveQuality('custom', settings.customQuality);
+    if (elements.customHeight) elements.customHeight.value = String(custom.height);
+    if (elements.customFrameRate) elements.customFrameRate.value = custom.frameRate;
+    if (elements.customBitrate) elements.customBitrate.value = custom.videoBitsPerSecond / 1000000;
+    if (elements.customCodec) elements.customCodec.value = custom.codec;
 
-        // Restart previews if they were enabled
-        if (elements.micToggle?.checked) {
+    updateQualityDisplay();
+}
+
+// Read the custom quality fields
+function getCustomQualityValues() {
+    return {
+        height: Number(elements.customHeight?.value),
+        frameRate: Number(elements.customFrameRate?.value),
+        videoBitsPerSecond: Number(elements.customBitrate?.value) * 1000000,
+        codec: elements.customCodec?.value
+    };
+}
+
+// Get the quality settings to record with
+function getSelectedQuality() {
+    return quality.resolveQuality(elements.qualitySelect?.value, getCustomQualityValues());
+}
+
+// Handle quality preset or custom value change
+function handleQualityChange() {
+    saveSettings({
+        qualityPreset: elements.qualitySelect.value,
+        customQuality: getCustomQualityValues()
+    });
+    updateQualityDisplay();
+}
+
+// Show custom fields when needed and update the size estimate
+function updateQualityDisplay() {
+    elements.customQuality?.classList.toggle('hidden', elements.qualitySelect?.value !== 'custom');
+
+    if (elements.sizeEstimate) {
+        const selected = getSelectedMode() === 'audio' ? { videoBitsPerSecond: 0 } : getSelectedQuality();
+        const megabytes = quality.estimateMegabytesPerMinute(selected);
+        elements.sizeEstimate.textContent = `≈ ${megabytes < 10 ? megabytes.toFixed(1) : Math.round(megabytes)} MB/min`;
+    }
+}
+
+// Fill a device dropdown
+function fillDeviceSelect(select, devices, placeholder) {
+    select.innerHTML = `<option value="">${placeholder}</option>`;
+    for (const device of devices) {
+        const option = document.createElement('option');
+        option.value = device.deviceId;
+        option.textContent = device.label;
+        select.appendChild(option);
+    }
+}
+
+// Populate device dropdowns
+async function populateDevices() {
+    const { microphones, cameras } = await recorder.getDevices();
+    const settings = loadSettings();
+    deviceLists = { microphones, cameras };
+
+    // Populate microphone dropdown
+    if (elements.micSelect) {
+        fillDeviceSelect(elements.micSelect, microphones, 'Select microphone');
+
+        // Restore saved mic or select first
+        if (settings.micDeviceId && microphones.some(m => m.deviceId === settings.micDeviceId)) {
+            elements.micSelect.value = settings.micDeviceId;
+        } else if (microphones.length > 0) {
+            elements.micSelect.value = microphones[0].deviceId;
+        }
+    }
+
+    // Populate camera dropdown
+    if (elements.cameraSelect) {
+        fillDeviceSelect(elements.cameraSelect, cameras, 'Select camera');
+
+        // Restore saved camera or select first
+        if (settings.cameraDeviceId && cameras.some(c => c.deviceId === settings.cameraDeviceId)) {
+            elements.cameraSelect.value = settings.cameraDeviceId;
+        } else if (cameras.length > 0) {
+            elements.cameraSelect.value = cameras[0].deviceId;
+        }
+    }
+
+    // Restore toggle state (default to true if not saved)
+    if (elements.micToggle) {
+        elements.micToggle.checked = settings.micEnabled !== false;
+    }
+    if (elements.separateAudioToggle) {
+        elements.separateAudioToggle.checked = settings.separateAudio === true;
+    }
+    if (elements.titlePromptToggle) {
+        elements.titlePromptToggle.checked = settings.titlePrompt === true;
+    }
+
+    // Start previews if the mic is on and the mode uses the camera
+    if (elements.micToggle?.checked && elements.micSelect?.value) {
+        await startMicPreview();
+    }
+    if (modeUsesCamera() && elements.cameraSelect?.value) {
+        await startCameraPreview();
+    }
+}
+
+// Handle devices being plugged in or removed
+async function handleDeviceChange() {
+    if (!['ready', 'recording', 'paused', 'replay'].includes(state)) return;
+
+    // Labels are already granted by now, so don't open the devices again
+    const { microphones, cameras } = await recorder.getDevices({ requestPermission: false });
+    deviceLists = { microphones, cameras };
+
+    // Keep the current choices, falling back to the first device if one went away
+    const refresh = (select, devices, placeholder) => {
+        if (!select) return false;
+        const previous = select.value;
+        fillDeviceSelect(select, devices, placeholder);
+        select.value = devices.some(d => d.deviceId === previous) ? previous : (devices[0]?.deviceId || '');
+        return select.value !== previous;
+    };
+    const micChanged = refresh(elements.micSelect, microphones, 'Select microphone');
+    const cameraChanged = refresh(elements.cameraSelect, cameras, 'Select camera');
+
+    if (state === 'ready') {
+        if (micChanged && elements.micToggle?.checked) {
+            await startMicPreview();
+        }
+        if (cameraChanged && modeUsesCamera()) {
+            await startCameraPreview();
+        }
+    } else {
+        updateRecordingDevices();
+    }
+}
+
+// Show the device switchers for the devices the current recording uses
+function updateRecordingDevices() {
+    const active = recorder.getActiveDevices();
+    if (!elements.recordingDevices || !active) return;
+
+    const { microphones, cameras } = deviceLists;
+    const fill = (select, devices, placeholder, activeId) => {
+        fillDeviceSelect(select, devices, placeholder);
+        select.value = devices.some(d => d.deviceId === activeId) ? activeId : '';
+    };
+    fill(elements.liveMicSelect, microphones, 'No microphone', active.micDeviceId);
+    fill(elements.liveCameraSelect, cameras, 'No camera', active.cameraDeviceId);
+
+    elements.liveMicField.classList.toggle('hidden', !active.canReplaceMicrophone);
+    elements.liveCameraField.classList.toggle('hidden', !active.canReplaceCamera);
+    elements.recordingDevices.classList.toggle('hidden', !active.canReplaceMicrophone && !active.canReplaceCamera);
+}
+
+// Handle the active microphone or camera disappearing mid-recording
+function handleDeviceLost(kind) {
+    showToast(`Your ${kind} was disconnected. Pick another one below to keep it in the recording.`);
+
+    const select = kind === 'camera' ? elements.liveCameraSelect : elements.liveMicSelect;
+    if (select) select.value = '';
+}
+
+// Handle system audio ending while the recording goes on
+function handleSystemAudioEnded() {
+    showToast('System audio ended, so the rest of the recording will be without it.');
+}
+
+// Handle the video no longer being drawn mid-recording (the picture would be frozen)
+function handleVideoError() {
+    showToast('The video stopped updating, so the recording may show a frozen picture. Stop and record again to fix it.');
+}
+
+// Handle switching the microphone mid-recording
+async function handleLiveMicChange() {
+    const deviceId = elements.liveMicSelect.value;
+    if (!deviceId) return;
+
+    try {
+        await recorder.replaceMicrophone(deviceId);
+        renderAudioMixer(); // A mic added mid-recording gets its own row
+    } catch (err) {
+        console.error('Error switching microphone:', err);
+        showToast('Could not switch to that microphone.');
+    }
+    updateRecordingDevices();
+}
+
+// Handle switching the camera mid-recording
+async function handleLiveCameraChange() {
+    const deviceId = elements.liveCameraSelect.value;
+    if (!deviceId) return;
+
+    const hadCamera = !!recorder.getActiveDevices()?.cameraDeviceId;
+    try {
+        await recorder.replaceCamera(deviceId);
+        if (!hadCamera) {
+            switchScene('bubble'); // A camera added to a screen recording should show up
+        }
+        setTimeout(updateOverlayHandle, 500); // The new camera may have another shape
+    } catch (err) {
+        console.error('Error switching camera:', err);
+        showToast('Could not switch to that camera.');
+    }
+    updateRecordingDevices();
+}
+
+// Switch the scene of a screen recording
+function switchScene(name) {
+    if (!recorder.getActiveDevices()?.canSwitchScene) return;
+    recorder.setScene(name);
+    updateSceneSwitcher();
+    updateOverlayHandle();
+}
+
+// Show the scene buttons for screen recordings, with the current one highlighted
+function updateSceneSwitcher() {
+    const active = recorder.getActiveDevices();
+    if (!elements.sceneSwitcher) return;
+
+    elements.sceneSwitcher.classList.toggle('hidden', !active?.canSwitchScene);
+    const scene = recorder.getScene();
+    elements.sceneButtons.forEach((button) => {
+        button.classList.toggle('active', button.dataset.scene === scene);
+        button.disabled = button.dataset.scene !== 'screen' && !active?.cameraDeviceId;
+    });
+}
+
+// Alt+1 to Alt+4 switch scenes and Alt+Z toggles the zoom
+// (by key position, since Alt changes the character on a Mac)
+function handleSceneHotkey(e) {
+    if (!['recording', 'paused', 'replay'].includes(state) || !e.altKey || e.ctrlKey || e.metaKey) return;
+
+    if (e.code === 'KeyZ' && recorder.getActiveDevices()?.canSwitchScene) {
+        e.preventDefault();
+        handleZoomToggle();
+        return;
+    }
+
+    const index = ['Digit1', 'Digit2', 'Digit3', 'Digit4'].indexOf(e.code);
+    const button = elements.sceneButtons?.[index];
+    if (button && !button.disabled) {
+        e.preventDefault();
+        switchScene(button.dataset.scene);
+    }
+}
+
+// Show a preview of screen recordings, where the scene can be seen and the camera bubble laid out
+function showOverlayEditor(stream) {
+    updateSceneSwitcher();
+    if (!elements.overlayEditor) return;
+    if (!recorder.getActiveDevices()?.canSwitchScene) {
+        hideOverlayEditor();
+        return;
+    }
+
+    const layout = recorder.setCameraOverlay({});
+    elements.overlayShapeSelect.value = layout.shape;
+    elements.overlayBorderColor.value = layout.borderColor;
+    elements.compositePreview.srcObject = stream;
+    elements.compositePreview.play().catch(() => {});
+    elements.overlayEditor.classList.remove('hidden');
+    if (elements.screenLayoutSelect) elements.screenLayoutSelect.value = recorder.getScreenLayout();
+    renderScreenSources();
+    updateOverlayHandle();
+    updateZoomButton();
+}
+
+// Hide the live preview editor and end any drag on it
+function hideOverlayEditor() {
+    elements.sceneSwitcher?.classList.add('hidden');
+    if (annotationTool) selectAnnotationTool(annotationTool);
+    annotating = false;
+    zoomSelection = null;
+    elements.zoomSelection?.classList.add('hidden');
+    if (!elements.overlayEditor) return;
+    elements.overlayEditor.classList.add('hidden');
+    elements.compositePreview.srcObject = null;
+    overlayDrag = null;
+    screenDrag = null;
+    elements.screenHandles?.replaceChildren();
+}
+
+// Arrange the camera bubble before recording, on a preview with a stand-in for the screen
+// (or a shared screen). The bubble editor is borrowed from the recording view.
+async function showLayoutPreview(screenStream = null) {
+    if (!cameraPreviewStream || !elements.overlayEditor) return;
+
+    let stream;
+    try {
+        stream = await recorder.startLayoutPreview(screenStream, cameraPreviewStream, {
+            overlay: loadSettings().cameraOverlay || {}
+        });
+    } catch (err) {
+        console.error('Error previewing the layout:', err);
+        showToast('Could not show the layout preview.');
+        screenStream?.getTracks().forEach(track => track.stop());
+        hideLayoutPreview();
+        return;
+    }
+
+    layoutPreview?.screenStream?.getTracks().forEach(track => track.stop());
+    layoutPreview = { screenStream };
+
+    const layout = recorder.setCameraOverlay({});
+    elements.overlayShapeSelect.value = layout.shape;
+    elements.overlayBorderColor.value = layout.borderColor;
+    elements.layoutPreviewSlot?.append(elements.overlayEditor);
+    elements.overlayEditor.classList.add('layout-preview');
+    elements.overlayEditor.classList.remove('hidden');
+    elements.layoutScreenBtn.textContent = screenStream ? 'Hide my screen' : 'Show my screen';
+    elements.arrangeLayoutBtn?.classList.add('hidden');
+    elements.compositePreview.srcObject = stream;
+    elements.compositePreview.play().catch(() => {});
+    updateOverlayHandle();
+}
+
+// Stop arranging the layout and give the bubble editor back to the recording view
+function hideLayoutPreview() {
+    if (!layoutPreview) return;
+
+    recorder.stopLayoutPreview();
+    layoutPreview.screenStream?.getTracks().forEach(track => track.stop());
+    layoutPreview = null;
+
+    hideOverlayEditor();
+    elements.overlayEditor.classList.remove('layout-preview');
+    elements.audioMixer?.before(elements.overlayEditor);
+    updateArrangeLayoutButton();
+}
+
+// Show the layout with a shared screen instead of the stand-in, or go back to the stand-in
+async function handleLayoutScreen() {
+    if (layoutPreview?.screenStream) {
+        await showLayoutPreview();
+        return;
+    }
+
+    let screenStream;
+    try {
+        screenStream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: false });
+    } catch (err) {
+        return; // Closing the picker isn't an error
+    }
+    if (!layoutPreview) {
+        screenStream.getTracks().forEach(track => track.stop());
+        return;
+    }
+
+    // Back to the stand-in if sharing is stopped from the browser
+    screenStream.getVideoTracks()[0].onended = () => {
+        if (layoutPreview?.screenStream === screenStream) showLayoutPreview();
+    };
+    await showLayoutPreview(screenStream);
+}
+
+// The layout can be arranged before screen + camera recordings, once the camera is previewed
+function updateArrangeLayoutButton() {
+    const capture = recorder.RECORDING_MODES[getSelectedMode()];
+    const available = !!cameraPreviewStream && !!capture?.screen && !!capture?.camera;
+    elements.arrangeLayoutBtn?.classList.toggle('hidden', !available || !!layoutPreview);
+}
+
+// Place the drag handle over the camera bubble in the preview (only in the bubble scene)
+function updateOverlayHandle() {
+    const rect = recorder.getCameraOverlayRect();
+    if (!rect || !elements.overlayHandle) return;
+
+    const hasBubble = !!layoutPreview || !!recorder.getActiveDevices()?.hasCameraOverlay;
+    elements.overlayOptions?.classList.toggle('hidden', !hasBubble);
+    const handle = elements.overlayHandle;
+    handle.classList.toggle('hidden', !hasBubble || recorder.getScene() !== 'bubble');
+    positionHandle(handle, rect);
+    handle.classList.toggle('circle', elements.overlayShapeSelect.value === 'circle');
+    updateScreenHandles();
+}
+
+// Start moving the camera bubble, or resizing it from the corner
+function handleOverlayPointerDown(e) {
+    e.preventDefault();
+    elements.overlayHandle.setPointerCapture(e.pointerId);
+    overlayDrag = {
+        mode: e.target.closest('.overlay-resize') ? 'resize' : 'move',
+        startX: e.clientX,
+        startY: e.clientY,
+        layout: recorder.setCameraOverlay({})
+    };
+}
+
+// Move or resize the camera bubble while it's dragged
+function handleOverlayPointerMove(e) {
+    if (!overlayDrag) return;
+
+    const bounds = elements.overlayStage.getBoundingClientRect();
+    const dx = (e.clientX - overlayDrag.startX) / bounds.width;
+    const dy = (e.clientY - overlayDrag.startY) / bounds.height;
+    const { layout } = overlayDrag;
+
+    // The bubble is anchored at its centre, so it grows both ways
+    recorder.setCameraOverlay(overlayDrag.mode === 'resize'
+        ? { size: layout.size + dx * 2 }
+        : { x: layout.x + dx, y: layout.y + dy });
+    updateOverlayHandle();
+}
+
+// Finish a drag and save the layout as the default
+function handleOverlayPointerUp() {
+    if (!overlayDrag) return;
+    overlayDrag = null;
+
+    // Keep the centre where the bubble is actually drawn, so it doesn't stick past an edge
+    const rect = recorder.getCameraOverlayRect();
+    const layout = recorder.setCameraOverlay({ x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 });
+    saveSettings({ cameraOverlay: layout });
+}
+
+// Handle a shape or border colour change
+function handleOverlayStyleChange() {
+    const layout = recorder.setCameraOverlay({
+        shape: elements.overlayShapeSelect.value,
+        borderColor: elements.overlayBorderColor.value
+    });
+    saveSettings({ cameraOverlay: layout });
+    updateOverlayHandle();
+}
+
+// Name of a shared screen or window for the list (browsers label tracks differently)
+function getScreenName(source, index) {
+    return source.label && !source.label.includes('://') ? source.label : `Screen ${index + 1}`;
+}
+
+// List the screens and windows in the recording, each with a button to remove it
+function renderScreenSources() {
+    const list = elements.screenSourceList;
+    const active = recorder.getActiveDevices();
+    elements.screenSources?.classList.toggle('hidden', !active?.canAddScreen);
+    if (!list || !active?.canAddScreen) return;
+
+    const sources = recorder.getScreenSources();
+    list.replaceChildren(...sources.map((source, index) => {
+        const item = document.createElement('li');
+        item.className = 'screen-source';
+
+        const label = document.createElement('span');
+        label.className = 'screen-source-label';
+        label.textContent = getScreenName(source, index);
+        label.title = source.label;
+
+        const remove = document.createElement('button');
+        remove.className = 'btn btn-secondary btn-sm';
+        remove.textContent = 'Remove';
+        remove.disabled = sources.length === 1;
+        remove.addEventListener('click', () => handleRemoveScreen(source.id));
+
+        item.append(label, remove);
+        return item;
+    }));
+    updateScreenHandles();
+}
+
+// Share another screen or window into the recording
+async function handleAddScreen() {
+    elements.addScreenBtn.disabled = true;
+    try {
+        await recorder.addScreenSource();
+    } catch (err) {
+        // Closing the picker isn't an error
+        if (err.name !== 'NotAllowedError' && err.name !== 'AbortError') {
+            console.error('Error adding screen:', err);
+            showToast('Could not add that screen or window.');
+        }
+    } finally {
+        elements.addScreenBtn.disabled = false;
+    }
+    renderScreenSources();
+}
+
+// Remove a screen from the recording with its remove button
+function handleRemoveScreen(id) {
+    try {
+        recorder.removeScreenSource(id);
+    } catch (err) {
+        showToast(err.message);
+    }
+    renderScreenSources();
+}
+
+// A screen or window stopped being shared. The recording goes on with the others, or is
+// saved (or, for instant replay, stopped) after the last one.
+function handleScreenEnded(id, remaining, { systemAudioEnded = false } = {}) {
+    if (remaining > 0) {
+        const others = remaining === 1 ? 'the other one' : `the other ${remaining}`;
+        showToast(systemAudioEnded
+            ? `A shared screen was closed, and system audio ended with it. Recording continues with ${others}.`
+            : `A shared screen was closed. Recording continues with ${others}.`);
+        renderScreenSources();
+    } else if (state === 'replay') {
+        showToast('Screen sharing stopped, so instant replay was turned off.');
+        handleStopReplay();
+    } else {
+        handleStopRecording();
+    }
+}
+
+// Handle a screen layout change (the layout is remembered for the next recording)
+function handleScreenLayoutChange() {
+    const layout = elements.screenLayoutSelect.value;
+    recorder.setScreenLayout(layout);
+    saveSettings({ screenLayout: layout });
+    updateScreenHandles();
+}
+
+// Put a drag handle over each screen in the custom layout. They're only shown while the
+// screens fill the frame and aren't zoomed, where the preview maps straight onto the layout.
+function updateScreenHandles() {
+    const container = elements.screenHandles;
+    if (!container || screenDrag) return;
+
+    const sources = recorder.getActiveDevices()?.canAddScreen ? recorder.getScreenSources() : [];
+    const editable = sources.length > 1 &&
+        recorder.getScreenLayout() === 'custom' &&
+        ['bubble', 'screen'].includes(recorder.getScene()) &&
+        !recorder.isZoomed();
+    if (!editable) {
+        container.replaceChildren();
+        return;
+    }
+
+    container.replaceChildren(...sources.map((source, index) => {
+        const handle = document.createElement('div');
+        handle.className = 'overlay-handle screen-handle';
+        handle.title = 'Drag to move';
+        positionHandle(handle, source.rect);
+
+        const label = document.createElement('span');
+        label.className = 'screen-handle-label';
+        label.textContent = getScreenName(source, index);
+        const resize = document.createElement('div');
+        resize.className = 'overlay-resize';
+        resize.title = 'Drag to resize';
+        handle.append(label, resize);
+
+        handle.addEventListener('pointerdown', e => handleScreenPointerDown(e, source, handle));
+        handle.addEventListener('pointermove', handleScreenPointerMove);
+        handle.addEventListener('pointerup', handleScreenPointerUp);
+        handle.addEventListener('pointercancel', handleScreenPointerUp);
+        return handle;
+    }));
+}
+
+// Place a handle over a box given as fractions of the preview
+function positionHandle(handle, rect) {
+    handle.style.left = `${rect.x * 100}%`;
+    handle.style.top = `${rect.y * 100}%`;
+    handle.style.width = `${rect.width * 100}%`;
+    handle.style.height = `${rect.height * 100}%`;
+}
+
+// Start moving a screen, or resizing it from the corner
+function handleScreenPointerDown(e, source, handle) {
+    e.preventDefault();
+    handle.setPointerCapture(e.pointerId);
+    screenDrag = {
+        id: source.id,
+        mode: e.target.closest('.overlay-resize') ? 'resize' : 'move',
+        startX: e.clientX,
+        startY: e.clientY,
+        rect: source.rect,
+        handle
+    };
+}
+
+// Move or resize a screen's box while it's dragged
+function handleScreenPointerMove(e) {
+    if (!screenDrag) return;
+
+    const bounds = elements.overlayStage.getBoundingClientRect();
+    const dx = (e.clientX - screenDrag.startX) / bounds.width;
+    const dy = (e.clientY - screenDrag.startY) / bounds.height;
+    const { rect } = screenDrag;
+
+    const next = recorder.setScreenRect(screenDrag.id, screenDrag.mode === 'resize'
+        ? { width: rect.width + dx, height: rect.height + dy }
+        : { x: rect.x + dx, y: rect.y + dy });
+    if (next) positionHandle(screenDrag.handle, next);
+}
+
+// End a screen box drag
+function handleScreenPointerUp() {
+    screenDrag = null;
+}
+
+// Restore the saved annotation colour and fade time
+function populateAnnotations() {
+    const settings = { ...annotations.DEFAULT_ANNOTATION_SETTINGS, ...loadSettings().annotations };
+    if (elements.annotationColor) elements.annotationColor.value = settings.color;
+    if (elements.annotationFade) elements.annotationFade.value = String(settings.fadeSeconds);
+    annotations.setFadeSeconds(settings.fadeSeconds);
+}
+
+// Handle an annotation colour or fade time change
+function handleAnnotationSettingsChange() {
+    const settings = {
+        color: elements.annotationColor.value,
+        fadeSeconds: Number(elements.annotationFade.value)
+    };
+    annotations.setFadeSeconds(settings.fadeSeconds);
+    saveSettings({ annotations: settings });
+}
+
+// Pick an annotation tool (picking it again goes back to moving the camera bubble)
+function selectAnnotationTool(tool) {
+    annotationTool = annotationTool === tool ? null : tool;
+    elements.annotationTools.forEach((button) => {
+        button.classList.toggle('active', button.dataset.tool === annotationTool);
+    });
+    elements.overlayStage?.classList.toggle('annotating', !!annotationTool);
+}
+
+// Convert a pointer position on the preview to a point on the screen (fractions of its box)
+function getAnnotationPoint(e) {
+    const screen = recorder.getScreenRect();
+    if (!screen) return null;
+
+    const bounds = elements.overlayStage.getBoundingClientRect();
+    const x = (e.clientX - bounds.left) / bounds.width;
+    const y = (e.clientY - bounds.top) / bounds.height;
+    return {
+        x: (x - screen.x) / screen.width,
+        y: (y - screen.y) / screen.height
+    };
+}
+
+// Zoom out, or back into the last region
+function handleZoomToggle() {
+    recorder.toggleZoom();
+    updateZoomButton();
+}
+
+// Label the zoom button with what pressing it does
+function updateZoomButton() {
+    if (elements.zoomToggleBtn) {
+        elements.zoomToggleBtn.textContent = recorder.isZoomed() ? 'Zoom out' : 'Zoom in';
+    }
+    updateScreenHandles();
+}
+
+// Show the zoom region being dragged, from the point where the drag started
+function showZoomSelection(point) {
+    const screen = recorder.getScreenRect();
+    const { start } = zoomSelection;
+    const toStage = (value, axis) => (axis === 'x'
+        ? screen.x + value * screen.width
+        : screen.y + value * screen.height) * 100;
+
+    const selection = elements.zoomSelection;
+    selection.classList.remove('hidden');
+    selection.style.left = `${toStage(Math.min(start.x, point.x), 'x')}%`;
+    selection.style.top = `${toStage(Math.min(start.y, point.y), 'y')}%`;
+    selection.style.width = `${Math.abs(point.x - start.x) * screen.width * 100}%`;
+    selection.style.height = `${Math.abs(point.y - start.y) * screen.height * 100}%`;
+}
+
+// Start what the selected tool does where the preview is pressed
+function handleAnnotationPointerDown(e) {
+    if (!annotationTool) return;
+    const point = getAnnotationPoint(e);
+    if (!point) return;
+
+    e.preventDefault();
+    elements.overlayStage.setPointerCapture(e.pointerId);
+    if (annotationTool === 'zoom') {
+        zoomSelection = { start: point };
+        return;
+    }
+    annotations.beginShape(annotationTool, recorder.toScreenPoint(point), { color: elements.annotationColor.value });
+    annotating = true;
+}
+
+// Follow the pointer while a tool is in use
+function handleAnnotationPointerMove(e) {
+    const point = (annotating || zoomSelection) && getAnnotationPoint(e);
+    if (!point) return;
+
+    if (zoomSelection) {
+        showZoomSelection(point);
+    } else {
+        annotations.extendShape(recorder.toScreenPoint(point));
+    }
+}
+
+// Finish what the pointer started when it is released
+function handleAnnotationPointerUp(e) {
+    if (zoomSelection) {
+        const { start } = zoomSelection;
+        const point = getAnnotationPoint(e) || start;
+        zoomSelection = null;
+        elements.zoomSelection.classList.add('hidden');
+
+        const region = {
+            x: Math.max(0, Math.min(start.x, point.x)),
+            y: Math.max(0, Math.min(start.y, point.y)),
+            width: Math.abs(point.x - start.x),
+            height: Math.abs(point.y - start.y)
+        };
+        if (region.width > 0.02 || region.height > 0.02) {
+            recorder.zoomTo(region);
+            updateZoomButton();
+        }
+        return;
+    }
+
+    if (!annotating) return;
+    annotations.endShape();
+    annotating = false;
+}
+
+// Show a short message at the bottom of the page
+function showToast(message) {
+    if (!elements.toast) return;
+
+    elements.toast.textContent = message;
+    elements.toast.classList.add('visible');
+
+    clearTimeout(toastTimeout);
+    toastTimeout = setTimeout(() => {
+        elements.toast.classList.remove('visible');
+    }, 6000);
+}
+
+// Handle microphone toggle
+async function handleMicToggle() {
+    const enabled = elements.micToggle.checked;
+    saveSettings({ micEnabled: enabled });
+
+    if (enabled) {
+        await startMicPreview();
+    } else {
+        stopMicPreview();
+    }
+}
+
+// Handle microphone selection change
+async function handleMicChange() {
+    saveSettings({ micDeviceId: elements.micSelect?.value });
+    if (elements.micToggle?.checked) {
+        await startMicPreview();
+    }
+}
+
+// Handle camera selection change
+async function handleCameraChange() {
+    saveSettings({ cameraDeviceId: elements.cameraSelect?.value });
+    if (modeUsesCamera()) {
+        await startCameraPreview();
+    }
+}
+
+// Start camera preview
+async function startCameraPreview() {
+    stopCameraPreview(); // Stop any existing preview
+
+    const deviceId = elements.cameraSelect?.value;
+    if (!deviceId) return;
+
+    cameraPreviewStream = await recorder.startCameraPreview(deviceId);
+    if (cameraPreviewStream && elements.cameraPreview) {
+        elements.cameraPreview.srcObject = cameraPreviewStream;
+        elements.cameraPreviewContainer?.classList.remove('hidden');
+        await applyChromaKeyPreview();
+    }
+    updateArrangeLayoutButton();
+}
+
+// Stop camera preview (and the layout preview that uses it)
+function stopCameraPreview() {
+    hideLayoutPreview();
+    if (cameraPreviewStream) {
+        recorder.stopCameraPreview(cameraPreviewStream);
+        cameraPreviewStream = null;
+    }
+    if (keyedPreview) {
+        keyedPreview.stop();
+        keyedPreview = null;
+    }
+    if (elements.cameraPreview) {
+        elements.cameraPreview.srcObject = null;
+        elements.cameraPreview.classList.remove('keyed');
+    }
+    elements.cameraPreviewContainer?.classList.add('hidden');
+}
+
+// Start microphone preview with audio level meter
+async function startMicPreview() {
+    stopMicPreview(); // Stop any existing preview
+
+    const deviceId = elements.micSelect?.value;
+    if (!deviceId) return;
+
+    try {
+        micPreviewStream = await navigator.mediaDevices.getUserMedia({
+            audio: {
+                deviceId: { exact: deviceId },
+                echoCancellation: true,
+                noiseSuppression: true,
+                autoGainControl: true
+            }
+        });
+
+        // Create audio context and analyser for level meter
+        audioContext = new AudioContext();
+        audioAnalyser = audioContext.createAnalyser();
+        audioAnalyser.fftSize = 256;
+
+        const source = audioContext.createMediaStreamSource(micPreviewStream);
+        source.connect(audioAnalyser);
+        previewNodes = { original: source, processed: null };
+
+        // Run the voice processing too, so before and after can be compared
+        const processing = getAudioProcessingSettings();
+        const processed = audioProcessing.hasLiveProcessing(processing);
+        if (processed) {
+            const chain = await audioProcessing.createProcessingChain(audioContext, processing);
+            processedAnalyser = audioContext.createAnalyser();
+            processedAnalyser.fftSize = 256;
+            source.connect(chain.input);
+            chain.output.connect(processedAnalyser);
+            previewNodes.processed = chain.output;
+        }
+
+        // Show the preview container
+        elements.processedAudioMeter?.classList.toggle('hidden', !processed);
+        elements.micMonitor?.classList.toggle('hidden', !processed);
+        if (elements.audioLabel) {
+            elements.audioLabel.textContent = processed ? 'Before / after' : 'Mic active';
+        }
+        elements.audioPreviewContainer?.classList.remove('hidden');
+        applyMicMonitor();
+
+        // Start the level meter animation
+        updateAudioLevel();
+    } catch (err) {
+        console.error('Mic preview error:', err);
+    }
+}
+
+// Play the original or processed mic preview through the speakers (use headphones)
+function applyMicMonitor() {
+    if (!previewNodes) return;
+
+    for (const node of Object.values(previewNodes)) {
+        try {
+            node?.disconnect(audioContext.destination);
+        } catch {
+            // Wasn't connected
+        }
+    }
+
+    const node = previewNodes[elements.micMonitor?.value];
+    node?.connect(audioContext.destination);
+}
+
+// Stop microphone preview
+function stopMicPreview() {
+    if (audioAnimationId) {
+        cancelAnimationFrame(audioAnimationId);
+        audioAnimationId = null;
+    }
+
+    if (micPreviewStream) {
+        micPreviewStream.getTracks().forEach(track => track.stop());
+        micPreviewStream = null;
+    }
+
+    if (audioContext) {
+        audioContext.close();
+        audioContext = null;
+        audioAnalyser = null;
+        processedAnalyser = null;
+        previewNodes = null;
+    }
+
+    for (const level of [elements.audioLevel, elements.processedAudioLevel]) {
+        if (level) level.style.height = '0%';
+    }
+    elements.audioPreviewContainer?.classList.add('hidden');
+}
+
+// Update the audio level meter
+function updateAudioLevel() {
+    if (!audioAnalyser) return;
+
+    if (elements.audioLevel) {
+        elements.audioLevel.style.height = `${levelToPercent(getAnalyserLevel(audioAnalyser))}%`;
+    }
+    if (processedAnalyser && elements.processedAudioLevel) {
+        elements.processedAudioLevel.style.height = `${levelToPercent(getAnalyserLevel(processedAnalyser))}%`;
+    }
+
+    audioAnimationId = requestAnimationFrame(updateAudioLevel);
+}
+
+// Get an analyser's current level as RMS (0 to 1)
+function getAnalyserLevel(analyser) {
+    const dataArray = new Uint8Array(analyser.frequencyBinCount);
+    analyser.getByteTimeDomainData(dataArray);
+
+    // Calculate RMS (root mean square) for better sensitivity
+    let sum = 0;
+    for (let i = 0; i < dataArray.length; i++) {
+        const sample = (dataArray[i] - 128) / 128; // Normalize to -1 to 1
+        sum += sample * sample;
+    }
+    return Math.sqrt(sum / dataArray.length);
+}
+
+// Convert an RMS level to a meter percentage
+function levelToPercent(rms) {
+    // Scale up for better visibility (multiply by 3 for more sensitivity)
+    return Math.min(100, rms * 300);
+}
+
+// Build the mixer rows for the audio sources in the current recording
+function renderAudioMixer() {
+    if (!elements.audioMixer) return;
+
+    if (mixerAnimationId) {
+        cancelAnimationFrame(mixerAnimationId);
+    }
+
+    const sources = recorder.getAudioSources();
+    elements.audioMixer.innerHTML = '';
+    elements.audioMixer.classList.toggle('hidden', sources.length === 0);
+
+    for (const source of sources) {
+        const row = document.createElement('div');
+        row.className = 'mixer-row';
+        row.dataset.source = source.id;
+        row.innerHTML = `
+            <span class="mixer-label">${source.label}</span>
+            <div class="mixer-meter"><div class="mixer-level"></div></div>
+            <input class="mixer-volume" type="range" min="0" max="200" step="5"
+                value="${Math.round(source.volume * 100)}" aria-label="${source.label} volume">
+            <button class="mixer-mute" type="button"></button>
+        `;
+
+        const muteBtn = row.querySelector('.mixer-mute');
+        const setMuteDisplay = (muted) => {
+            muteBtn.classList.toggle('muted', muted);
+            muteBtn.setAttribute('aria-pressed', String(muted));
+            muteBtn.textContent = muted ? 'Unmute' : 'Mute';
+        };
+        setMuteDisplay(source.muted);
+
+        row.querySelector('.mixer-volume').addEventListener('input', (e) => {
+            const volume = Number(e.target.value) / 100;
+            recorder.setSourceVolume(source.id, volume);
+            saveAudioMix(source.id, { volume });
+        });
+
+        muteBtn.addEventListener('click', () => {
+            const muted = !muteBtn.classList.contains('muted');
+            recorder.setSourceMuted(source.id, muted);
+            saveAudioMix(source.id, { muted });
+            setMuteDisplay(muted);
+        });
+
+        elements.audioMixer.appendChild(row);
+    }
+
+    updateMixerLevels();
+}
+
+// Update the mixer level meters
+function updateMixerLevels() {
+    for (const row of elements.audioMixer.querySelectorAll('.mixer-row')) {
+        const level = levelToPercent(recorder.getSourceLevel(row.dataset.source));
+        row.querySelector('.mixer-level').style.width = `${level}%`;
+    }
+
+    mixerAnimationId = requestAnimationFrame(updateMixerLevels);
+}
+
+// Stop the mixer meters and clear the rows
+function stopAudioMixer() {
+    if (mixerAnimationId) {
+        cancelAnimationFrame(mixerAnimationId);
+        mixerAnimationId = null;
+    }
+    if (elements.audioMixer) {
+        elements.audioMixer.innerHTML = '';
+        elements.audioMixer.classList.add('hidden');
+    }
+}
+
+// Remember a source's mix settings for the next recording
+function saveAudioMix(id, changes) {
+    const { audioMix = {} } = loadSettings();
+    saveSettings({ audioMix: { ...audioMix, [id]: { ...audioMix[id], ...changes } } });
+}
+
+// Update UI based on state
+function setState(newState) {
+    state = newState;
+
+    // Hide all sections
+    elements.unsupportedBanner?.classList.add('hidden');
+    elements.folderSection?.classList.add('hidden');
+    elements.noFolderSection?.classList.add('hidden');
+    elements.readySection?.classList.add('hidden');
+    elements.recordingSection?.classList.add('hidden');
+    elements.recordingSection?.classList.remove('paused', 'replay');
+
+    // Show relevant sections
+    switch (state) {
+        case 'unsupported':
+            elements.unsupportedBanner?.classList.remove('hidden');
+            break;
+
+        case 'no-folder':
+            elements.noFolderSection?.classList.remove('hidden');
+            updateGrantAccessButton();
+            // Other workspaces can still be opened
+            if (storage.getWorkspaceId()) {
+                elements.folderSection?.classList.remove('hidden');
+                updateFolderDisplay();
+            }
+            break;
+
+        case 'ready':
+            elements.folderSection?.classList.remove('hidden');
+            elements.readySection?.classList.remove('hidden');
+            updateFolderDisplay();
+            break;
+
+        case 'recording':
+            elements.folderSection?.classList.remove('hidden');
+            elements.recordingSection?.classList.remove('hidden');
+            break;
+
+        case 'paused':
+            elements.folderSection?.classList.remove('hidden');
+            elements.recordingSection?.classList.remove('hidden');
+            elements.recordingSection?.classList.add('paused');
+            break;
+
+        case 'replay':
+            elements.folderSection?.classList.remove('hidden');
+            elements.recordingSection?.classList.add('replay');
+            elements.recordingSection?.classList.remove('hidden');
+            break;
+    }
+
+    if (elements.pauseRecordingLabel) {
+        elements.pauseRecordingLabel.textContent = state === 'paused' ? 'Resume' : 'Pause';
+    }
+
+    // Workspaces can't be switched while recording
+    if (elements.workspaceBtn) {
+        elements.workspaceBtn.disabled = !['ready', 'no-folder'].includes(state);
+    }
+    hideWorkspaceMenu();
+}
+
+// Update folder name display (with the workspace's name when it isn't just the folder's)
+async function updateFolderDisplay() {
+    const folderName = storage.getFolderName();
+    if (elements.folderName) {
+        elements.folderName.textContent = folderName || 'Unknown folder';
+    }
+
+    workspaces = await storage.getWorkspaces();
+    const workspace = workspaces.find(item => item.id === storage.getWorkspaceId());
+    if (elements.workspaceName) {
+        elements.workspaceName.textContent = workspace && workspace.name !== folderName ? workspace.name : '';
+    }
+}
+
+// Handle folder selection (for the open workspace)
+async function handleFolderSelect() {
+    try {
+        const handle = await storage.requestFolderAccess();
+        if (handle) {
+            await openFolder();
+        }
+    } catch (err) {
+        console.error('Error selecting folder:', err);
+        alert('Failed to access folder. Please try again.');
+    }
+}
+
+// Show the library and options for the open workspace's folder, once it can be used
+async function openFolder() {
+    setState('ready');
+    await recoverInterruptedRecordings();
+    await refreshLibrary();
+    await populateDevices();
+    await populateImageSelects();
+}
+
+// Restore the open workspace's settings in every option (after switching workspace)
+function populateSettings() {
+    populateModes();
+    populateFormats();
+    populateQuality();
+    populateAudioProcessing();
+    populateLimits();
+    populateReplayLength();
+    populateChromaKey();
+    populateAnnotations();
+    populateBranding();
+    populateLibraryView();
+}
+
+// Offer one-click access to the open workspace's folder when its permission has lapsed
+function updateGrantAccessButton() {
+    const folderName = storage.getFolderName();
+    elements.grantAccessBtn?.classList.toggle('hidden', !folderName);
+    elements.selectFolderBtn?.classList.toggle('btn-secondary', !!folderName);
+    elements.selectFolderBtn?.classList.toggle('btn-primary', !folderName);
+    if (elements.grantAccessLabel && folderName) {
+        elements.grantAccessLabel.textContent = `Allow access to ${folderName}`;
+    }
+}
+
+// Check which workspaces' folders can be used without asking, and show them in the menu
+async function renderWorkspaces() {
+    if (!elements.workspaceList) return;
+
+    workspaces = await Promise.all((await storage.getWorkspaces()).map(async (workspace) => ({
+        ...workspace,
+        granted: await storage.verifyPermission(workspace.handle)
+    })));
+
+    const activeId = storage.getWorkspaceId();
+    elements.workspaceList.innerHTML = '';
+    for (const workspace of workspaces) {
+        const item = document.createElement('li');
+        item.className = 'workspace-item' + (workspace.id === activeId ? ' active' : '');
+
+        const open = document.createElement('button');
+        open.className = 'workspace-open';
+        const name = document.createElement('span');
+        name.textContent = workspace.name;
+        const details = document.createElement('span');
+        details.className = 'workspace-item-folder';
+        const status = document.createElement('span');
+        status.className = `workspace-status ${workspace.granted ? 'granted' : 'needs-access'}`;
+        status.textContent = workspace.granted ? 'Allowed' : 'Needs access';
+        details.append(`${workspace.handle.name} · `, status);
+        open.append(name, details);
+        open.addEventListener('click', () => handleSwitchWorkspace(workspace.id));
+        item.appendChild(open);
+
+        if (!workspace.granted) {
+            const grant = document.createElement('button');
+            grant.className = 'workspace-grant';
+            grant.textContent = 'Grant';
+            grant.title = `Allow access to ${workspace.handle.name}`;
+            grant.addEventListener('click', () => handleGrantAccess(workspace.id));
+            item.appendChild(grant);
+        }
+
+        item.appendChild(createWorkspaceAction('Rename workspace', 'M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04a1 1 0 0 0 0-1.41l-2.34-2.34a1 1 0 0 0-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z',
+            () => handleRenameWorkspace(workspace.id)));
+        if (workspace.id !== activeId) {
+            item.appendChild(createWorkspaceAction('Remove workspace', 'M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z',
+                () => handleRemoveWorkspace(workspace.id)));
+        }
+        elements.workspaceList.appendChild(item);
+    }
+}
+
+// Create an icon button for a workspace in the menu
+function createWorkspaceAction(label, iconPath, onClick) {
+    const button = document.createElement('button');
+    button.className = 'collection-action';
+    button.title = label;
+    button.setAttribute('aria-label', label);
+    button.innerHTML = `<svg viewBox="0 0 24 24" fill="currentColor"><path d="${iconPath}"/></svg>`;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+// Open or close the workspace menu
+async function toggleWorkspaceMenu() {
+    if (!elements.workspaceMenu) return;
+
+    const opening = elements.workspaceMenu.classList.contains('hidden');
+    if (opening) {
+        await renderWorkspaces();
+    }
+    elements.workspaceMenu.classList.toggle('hidden', !opening);
+    elements.workspaceBtn?.setAttribute('aria-expanded', String(opening));
+}
+
+// Close the workspace menu
+function hideWorkspaceMenu() {
+    elements.workspaceMenu?.classList.add('hidden');
+    elements.workspaceBtn?.setAttribute('aria-expanded', 'false');
+}
+
+// Ask again for access to a workspace's folder (needs the click), opening it if it's the open one
+async function handleGrantAccess(id) {
+    const workspace = (await storage.getWorkspaces()).find(item => item.id === id);
+    if (!workspace) return;
+
+    if (!await storage.verifyPermission(workspace.handle, true)) {
+        showToast(`Access to ${workspace.handle.name} wasn't allowed.`);
+        await renderWorkspaces();
+        return;
+    }
+
+    if (id === storage.getWorkspaceId() && state === 'no-folder') {
+        await openFolder();
+    } else {
+        await renderWorkspaces();
+    }
+}
+
+// Open another workspace with its own folder and settings, asking for access if needed
+async function handleSwitchWorkspace(id) {
+    if (!['ready', 'no-folder'].includes(state)) return;
+
+    if (id === storage.getWorkspaceId() && state === 'ready') {
+        hideWorkspaceMenu();
+        return;
+    }
+
+    const workspace = workspaces.find(item => item.id === id);
+    if (!workspace) return;
+    if (!await storage.verifyPermission(workspace.handle, true)) {
+        showToast(`Access to ${workspace.handle.name} wasn't allowed.`);
+        await renderWorkspaces();
+        return;
+    }
+
+    try {
+        await storage.switchWorkspace(id);
+    } catch (err) {
+        console.error('Error switching workspace:', err);
+        alert('Failed to open the workspace.');
+        return;
+    }
+
+    // A bookmarked library view belongs to the workspace being left
+    history.replaceState(null, '', location.pathname + location.search);
+    thumbnails.clear();
+    folderImages.clear();
+    populateSettings();
+    await openFolder();
+    showToast(`Switched to ${workspace.name}.`);
+}
+
+// Add a workspace with its own folder, starting with a copy of the current settings
+async function handleAddWorkspace() {
+    const name = prompt('Name of the new workspace (e.g. Personal or Team), then pick its folder:', '');
+    if (name === null) return;
+
+    const { collection, ...settings } = loadSettings();
+    try {
+        const workspace = await storage.addWorkspace(name);
+        if (!workspace) return;
+
+        saveSettings(settings);
+        history.replaceState(null, '', location.pathname + location.search);
+        thumbnails.clear();
+        folderImages.clear();
+        populateSettings();
+        await openFolder();
+    } catch (err) {
+        console.error('Error adding workspace:', err);
+        alert('Failed to add the workspace. Please try again.');
+    }
+}
+
+// Rename a workspace
+async function handleRenameWorkspace(id) {
+    const workspace = workspaces.find(item => item.id === id);
+    const name = prompt('Rename workspace to:', workspace?.name || '');
+    if (!name?.trim()) return;
+
+    await storage.renameWorkspace(id, name);
+    await updateFolderDisplay();
+    await renderWorkspaces();
+}
+
+// Forget a workspace (its folder and recordings are kept)
+async function handleRemoveWorkspace(id) {
+    const workspace = workspaces.find(item => item.id === id);
+    if (!workspace) return;
+
+    const confirmed = confirm(`Remove the workspace "${workspace.name}"?\n\nIts folder and recordings are kept; Unloom just stops listing it.`);
+    if (!confirmed) return;
+
+    try {
+        await storage.removeWorkspace(id);
+        localStorage.removeItem(getSettingsKey(id));
+    } catch (err) {
+        console.error('Error removing workspace:', err);
+        alert(`Failed to remove the workspace. ${err.message}`);
+    }
+    await renderWorkspaces();
+}
+
+// Offer to recover recordings left behind by a crashed or closed tab
+async function recoverInterruptedRecordings() {
+    let sessions = [];
+    try {
+        sessions = await storage.getInterruptedRecordings();
+    } catch (err) {
+        console.error('Error checking for interrupted recordings:', err);
+        return;
+    }
+    if (sessions.length === 0) return;
+
+    const list = sessions
+        .map(s => `• ${library.formatDate(s.timestamp)} (${library.formatSize(s.size) || 'empty'})`)
+        .join('\n');
+    const count = sessions.length === 1 ? 'an interrupted recording' : `${sessions.length} interrupted recordings`;
+
+    if (confirm(`Found ${count}:\n\n${list}\n\nRecover into your library?`)) {
+        for (const session of sessions) {
+            try {
+                await storage.recoverRecording(session);
+            } catch (err) {
+                console.error('Error recovering recording:', err);
+            }
+        }
+    } else if (confirm('Discard the interrupted recordings?\n\nThis cannot be undone.')) {
+        for (const session of sessions) {
+            try {
+                await storage.discardInterruptedRecording(session);
+            } catch (err) {
+                console.error('Error discarding recording:', err);
+            }
+        }
+    }
+}
+
+// Handle start recording
+async function handleStartRecording() {
+    try {
+        elements.startRecordingBtn.disabled = true;
+
+        // Stop previews before recording (we'll use them in the recording)
+        stopMicPreview();
+        stopCameraPreview();
+
+        const { mode, micDeviceId, cameraDeviceId } = getSelectedDevices();
+        const format = elements.formatSelect?.value || 'webm';
+
+        // Stream chunks to disk as they arrive so a crash doesn't lose the take.
+        // In segment mode every part gets its own file and stream.
+        const limits = getLimits();
+        const timestamp = Date.now();
+        const recording = {
+            baseName: `recording-${timestamp}`,
+            extension: recorder.getFileExtension(mode, format),
+            seriesId: limits.segmentMinutes ? `recording-${timestamp}` : null,
+            timestamp,
+            kind: mode === 'audio' ? 'audio' : 'video',
+            collection: currentCollection || '', // Saved in the collection shown when recording started
+            streams: new Map(), // part -> stream
+            partSaves: Promise.resolve(),
+            savedFiles: [] // Names of the parts saved so far
+        };
+        currentRecording = recording;
+        const firstStream = await createPartStream(recording, 1);
+
+        const { stream } = await recorder.startRecording({
+            micDeviceId,
+            cameraDeviceId,
+            mode,
+            format,
+            quality: getSelectedQuality(),
+            audioMix: loadSettings().audioMix || {},
+            separateAudio: elements.separateAudioToggle?.checked || false,
+            audioProcessing: getAudioProcessingSettings(),
+            limits,
+            cameraOverlay: loadSettings().cameraOverlay || {},
+            screenLayout: loadSettings().screenLayout,
+            chromaKey: cameraDeviceId ? await resolveChromaKey(getChromaKeySettings()) : null,
+            selectRegion: getRegionSelector(),
+            branding: await resolveBranding(),
+            onDeviceLost: handleDeviceLost,
+            onScreenEnded: handleScreenEnded,
+            onVideoError: handleVideoError,
+            onSystemAudioEnded: handleSystemAudioEnded,
+            onLimitWarning: handleLimitWarning,
+            onLimitReached: handleLimitReached,
+            onSegment: (part) => {
+                // Parts are saved in order while recording continues
+                recording.partSaves = recording.partSaves
+                    .then(() => saveRecordingPart(recording, part))
+                    .catch((err) => {
+                        console.error('Error saving part:', err);
+                        showToast(`Part ${part.part} could not be saved. It can be recovered after reloading.`);
+                    });
+            },
+            createSink: (part) => createPartStream(recording, part),
+            sink: firstStream
+        });
+
+        setState('recording');
+        startTimer();
+        renderAudioMixer();
+        updateRecordingDevices();
+        showOverlayEditor(stream);
+    } catch (err) {
+        console.error('Error starting recording:', err);
+        elements.startRecordingBtn.disabled = false;
+
+        await currentRecording?.streams.get(1)?.discard().catch(() => {});
+        currentRecording = null;
+        alertStartError(err);
+    }
+}
+
+// Get the mode and the devices to record (only use mic if toggle is enabled)
+function getSelectedDevices() {
+    const mode = getSelectedMode();
+    const micEnabled = elements.micToggle?.checked || false;
+    const micDeviceId = micEnabled ? (elements.micSelect?.value || null) : null;
+    const cameraDeviceId = modeUsesCamera() ? (elements.cameraSelect?.value || null) : null;
+
+    if (mode === 'audio' && !micDeviceId) {
+        throw Object.assign(new Error('No microphone selected'), { name: 'MissingDeviceError' });
+    }
+    if (mode === 'camera' && !cameraDeviceId) {
+        throw Object.assign(new Error('No camera selected'), { name: 'MissingDeviceError' });
+    }
+
+    return { mode, micDeviceId, cameraDeviceId };
+}
+
+// Explain why a recording or replay couldn't start
+function alertStartError(err) {
+    if (err.name === 'AbortError') {
+        return; // The user cancelled
+    }
+    if (err.name === 'MissingDeviceError') {
+        alert(getSelectedMode() === 'audio'
+            ? 'Turn on a microphone to record audio only.'
+            : 'Select a camera to record camera only.');
+    } else if (err.name === 'NotAllowedError') {
+        alert(recorder.RECORDING_MODES[getSelectedMode()]?.screen
+            ? 'Screen sharing permission denied. Please allow screen sharing to record.'
+            : 'Camera or microphone permission denied. Please allow access to record.');
+    } else {
+        alert('Failed to start recording. Please try again.');
+    }
+}
+
+// Start instant replay: capture in the background, keeping only the last few minutes in memory.
+// Always WebM, since the buffer is cut at WebM clusters.
+async function handleStartReplay() {
+    try {
+        elements.startRecordingBtn.disabled = true;
+        elements.startReplayBtn.disabled = true;
+
+        stopMicPreview();
+        stopCameraPreview();
+
+        const { mode, micDeviceId, cameraDeviceId } = getSelectedDevices();
+        const minutes = Number(elements.replayLengthSelect?.value) || DEFAULT_REPLAY_MINUTES;
+        replayBuffer = createReplayBuffer({ seconds: minutes * 60 });
+
+        const { stream, mimeType } = await recorder.startRecording({
+            micDeviceId,
+            cameraDeviceId,
+            mode,
+            format: 'webm',
+            quality: getSelectedQuality(),
+            audioMix: loadSettings().audioMix || {},
+            audioProcessing: getAudioProcessingSettings(),
+            keyframeInterval: REPLAY_KEYFRAME_INTERVAL,
+            cameraOverlay: loadSettings().cameraOverlay || {},
+            screenLayout: loadSettings().screenLayout,
+            chromaKey: cameraDeviceId ? await resolveChromaKey(getChromaKeySettings()) : null,
+            selectRegion: getRegionSelector(),
+            branding: await resolveBranding({ cards: false }),
+            onDeviceLost: handleDeviceLost,
+            onScreenEnded: handleScreenEnded,
+            onVideoError: handleVideoError,
+            onSystemAudioEnded: handleSystemAudioEnded,
+            sink: replayBuffer
+        });
+
+        if (!mimeType.includes('webm')) {
+            await recorder.stopRecording().catch(() => {});
+            throw new Error(`Instant replay needs WebM, got ${mimeType}`);
+        }
+
+        setState('replay');
+        startTimer();
+        renderAudioMixer();
+        updateRecordingDevices();
+        showOverlayEditor(stream);
+    } catch (err) {
+        console.error('Error starting instant replay:', err);
+        elements.startRecordingBtn.disabled = false;
+        elements.startReplayBtn.disabled = false;
+        replayBuffer = null;
+        alertStartError(err);
+    }
+}
+
+// Save what the replay buffer holds, while it keeps running
+async function handleSaveReplay() {
+    if (state !== 'replay' || !replayBuffer || elements.saveReplayBtn.disabled) return;
+
+    try {
+        elements.saveReplayBtn.disabled = true;
+
+        const timestamp = Date.now();
+        const { blob, duration } = await webm.fixWebm(await replayBuffer.snapshot());
+        await storage.saveRecording(blob, {
+            filename: `replay-${timestamp}.webm`,
+            collection: currentCollection || '',
+            duration: Math.round(duration),
+            timestamp,
+            kind: getSelectedMode() === 'audio' ? 'audio' : 'video'
+        });
+
+        showToast(`Saved the last ${library.formatDuration(Math.round(duration))}.`);
+        await refreshLibrary();
+    } catch (err) {
+        console.error('Error saving replay:', err);
+        showToast('Could not save the replay. Try again in a few seconds.');
+    } finally {
+        elements.saveReplayBtn.disabled = false;
+    }
+}
+
+// Stop instant replay without saving
+async function handleStopReplay() {
+    if (state !== 'replay') return;
+
+    stopTimer();
+    stopAudioMixer();
+    hideOverlayEditor();
+    try {
+        await recorder.stopRecording();
+    } catch (err) {
+        console.warn('Replay capture had already stopped:', err);
+    }
+    await replayBuffer?.discard();
+    replayBuffer = null;
+
+    setState('ready');
+    elements.startRecordingBtn.disabled = false;
+    elements.startReplayBtn.disabled = false;
+
+    if (elements.micToggle?.checked) {
+        await startMicPreview();
+    }
+    if (modeUsesCamera()) {
+        await startCameraPreview();
+    }
+}
+
+// Ctrl+Shift+S (Cmd+Shift+S on Mac) saves the replay
+function handleReplayHotkey(e) {
+    if (state !== 'replay') return;
+    if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === 's') {
+        e.preventDefault();
+        handleSaveReplay();
+    }
+}
+
+// Handle pause/resume toggle
+function handlePauseRecording() {
+    if (state === 'recording') {
+        if (recorder.pauseRecording()) {
+            setState('paused');
+            updateTimerDisplay();
+        }
+    } else if (state === 'paused') {
+        if (recorder.resumeRecording()) {
+            setState('recording');
+            updateTimerDisplay();
+        }
+    }
+}
+
+// MediaRecorder leaves out the duration and seek index, so add them before saving
+async function fixRecordingBlob(blob, mimeType) {
+    if (!/^(audio|video)\/webm/.test(mimeType)) return blob;
+
+    try {
+        return (await webm.fixWebm(blob)).blob;
+    } catch (err) {
+        console.warn('Could not post-process recording:', err);
+        return blob;
+    }
+}
+
+// Loudness normalisation: re-encode the recording's audio with the measured gain before it's
+// saved. Returns the blob and the loudness to store, whose gain is 0 if it couldn't be applied.
+async function normalizeRecordingBlob(blob, mimeType, loudness) {
+    if (!loudness?.gain) return { blob, loudness };
+
+    const container = /^(audio|video)\/webm/.test(mimeType) ? webm
+        : /^(audio|video)\/mp4/.test(mimeType) ? mp4
+            : null;
+
+    try {
+        if (!container) throw new Error(`Can't normalise ${mimeType}`);
+        const normalized = await container.transformAudio(blob, track => audioProcessing.applyGain(track, loudness.gain));
+        return { blob: normalized, loudness };
+    } catch (err) {
+        console.warn('Could not normalise loudness:', err);
+        showToast('Could not normalise the loudness, so the recording is saved as it was.');
+        return { blob, loudness: { ...loudness, gain: 0 } };
+    }
+}
+
+// File name and series info of a part (parts are only numbered in segment mode)
+function getPartInfo(recording, part) {
+    if (!recording.seriesId) {
+        return { filename: `${recording.baseName}${recording.extension}`, series: null };
+    }
+    return {
+        filename: `${recording.baseName}-part${part}${recording.extension}`,
+        series: { id: recording.seriesId, part }
+    };
+}
+
+// Stream a part to disk (null if that isn't possible, so it's kept in memory)
+async function createPartStream(recording, part) {
+    try {
+        const stream = await storage.createRecordingStream({
+            ...getPartInfo(recording, part),
+            timestamp: recording.timestamp,
+            kind: recording.kind,
+            collection: recording.collection
+        });
+        recording.streams.set(part, stream);
+        return stream;
+    } catch (err) {
+        console.warn('Could not stream recording to disk, keeping it in memory:', err);
+        return null;
+    }
+}
+
+// Save a finished part (the whole recording when it isn't split) and remove its streamed chunks
+async function saveRecordingPart(recording, { blob, duration, mimeType, audioTracks, loudness, part }) {
+    const { filename, series } = getPartInfo(recording, part);
+    const normalized = await normalizeRecordingBlob(blob, mimeType, loudness);
+
+    // Save to folder (separate audio tracks are saved alongside as part of the same recording)
+    const saved = await storage.saveRecording(await fixRecordingBlob(normalized.blob, mimeType), {
+        filename,
+        collection: recording.collection,
+        duration,
+        timestamp: recording.timestamp,
+        kind: recording.kind,
+        loudness: normalized.loudness,
+        series,
+        audioTracks: await Promise.all(audioTracks.map(async (track) => ({
+            ...track,
+            blob: await fixRecordingBlob(track.blob, track.mimeType)
+        })))
+    });
+
+    recording.savedFiles.push(saved.filename);
+
+    // The file is saved, so the streamed chunks are no longer needed
+    await recording.streams.get(part)?.discard().catch(err => console.warn('Error removing recording parts:', err));
+}
+
+// Warn shortly before a limit stops the recording
+function handleLimitWarning({ reason, seconds }) {
+    const limit = reason === 'size' ? 'size' : 'time';
+    showToast(`Recording will stop in ${seconds} seconds (${limit} limit).`);
+}
+
+// Stop and save when a limit is reached
+async function handleLimitReached(reason) {
+    const { maxMinutes, maxMegabytes } = getLimits();
+    showToast(reason === 'size'
+        ? `Recording stopped at the ${maxMegabytes} MB limit.`
+        : `Recording stopped at the ${maxMinutes} minute limit.`);
+    await handleStopRecording();
+}
+
+// Handle stop recording
+async function handleStopRecording() {
+    if (!currentRecording || elements.stopRecordingBtn.disabled) return; // Already stopping
+
+    try {
+        elements.stopRecordingBtn.disabled = true;
+        stopTimer();
+        if (getSelectedMode() !== 'audio' && branding.getOutroSeconds(getBrandingSettings())) {
+            showToast('Finishing with the outro card…');
+        }
+        stopAudioMixer();
+        hideOverlayEditor();
+
+        const result = await recorder.stopRecording();
+        const recording = currentRecording;
+        currentRecording = null;
+
+        // Earlier parts finish saving first
+        await recording.partSaves;
+        await saveRecordingPart(recording, result);
+
+        setState('ready');
+        if (loadSettings().titlePrompt) {
+            await promptForTitle(recording.savedFiles);
+        }
+        await refreshLibrary();
+
+        // Restart previews if they were enabled
+        if (elements.micToggle?.checked) {
             await startMicPreview();
         }
-        if (elements.cameraToggle?.checked) {
+        if (modeUsesCamera()) {
             await startCameraPreview();
         }
     } catch (err) {
@@ -450,6 +2526,22 @@ async function handleStopRecording() {
     } finally {
         elements.stopRecordingBtn.disabled = false;
         elements.startRecordingBtn.disabled = false;
+        elements.startReplayBtn.disabled = false;
+    }
+}
+
+// Ask for a title for a just-saved recording (every part of a split one gets the same title)
+async function promptForTitle(filenames) {
+    const title = prompt('Title for this recording:', '')?.trim();
+    if (!title) return;
+
+    for (const filename of filenames) {
+        try {
+            await storage.updateRecording(filename, { title });
+        } catch (err) {
+            console.error('Error saving title:', err);
+            showToast(`Could not save the title of ${filename}.`);
+        }
     }
 }
 
@@ -469,32 +2561,93 @@ function stopTimer() {
 
 // Update timer display
 function updateTimerDisplay() {
+    updateFrameStats();
+
+    if (state === 'replay') {
+        const buffered = replayBuffer?.getBufferedSeconds() || 0;
+        if (elements.recordingTimer) {
+            elements.recordingTimer.textContent = `Replay · ${library.formatDuration(buffered)} buffered`;
+        }
+        return;
+    }
+
     const elapsed = recorder.getElapsedTime();
+    const part = recorder.getCurrentPart();
     if (elements.recordingTimer) {
-        elements.recordingTimer.textContent = library.formatDuration(elapsed);
+        elements.recordingTimer.textContent = library.formatDuration(elapsed) + (part > 1 ? ` · part ${part}` : '');
     }
 }
 
+// Show the video's effective frame rate next to the timer, highlighted when it falls behind
+function updateFrameStats() {
+    const label = elements.recordingFps;
+    if (!label) return;
+
+    const stats = recorder.getFrameStats();
+    label.classList.toggle('hidden', !stats);
+    if (!stats) return;
+
+    label.textContent = `${stats.fps} fps`;
+    label.classList.toggle('slow', stats.fps < stats.targetFps * SLOW_FPS_RATIO);
+    label.title = (stats.mode === 'worker'
+        ? 'Drawn in a background worker'
+        : 'Drawn on the page, so it slows down while this tab is in the background')
+        + ` · ${stats.frameMs.toFixed(1)} ms per frame · target ${stats.targetFps} fps`;
+}
+
 // Refresh the library view
 async function refreshLibrary() {
-    const recordings = await storage.getRecordings();
+    libraryRecordings = await storage.getRecordings();
+    collections = await storage.getCollections();
+    if (currentCollection && !collections.includes(currentCollection)) {
+        currentCollection = null;
+    }
+    await renderLibraryView();
+}
+
+// Render the recordings that match the library filters, in the chosen order
+async function renderLibraryView() {
+    const shown = currentCollection === null
+        ? libraryRecordings
+        : libraryRecordings.filter(recording => recording.collection === currentCollection);
+    const recordings = library.filterRecordings(shown, libraryView);
+    const filtered = library.hasFilters(libraryView);
+
+    renderCollections();
+    elements.libraryContainer.classList.toggle('list', libraryView.view === 'list');
+    elements.libraryToolbar?.classList.toggle('hidden', shown.length === 0 && !filtered);
+    if (elements.libraryCount) {
+        elements.libraryCount.textContent = filtered
+            ? `${recordings.length} of ${shown.length}`
+            : `${shown.length} recording${shown.length === 1 ? '' : 's'}`;
+    }
+
     library.renderLibrary(
         elements.libraryContainer,
         recordings,
         handlePlayRecording,
-        handleDeleteRecording
+        handleDeleteRecording,
+        handleRepairRecording,
+        handleRenameRecording,
+        { filtered }
     );
 
     // Generate thumbnails for each recording
     const cards = elements.libraryContainer.querySelectorAll('.recording-card');
     for (const card of cards) {
+        if (!card.isConnected) return; // Rendered again in the meantime
+
         const filename = card.dataset.filename;
-        if (filename) {
+        if (filename && card.dataset.kind !== 'audio') {
+            const recording = libraryRecordings.find(r => r.filename === filename);
+            const key = `${filename}:${recording?.size}:${recording?.timestamp}`;
             try {
-                const blob = await storage.getRecordingBlob(filename);
-                const thumbnail = await library.generateThumbnail(blob);
-                if (thumbnail) {
-                    library.setCardThumbnail(card, thumbnail);
+                if (!thumbnails.has(key)) {
+                    const blob = await storage.getRecordingBlob(filename);
+                    thumbnails.set(key, await library.generateThumbnail(blob));
+                }
+                if (thumbnails.get(key)) {
+                    library.setCardThumbnail(card, thumbnails.get(key));
                 }
             } catch (err) {
                 // Silently ignore thumbnail generation errors
@@ -503,11 +2656,175 @@ async function refreshLibrary() {
     }
 }
 
+// Render the collections sidebar
+function renderCollections() {
+    if (!elements.collectionList) return;
+
+    const folderName = storage.getFolderName() || 'Main folder';
+    library.renderCollections(elements.collectionList, libraryRecordings, collections, currentCollection, folderName, {
+        onSelect: handleSelectCollection,
+        onMove: handleMoveRecording,
+        onRename: handleRenameCollection,
+        onDelete: handleDeleteCollection
+    });
+    if (elements.collectionHint) {
+        elements.collectionHint.textContent = `New recordings are saved in ${currentCollection || folderName}.`;
+    }
+}
+
+// Show a collection (null for all recordings) and save new recordings there
+function handleSelectCollection(collection) {
+    currentCollection = collection;
+    saveSettings({ collection });
+    renderLibraryView();
+}
+
+// Create a collection and show it
+async function handleNewCollection() {
+    const name = prompt('Name of the new collection (a folder is created for it):', '');
+    if (!name?.trim()) return;
+
+    try {
+        const collection = await storage.createCollection(name);
+        currentCollection = collection;
+        saveSettings({ collection });
+    } catch (err) {
+        console.error('Error creating collection:', err);
+        alert(`Failed to create the collection. ${err.message}`);
+    }
+    await refreshLibrary();
+}
+
+// Rename a collection (its folder)
+async function handleRenameCollection(collection) {
+    const name = prompt(`Rename "${collection}" to:`, collection);
+    if (!name?.trim() || name.trim() === collection) return;
+
+    try {
+        const renamed = await storage.renameCollection(collection, name);
+        if (currentCollection === collection) {
+            currentCollection = renamed;
+            saveSettings({ collection: renamed });
+        }
+    } catch (err) {
+        console.error('Error renaming collection:', err);
+        alert(`Failed to rename the collection. ${err.message}`);
+    }
+    await refreshLibrary();
+}
+
+// Delete a collection, moving its recordings to the top of the folder
+async function handleDeleteCollection(collection) {
+    const folderName = storage.getFolderName() || 'the main folder';
+    const confirmed = confirm(`Delete the collection "${collection}"?\n\nIts recordings are moved to ${folderName}.`);
+    if (!confirmed) return;
+
+    try {
+        await storage.deleteCollection(collection);
+    } catch (err) {
+        console.error('Error deleting collection:', err);
+        alert(`Failed to delete the collection. ${err.message}`);
+    }
+    await refreshLibrary();
+}
+
+// Move a recording dropped on a collection
+async function handleMoveRecording(filename, collection) {
+    if (libraryRecordings.find(r => r.filename === filename)?.collection === collection) return;
+
+    try {
+        await storage.moveRecording(filename, collection);
+        showToast(`Moved to ${collection || storage.getFolderName() || 'the main folder'}.`);
+    } catch (err) {
+        console.error('Error moving recording:', err);
+        alert(`Failed to move the recording. ${err.message}`);
+    }
+    await refreshLibrary();
+}
+
+// Read the library view from the URL hash, e.g. #q=demo&sort=oldest (null without one)
+function getHashLibraryView() {
+    const params = new URLSearchParams(location.hash.slice(1));
+    if ([...params.keys()].length === 0) return null;
+
+    const view = { ...library.DEFAULT_LIBRARY_VIEW };
+    view.query = params.get('q') || '';
+    for (const key of ['from', 'to']) {
+        if (/^\d{4}-\d{2}-\d{2}$/.test(params.get(key))) view[key] = params.get(key);
+    }
+    if (Object.hasOwn(library.DURATION_FILTERS, params.get('duration'))) view.duration = params.get('duration');
+    if (Object.hasOwn(library.SIZE_FILTERS, params.get('size'))) view.size = params.get('size');
+    if (Object.hasOwn(library.SORT_OPTIONS, params.get('sort'))) view.sort = params.get('sort');
+    if (params.get('view') === 'list') view.view = 'list';
+    return view;
+}
+
+// Put the library view in the URL hash (left out where it's the default), so it can be bookmarked
+function setHashLibraryView(view) {
+    const params = new URLSearchParams();
+    const names = { query: 'q' };
+    for (const [key, value] of Object.entries(view)) {
+        if (value !== library.DEFAULT_LIBRARY_VIEW[key]) params.set(names[key] || key, value);
+    }
+    const hash = params.toString();
+    history.replaceState(null, '', hash ? `#${hash}` : location.pathname + location.search);
+}
+
+// Show the library view in the toolbar
+function updateLibraryToolbar() {
+    if (elements.librarySearch) elements.librarySearch.value = libraryView.query;
+    if (elements.libraryFrom) elements.libraryFrom.value = libraryView.from;
+    if (elements.libraryTo) elements.libraryTo.value = libraryView.to;
+    if (elements.libraryDuration) elements.libraryDuration.value = libraryView.duration;
+    if (elements.librarySize) elements.librarySize.value = libraryView.size;
+    if (elements.librarySort) elements.librarySort.value = libraryView.sort;
+    elements.libraryViewButtons?.forEach((button) => {
+        const active = button.dataset.view === libraryView.view;
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-pressed', String(active));
+    });
+}
+
+// Restore the library view from the URL hash, or else the saved settings, and the collection shown
+function populateLibraryView() {
+    const { libraryView: saved, collection = null } = loadSettings();
+    currentCollection = collection;
+    libraryView = getHashLibraryView() || { ...library.DEFAULT_LIBRARY_VIEW, ...saved };
+    updateLibraryToolbar();
+    setHashLibraryView(libraryView);
+}
+
+// Handle a change in the library toolbar (changes is set by the view buttons)
+function handleLibraryViewChange(changes = {}) {
+    libraryView = {
+        query: elements.librarySearch?.value || '',
+        from: elements.libraryFrom?.value || '',
+        to: elements.libraryTo?.value || '',
+        duration: elements.libraryDuration?.value || '',
+        size: elements.librarySize?.value || '',
+        sort: elements.librarySort?.value || 'newest',
+        view: libraryView.view,
+        ...changes
+    };
+    saveSettings({ libraryView });
+    setHashLibraryView(libraryView);
+    updateLibraryToolbar();
+    renderLibraryView();
+}
+
+// Handle the URL hash being changed by hand or by opening a bookmark
+function handleLibraryHashChange() {
+    libraryView = getHashLibraryView() || { ...library.DEFAULT_LIBRARY_VIEW };
+    saveSettings({ libraryView });
+    updateLibraryToolbar();
+    renderLibraryView();
+}
+
 // Handle playing a recording
-async function handlePlayRecording(filename) {
+async function handlePlayRecording(filename, recording) {
     try {
         const blob = await storage.getRecordingBlob(filename);
-        library.showPlayer(blob);
+        library.showPlayer(blob, { recording });
     } catch (err) {
         console.error('Error playing recording:', err);
         alert('Failed to play recording. The file may have been moved or deleted.');
@@ -529,6 +2846,49 @@ async function handleDeleteRecording(filename) {
     }
 }
 
+// Handle repairing a recording (adds duration and seek index to older files)
+async function handleRepairRecording(filename) {
+    try {
+        await storage.repairRecording(filename);
+        await refreshLibrary();
+    } catch (err) {
+        console.error('Error repairing recording:', err);
+        alert('Failed to repair recording. The file may not be a valid WebM recording.');
+    }
+}
+
+// Handle a title edited on a library card
+async function handleRenameRecording(filename, title) {
+    try {
+        await storage.updateRecording(filename, { title });
+    } catch (err) {
+        console.error('Error saving title:', err);
+        alert('Failed to save the title.');
+    }
+    await refreshLibrary();
+}
+
+// Save the details edited in the player, renaming the file if asked. Returns the updated
+// recording (null if it couldn't be saved).
+async function handleSaveDetails(filename, changes, { renameFile }) {
+    let updated = null;
+    try {
+        updated = await storage.updateRecording(filename, changes, { renameFile });
+        if (updated.filename !== filename) {
+            // The old file is gone, so keep playing from the new one
+            library.replacePlayerSource(await storage.getRecordingBlob(updated.filename));
+            showToast(`Renamed to ${updated.filename}`);
+        } else {
+            showToast('Details saved.');
+        }
+    } catch (err) {
+        console.error('Error saving details:', err);
+        alert(`Failed to save the details. ${err.message}`);
+    }
+    await refreshLibrary();
+    return updated;
+}
+
 // Start the app when DOM is ready
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init);
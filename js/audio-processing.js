@@ -0,0 +1,276 @@
+// Audio processing module - voice processing for the microphone and loudness normalisation
+
+import { AUDIO_BITS_PER_SECOND } from './quality.js';
+
+const WORKLET_URL = new URL('./audio-worklets.js', import.meta.url);
+
+// Every stage is off unless turned on in the settings
+export const DEFAULT_PROCESSING = {
+    highPass: false,
+    noiseGate: false,
+    compressor: false,
+    normalize: false
+};
+
+const HIGH_PASS_FREQUENCY = 80; // Hz, removes rumble and handling noise below the voice
+const GATE_THRESHOLD_DB = -50;
+const TARGET_LUFS = -16; // Common target for spoken word
+const MAX_GAIN_DB = 12;
+const PEAK_CEILING_DB = -1; // Normalising never pushes peaks above this
+
+const BLOCKS_PER_WINDOW = 4; // 100 ms blocks per 400 ms loudness window
+const ABSOLUTE_GATE_LUFS = -70;
+const RELATIVE_GATE_LU = -10;
+const MAX_CODEC_QUEUE = 20; // Chunks queued in the decoder or encoder before waiting
+
+// Worklet modules only need loading once per context
+const workletContexts = new WeakSet();
+
+async function loadWorklets(context) {
+    if (workletContexts.has(context)) return;
+    await context.audioWorklet.addModule(WORKLET_URL);
+    workletContexts.add(context);
+}
+
+// Check if any live processing stage is on (normalising happens after recording)
+export function hasLiveProcessing(settings = {}) {
+    return !!(settings.highPass || settings.noiseGate || settings.compressor);
+}
+
+// Build the mic processing chain: high-pass -> noise gate -> compressor.
+// Returns { input, output }, which are the same node when every stage is off.
+export async function createProcessingChain(context, settings = {}) {
+    const stages = [];
+
+    if (settings.highPass) {
+        const filter = context.createBiquadFilter();
+        filter.type = 'highpass';
+        filter.frequency.value = HIGH_PASS_FREQUENCY;
+        filter.Q.value = Math.SQRT1_2;
+        stages.push(filter);
+    }
+
+    if (settings.noiseGate) {
+        await loadWorklets(context);
+        stages.push(new AudioWorkletNode(context, 'noise-gate', {
+            processorOptions: { thresholdDb: GATE_THRESHOLD_DB }
+        }));
+    }
+
+    if (settings.compressor) {
+        const compressor = context.createDynamicsCompressor();
+        compressor.threshold.value = -24;
+        compressor.knee.value = 12;
+        compressor.ratio.value = 4;
+        compressor.attack.value = 0.005;
+        compressor.release.value = 0.15;
+        stages.push(compressor);
+    }
+
+    const input = context.createGain();
+    let output = input;
+    for (const stage of stages) {
+        output.connect(stage);
+        output = stage;
+    }
+
+    return { input, output };
+}
+
+// Convert a mean square to loudness (BS.1770)
+function toLufs(meanSquare) {
+    return -0.691 + 10 * Math.log10(meanSquare);
+}
+
+function mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// Integrated loudness of 100 ms blocks: 400 ms windows with 75% overlap,
+// gated at -70 LUFS and then 10 LU below the ungated level. Null if it's all silence.
+function getIntegratedLoudness(blocks) {
+    const windows = [];
+    for (let i = 0; i + BLOCKS_PER_WINDOW <= blocks.length; i++) {
+        windows.push(mean(blocks.slice(i, i + BLOCKS_PER_WINDOW)));
+    }
+
+    const audible = windows.filter(value => toLufs(value) > ABSOLUTE_GATE_LUFS);
+    if (audible.length === 0) return null;
+
+    const relativeGate = toLufs(mean(audible)) + RELATIVE_GATE_LU;
+    const gated = audible.filter(value => toLufs(value) > relativeGate);
+    return toLufs(mean(gated));
+}
+
+// Measure the approximate loudness of everything connected to meter.input.
+// Blocks are only collected while the meter isn't paused.
+export async function createLoudnessMeter(context) {
+    await loadWorklets(context);
+
+    // K-weighting, approximated with Web Audio filters: a high shelf for the head, then a high-pass
+    const shelf = context.createBiquadFilter();
+    shelf.type = 'highshelf';
+    shelf.frequency.value = 1500;
+    shelf.gain.value = 4;
+
+    const highPass = context.createBiquadFilter();
+    highPass.type = 'highpass';
+    highPass.frequency.value = 38;
+    highPass.Q.value = 0.5;
+
+    // The meter outputs silence; connecting it to the destination keeps it running
+    const meter = new AudioWorkletNode(context, 'loudness-meter');
+    shelf.connect(highPass).connect(meter).connect(context.destination);
+
+    const blocks = [];
+    let peak = 0;
+    let paused = false;
+
+    meter.port.onmessage = (event) => {
+        if (paused) return;
+        const [meanSquare, blockPeak] = event.data;
+        blocks.push(meanSquare);
+        peak = Math.max(peak, blockPeak);
+    };
+
+    return {
+        input: shelf,
+
+        pause() {
+            paused = true;
+        },
+
+        resume() {
+            paused = false;
+        },
+
+        // Start measuring again (for the next part in segment mode)
+        reset() {
+            blocks.length = 0;
+            peak = 0;
+        },
+
+        // Measured loudness and the gain that brings it to the target (null if silent)
+        getResult() {
+            const lufs = getIntegratedLoudness(blocks);
+            if (lufs === null) return null;
+
+            const peakDb = peak > 0 ? 20 * Math.log10(peak) : -Infinity;
+            const gain = Math.max(-MAX_GAIN_DB, Math.min(MAX_GAIN_DB, TARGET_LUFS - lufs, PEAK_CEILING_DB - peakDb));
+
+            return {
+                lufs: Math.round(lufs * 10) / 10,
+                gain: Math.round(gain * 10) / 10
+            };
+        }
+    };
+}
+
+// Wait until a decoder's or encoder's queue is short enough to add more
+function whenQueueShort(codec, getSize) {
+    return new Promise((resolve) => {
+        const check = () => {
+            if (getSize() > MAX_CODEC_QUEUE) return;
+            codec.removeEventListener('dequeue', check);
+            resolve();
+        };
+        codec.addEventListener('dequeue', check);
+        check();
+    });
+}
+
+// Copy decoded audio with every sample multiplied by `factor` (clipped to full scale)
+function scaleAudioData(data, factor) {
+    const frames = data.numberOfFrames;
+    const samples = new Float32Array(frames * data.numberOfChannels);
+    for (let channel = 0; channel < data.numberOfChannels; channel++) {
+        const plane = samples.subarray(channel * frames, (channel + 1) * frames);
+        data.copyTo(plane, { planeIndex: channel, format: 'f32-planar' });
+        for (let i = 0; i < frames; i++) {
+            plane[i] = Math.max(-1, Math.min(1, plane[i] * factor));
+        }
+    }
+
+    return new AudioData({
+        format: 'f32-planar',
+        sampleRate: data.sampleRate,
+        numberOfFrames: frames,
+        numberOfChannels: data.numberOfChannels,
+        timestamp: data.timestamp,
+        data: samples
+    });
+}
+
+// Apply a gain in dB to encoded audio by decoding it and encoding it again with the same codec.
+// `track` is { codec, description, sampleRate, numberOfChannels, packets } as passed by
+// transformAudio() in webm.js and mp4-muxer.js, and the result is the new packets.
+export async function applyGain(track, gainDb) {
+    if (!window.AudioDecoder || !window.AudioEncoder) {
+        throw new Error('WebCodecs audio is not available');
+    }
+
+    const { codec, sampleRate, numberOfChannels } = track;
+    const decoderConfig = { codec, sampleRate, numberOfChannels };
+    if (track.description?.length) decoderConfig.description = track.description;
+    const encoderConfig = { codec, sampleRate, numberOfChannels, bitrate: AUDIO_BITS_PER_SECOND };
+
+    const [decoding, encoding] = await Promise.all([
+        AudioDecoder.isConfigSupported(decoderConfig),
+        AudioEncoder.isConfigSupported(encoderConfig)
+    ]);
+    if (!decoding.supported || !encoding.supported) {
+        throw new Error(`This browser can't re-encode ${codec} audio`);
+    }
+
+    const factor = 10 ** (gainDb / 20);
+    const packets = [];
+    let failure = null;
+    const fail = (err) => {
+        failure = failure || err;
+    };
+
+    const encoder = new AudioEncoder({
+        output: (chunk) => {
+            const data = new Uint8Array(chunk.byteLength);
+            chunk.copyTo(data);
+            packets.push({ timestamp: chunk.timestamp, duration: chunk.duration || 0, data });
+        },
+        error: fail
+    });
+
+    const decoder = new AudioDecoder({
+        output: (data) => {
+            // The encoder is configured from the first decoded audio so the format always matches
+            if (encoder.state === 'unconfigured') {
+                encoder.configure({ ...encoderConfig, sampleRate: data.sampleRate, numberOfChannels: data.numberOfChannels });
+            }
+            const scaled = scaleAudioData(data, factor);
+            data.close();
+            if (encoder.state === 'configured') encoder.encode(scaled);
+            scaled.close();
+        },
+        error: fail
+    });
+    decoder.configure(decoderConfig);
+
+    try {
+        for (const packet of track.packets) {
+            if (failure) break;
+            decoder.decode(new EncodedAudioChunk({ type: 'key', timestamp: packet.timestamp, data: packet.data }));
+
+            // Keep decoded audio from piling up in memory while the encoder catches up
+            await whenQueueShort(decoder, () => decoder.decodeQueueSize);
+            await whenQueueShort(encoder, () => encoder.encodeQueueSize);
+        }
+
+        if (!failure) await decoder.flush();
+        if (!failure && encoder.state === 'configured') await encoder.flush();
+    } finally {
+        for (const coder of [decoder, encoder]) {
+            if (coder.state !== 'closed') coder.close();
+        }
+    }
+
+    if (failure) throw failure;
+    return packets;
+}
@@ -0,0 +1,88 @@
+// Audio worklets - processors that run on the audio thread (loaded by the audio processing module)
+
+// Noise gate: closes when the level stays under the threshold, so keyboard and room
+// noise between sentences is removed. The hold time keeps it open through short pauses.
+class NoiseGateProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const {
+            thresholdDb = -50,
+            holdMs = 200,
+            attackMs = 5,
+            releaseMs = 100
+        } = options.processorOptions || {};
+
+        this.threshold = 10 ** (thresholdDb / 20);
+        this.holdSamples = Math.round((holdMs / 1000) * sampleRate);
+        this.attack = 1 - Math.exp(-1 / ((attackMs / 1000) * sampleRate));
+        this.release = 1 - Math.exp(-1 / ((releaseMs / 1000) * sampleRate));
+        this.held = 0;
+        this.gain = 0;
+    }
+
+    process(inputs, outputs) {
+        const input = inputs[0];
+        const output = outputs[0];
+        if (input.length === 0) return true;
+
+        for (let i = 0; i < input[0].length; i++) {
+            let peak = 0;
+            for (const channel of input) {
+                peak = Math.max(peak, Math.abs(channel[i]));
+            }
+
+            if (peak >= this.threshold) {
+                this.held = this.holdSamples;
+            } else if (this.held > 0) {
+                this.held--;
+            }
+
+            // Open quickly, close smoothly (avoids clicks)
+            const target = this.held > 0 ? 1 : 0;
+            this.gain += (target - this.gain) * (target > this.gain ? this.attack : this.release);
+
+            for (let c = 0; c < output.length; c++) {
+                output[c][i] = (input[c] || input[0])[i] * this.gain;
+            }
+        }
+
+        return true;
+    }
+}
+
+// Loudness meter: posts [mean square summed over channels, peak] for every 100 ms block.
+// The input is expected to be K-weighted already.
+class LoudnessMeterProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.blockSize = Math.round(sampleRate / 10);
+        this.sum = 0;
+        this.peak = 0;
+        this.count = 0;
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (input.length === 0) return true;
+
+        for (let i = 0; i < input[0].length; i++) {
+            for (const channel of input) {
+                const sample = channel[i];
+                this.sum += sample * sample;
+                this.peak = Math.max(this.peak, Math.abs(sample));
+            }
+
+            if (++this.count >= this.blockSize) {
+                this.port.postMessage([this.sum / this.count, this.peak]);
+                this.sum = 0;
+                this.peak = 0;
+                this.count = 0;
+            }
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('noise-gate', NoiseGateProcessor);
+registerProcessor('loudness-meter', LoudnessMeterProcessor);
@@ -0,0 +1,147 @@
+// Branding module - intro and outro title cards, a logo watermark and a lower-third, drawn over the video
+
+export const WATERMARK_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+export const DEFAULT_BRANDING = {
+    intro: { enabled: false, title: '', subtitle: '', seconds: 3, background: '#111111', color: '#ffffff' },
+    outro: { enabled: false, title: '', subtitle: '', seconds: 3, background: '#111111', color: '#ffffff' },
+    watermark: { enabled: false, image: '', position: 'top-right', opacity: 80, size: 12 }, // Opacity and size (of the width) in %
+    lowerThird: { enabled: false, name: '', title: '', seconds: 8, color: '#4f46e5' } // 0 seconds keeps it on screen
+};
+
+const FADE_SECONDS = 0.5;
+const SLIDE_SECONDS = 0.4;
+const MARGIN = 0.03; // Of the frame width
+const FONT = 'system-ui, -apple-system, "Segoe UI", sans-serif';
+
+// Fill in any settings missing from a saved template
+export function normalizeBranding(saved = {}) {
+    return Object.fromEntries(Object.entries(DEFAULT_BRANDING).map(([key, defaults]) => [
+        key,
+        { ...defaults, ...saved[key] }
+    ]));
+}
+
+// Check if any part of a template is turned on
+export function hasBranding(template) {
+    return !!template && Object.values(template).some(part => part.enabled);
+}
+
+// How long the outro card is shown, in seconds (0 if there isn't one)
+export function getOutroSeconds(template) {
+    return template?.outro.enabled ? Math.max(0, template.outro.seconds) : 0;
+}
+
+function clamp(value) {
+    return Math.min(1, Math.max(0, value));
+}
+
+// Draw a full-frame card with a title and subtitle
+function drawCard(ctx, width, height, card, opacity) {
+    if (opacity <= 0) return;
+
+    ctx.save();
+    ctx.globalAlpha = opacity;
+    ctx.fillStyle = card.background;
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.fillStyle = card.color;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = `600 ${Math.round(height * 0.08)}px ${FONT}`;
+    ctx.fillText(card.title, width / 2, card.subtitle ? height * 0.45 : height / 2, width * 0.9);
+    if (card.subtitle) {
+        ctx.globalAlpha = opacity * 0.75;
+        ctx.font = `400 ${Math.round(height * 0.04)}px ${FONT}`;
+        ctx.fillText(card.subtitle, width / 2, height * 0.57, width * 0.9);
+    }
+    ctx.restore();
+}
+
+// Draw the logo in a corner
+function drawWatermark(ctx, width, height, watermark) {
+    const { bitmap, position, opacity, size } = watermark;
+    if (!bitmap) return;
+
+    const drawWidth = width * (size / 100);
+    const drawHeight = drawWidth * (bitmap.height / bitmap.width);
+    const margin = width * MARGIN;
+    const x = position.endsWith('left') ? margin : width - drawWidth - margin;
+    const y = position.startsWith('top') ? margin : height - drawHeight - margin;
+
+    ctx.save();
+    ctx.globalAlpha = opacity / 100;
+    ctx.drawImage(bitmap, x, y, drawWidth, drawHeight);
+    ctx.restore();
+}
+
+// Draw the presenter's name and title in the lower left, slid in by `progress` (0 to 1)
+function drawLowerThird(ctx, width, height, lowerThird, progress) {
+    if (progress <= 0) return;
+
+    const nameSize = Math.round(height * 0.035);
+    const titleSize = Math.round(height * 0.024);
+    const padding = nameSize * 0.6;
+    const accentWidth = Math.max(4, Math.round(height * 0.008));
+
+    ctx.save();
+    ctx.font = `600 ${nameSize}px ${FONT}`;
+    const nameWidth = ctx.measureText(lowerThird.name).width;
+    ctx.font = `400 ${titleSize}px ${FONT}`;
+    const titleWidth = lowerThird.title ? ctx.measureText(lowerThird.title).width : 0;
+
+    const boxWidth = Math.max(nameWidth, titleWidth) + padding * 2 + accentWidth;
+    const boxHeight = nameSize + (lowerThird.title ? titleSize * 1.4 : 0) + padding * 2;
+    const margin = width * MARGIN;
+    const y = height - boxHeight - height * 0.08;
+
+    // Slide in from the left edge
+    const eased = 1 - Math.pow(1 - progress, 3);
+    const x = -boxWidth + (boxWidth + margin) * eased;
+
+    ctx.globalAlpha = eased;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.fillRect(x, y, boxWidth, boxHeight);
+    ctx.fillStyle = lowerThird.color;
+    ctx.fillRect(x, y, accentWidth, boxHeight);
+
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = '#ffffff';
+    ctx.font = `600 ${nameSize}px ${FONT}`;
+    ctx.fillText(lowerThird.name, x + accentWidth + padding, y + padding);
+    if (lowerThird.title) {
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.font = `400 ${titleSize}px ${FONT}`;
+        ctx.fillText(lowerThird.title, x + accentWidth + padding, y + padding + nameSize * 1.25);
+    }
+    ctx.restore();
+}
+
+// Draw the template over a frame. elapsed is the seconds since recording started;
+// outroElapsed the seconds since the outro started (null until stopping).
+// The decoded logo is expected in template.watermark.bitmap.
+export function drawBranding(ctx, width, height, template, { elapsed, outroElapsed = null }) {
+    const { intro, outro, watermark, lowerThird } = template;
+    const introSeconds = intro.enabled ? intro.seconds : 0;
+
+    if (watermark.enabled) {
+        drawWatermark(ctx, width, height, watermark);
+    }
+
+    // The lower-third comes in once the intro is over
+    if (lowerThird.enabled && lowerThird.name && outroElapsed === null) {
+        const shown = elapsed - introSeconds;
+        let progress = clamp(shown / SLIDE_SECONDS);
+        if (lowerThird.seconds > 0) {
+            progress = Math.min(progress, clamp((lowerThird.seconds - shown) / SLIDE_SECONDS));
+        }
+        drawLowerThird(ctx, width, height, lowerThird, progress);
+    }
+
+    if (intro.enabled && elapsed < introSeconds) {
+        drawCard(ctx, width, height, intro, clamp((introSeconds - elapsed) / FADE_SECONDS));
+    }
+    if (outro.enabled && outroElapsed !== null) {
+        drawCard(ctx, width, height, outro, clamp(outroElapsed / FADE_SECONDS));
+    }
+}
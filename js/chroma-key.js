@@ -0,0 +1,302 @@
+// Chroma key module - removes a green (or any colour) screen from the camera and replaces the background
+
+export const DEFAULT_CHROMA_KEY = {
+    enabled: false,
+    color: '#00ff00',
+    tolerance: 40, // 0-100, how far from the key colour still counts as background
+    spill: 30, // 0-100, how strongly the key colour's tint is removed from the edges
+    background: 'transparent', // transparent, color or image
+    backgroundColor: '#1a1a1a',
+    backgroundImage: '' // File name of an image in the recordings folder
+};
+
+const SMOOTHNESS = 0.08; // Width of the soft edge between background and foreground
+const FALLBACK_MAX_WIDTH = 480; // The 2D fallback keys a smaller copy, since it works pixel by pixel
+
+const VERTEX_SHADER = `
+attribute vec2 position;
+varying vec2 uv;
+void main() {
+    uv = vec2(position.x * 0.5 + 0.5, 0.5 - position.y * 0.5);
+    gl_Position = vec4(position, 0.0, 1.0);
+}`;
+
+const FRAGMENT_SHADER = `
+precision mediump float;
+uniform sampler2D frame;
+uniform vec3 keyColor;
+uniform float similarity;
+uniform float smoothness;
+uniform float spill;
+varying vec2 uv;
+
+vec2 chroma(vec3 c) {
+    return vec2(c.r * -0.169 + c.g * -0.331 + c.b * 0.5 + 0.5, c.r * 0.5 + c.g * -0.419 + c.b * -0.081 + 0.5);
+}
+
+void main() {
+    vec3 color = texture2D(frame, uv).rgb;
+    float distance = distance(chroma(color), chroma(keyColor)) - similarity;
+    float alpha = pow(clamp(distance / smoothness, 0.0, 1.0), 1.5);
+
+    if (spill > 0.0) {
+        float keep = pow(clamp(distance / spill, 0.0, 1.0), 1.5);
+        float luma = dot(color, vec3(0.2126, 0.7152, 0.0722));
+        color = mix(vec3(luma), color, keep);
+    }
+
+    gl_FragColor = vec4(color * alpha, alpha);
+}`;
+
+// A canvas to draw on: an element on the page, an OffscreenCanvas in a worker
+function createCanvas() {
+    return typeof document === 'undefined' ? new OffscreenCanvas(1, 1) : document.createElement('canvas');
+}
+
+// Size of a video element or VideoFrame
+function getFrameSize(video) {
+    return video.videoWidth
+        ? { width: video.videoWidth, height: video.videoHeight }
+        : { width: video.displayWidth, height: video.displayHeight };
+}
+
+// Parse '#rrggbb' into [r, g, b] from 0 to 1
+function parseColor(hex) {
+    const value = parseInt(String(hex).replace('#', ''), 16) || 0;
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(channel => channel / 255);
+}
+
+// Map the 0-100 settings to shader values
+function getKeyParameters(settings) {
+    return {
+        keyColor: parseColor(settings.color),
+        similarity: (settings.tolerance / 100) * 0.5,
+        spill: (settings.spill / 100) * 0.5
+    };
+}
+
+function compileShader(gl, type, source) {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        throw new Error(gl.getShaderInfoLog(shader));
+    }
+    return shader;
+}
+
+// Key with a fragment shader. Returns null if WebGL isn't available.
+function createWebGLKeyer() {
+    const canvas = createCanvas();
+    const gl = canvas.getContext('webgl', { premultipliedAlpha: true });
+    if (!gl) return null;
+
+    try {
+        const program = gl.createProgram();
+        gl.attachShader(program, compileShader(gl, gl.VERTEX_SHADER, VERTEX_SHADER));
+        gl.attachShader(program, compileShader(gl, gl.FRAGMENT_SHADER, FRAGMENT_SHADER));
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error(gl.getProgramInfoLog(program));
+        }
+        gl.useProgram(program);
+
+        // One quad covering the canvas
+        gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+        const position = gl.getAttribLocation(program, 'position');
+        gl.enableVertexAttribArray(position);
+        gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+
+        gl.bindTexture(gl.TEXTURE_2D, gl.createTexture());
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+
+        const uniforms = {
+            keyColor: gl.getUniformLocation(program, 'keyColor'),
+            similarity: gl.getUniformLocation(program, 'similarity'),
+            smoothness: gl.getUniformLocation(program, 'smoothness'),
+            spill: gl.getUniformLocation(program, 'spill')
+        };
+
+        return {
+            canvas,
+            key(video, settings) {
+                const { width, height } = getFrameSize(video);
+                if (canvas.width !== width || canvas.height !== height) {
+                    canvas.width = width;
+                    canvas.height = height;
+                    gl.viewport(0, 0, canvas.width, canvas.height);
+                }
+
+                const { keyColor, similarity, spill } = getKeyParameters(settings);
+                gl.uniform3fv(uniforms.keyColor, keyColor);
+                gl.uniform1f(uniforms.similarity, similarity);
+                gl.uniform1f(uniforms.smoothness, SMOOTHNESS);
+                gl.uniform1f(uniforms.spill, spill);
+
+                gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGB, gl.RGB, gl.UNSIGNED_BYTE, video);
+                gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+            }
+        };
+    } catch (err) {
+        console.warn('WebGL chroma key unavailable, using the 2D fallback:', err);
+        return null;
+    }
+}
+
+// Key pixel by pixel on a 2D canvas (slower, so it works on a smaller copy)
+function create2DKeyer() {
+    const canvas = createCanvas();
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+    const chroma = (r, g, b) => [
+        r * -0.169 + g * -0.331 + b * 0.5 + 0.5,
+        r * 0.5 + g * -0.419 + b * -0.081 + 0.5
+    ];
+
+    return {
+        canvas,
+        key(video, settings) {
+            const frameSize = getFrameSize(video);
+            const scale = Math.min(1, FALLBACK_MAX_WIDTH / frameSize.width);
+            const width = Math.round(frameSize.width * scale);
+            const height = Math.round(frameSize.height * scale);
+            if (canvas.width !== width || canvas.height !== height) {
+                canvas.width = width;
+                canvas.height = height;
+            }
+
+            ctx.drawImage(video, 0, 0, width, height);
+            const image = ctx.getImageData(0, 0, width, height);
+            const data = image.data;
+
+            const { keyColor, similarity, spill } = getKeyParameters(settings);
+            const [keyU, keyV] = chroma(...keyColor);
+
+            for (let i = 0; i < data.length; i += 4) {
+                let r = data[i] / 255;
+                let g = data[i + 1] / 255;
+                let b = data[i + 2] / 255;
+
+                const [u, v] = chroma(r, g, b);
+                const distance = Math.hypot(u - keyU, v - keyV) - similarity;
+                const alpha = Math.pow(Math.min(1, Math.max(0, distance / SMOOTHNESS)), 1.5);
+
+                if (spill > 0) {
+                    const keep = Math.pow(Math.min(1, Math.max(0, distance / spill)), 1.5);
+                    const luma = r * 0.2126 + g * 0.7152 + b * 0.0722;
+                    r = luma + (r - luma) * keep;
+                    g = luma + (g - luma) * keep;
+                    b = luma + (b - luma) * keep;
+                }
+
+                data[i] = r * 255;
+                data[i + 1] = g * 255;
+                data[i + 2] = b * 255;
+                data[i + 3] = alpha * 255;
+            }
+
+            ctx.putImageData(image, 0, 0);
+        }
+    };
+}
+
+// Draw an image over a canvas, cropped to fill it
+function drawCover(ctx, image, width, height) {
+    const scale = Math.max(width / image.width, height / image.height);
+    const drawWidth = image.width * scale;
+    const drawHeight = image.height * scale;
+    ctx.drawImage(image, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+}
+
+// Create a chroma keyer. process(video) returns a canvas with the keyed frame: transparent
+// where the key colour was, or with the replacement background behind the person.
+// settings.image is the decoded background image (an ImageBitmap) when background is 'image'.
+// video can be a video element or a VideoFrame, so this also works in a worker.
+export function createChromaKey(settings = {}) {
+    const keyer = createWebGLKeyer() || create2DKeyer();
+    const output = createCanvas();
+    const outputCtx = output.getContext('2d');
+    let current = { ...DEFAULT_CHROMA_KEY, ...settings };
+
+    return {
+        setSettings(changes) {
+            current = { ...current, ...changes };
+        },
+
+        process(video) {
+            keyer.key(video, current);
+
+            const { background, backgroundColor, image } = current;
+            if (background === 'transparent' || (background === 'image' && !image)) {
+                return keyer.canvas;
+            }
+
+            if (output.width !== keyer.canvas.width || output.height !== keyer.canvas.height) {
+                output.width = keyer.canvas.width;
+                output.height = keyer.canvas.height;
+            }
+            if (background === 'image') {
+                drawCover(outputCtx, image, output.width, output.height);
+            } else {
+                outputCtx.fillStyle = backgroundColor;
+                outputCtx.fillRect(0, 0, output.width, output.height);
+            }
+            outputCtx.drawImage(keyer.canvas, 0, 0);
+            return output;
+        }
+    };
+}
+
+// Key a camera stream for previewing. Returns { stream, video, update(settings), stop() }.
+export function createKeyedStream(sourceStream, settings, frameRate = 30) {
+    const video = document.createElement('video');
+    video.srcObject = sourceStream;
+    video.muted = true;
+    video.play();
+
+    const chromaKey = createChromaKey(settings);
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    let animationId = null;
+
+    const render = () => {
+        if (video.readyState >= 2) {
+            const frame = chromaKey.process(video);
+            if (canvas.width !== video.videoWidth || canvas.height !== video.videoHeight) {
+                canvas.width = video.videoWidth;
+                canvas.height = video.videoHeight;
+            }
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            ctx.drawImage(frame, 0, 0, canvas.width, canvas.height);
+        }
+        animationId = requestAnimationFrame(render);
+    };
+    render();
+
+    return {
+        stream: canvas.captureStream(frameRate),
+        video,
+        update(changes) {
+            chromaKey.setSettings(changes);
+        },
+        stop() {
+            cancelAnimationFrame(animationId);
+            video.srcObject = null;
+        }
+    };
+}
+
+// Read the colour of a video at a point (x and y from 0 to 1), as '#rrggbb'
+export function sampleColor(video, x, y) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 1;
+    canvas.height = 1;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(video, Math.floor(x * video.videoWidth), Math.floor(y * video.videoHeight), 1, 1, 0, 0, 1, 1);
+
+    const [r, g, b] = ctx.getImageData(0, 0, 1, 1).data;
+    return '#' + [r, g, b].map(channel => channel.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,340 @@
+// Compositor drawing - lays out the screen and camera for one frame. Used by the compositor on
+// the page and by its worker, so it only works from what it's passed: a 2D context (of a canvas
+// or OffscreenCanvas), the frame state and the images to draw (video elements or VideoFrames).
+//
+// The frame state is a plain object that can be posted to a worker:
+// { width, height, overlay, cameraAspect, scene, transition, screens, screenLayout, zoom,
+//   zoomTransition, branding, startedAt, outroStartedAt }
+// screens lists the screens and windows being recorded, bottom layer first, as
+// { id, crop, rect }: crop is the part of the source recorded and rect its box in the custom
+// layout, both as fractions. Times are performance.now() values of the page; `now` has to be
+// on the same clock.
+
+import { drawAnnotations } from './annotations.js';
+import { drawBranding } from './branding.js';
+
+export const TRANSITION_MS = 400;
+export const ZOOM_MS = 500;
+const CORNER_RADIUS_RATIO = 0.06; // Of the bubble width, for the rounded shape
+const INSET_SIZE = 0.3; // Screen inset width in the camera scene, as a fraction of the canvas
+const INSET_MARGIN = 0.02;
+const FULL_RECT = { x: 0, y: 0, width: 1, height: 1 };
+
+let screenCanvas = null; // Where several screens are laid out before being drawn as one
+let screenCtx = null;
+
+// Ease in and out (t from 0 to 1)
+export function ease(t) {
+    return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+}
+
+// Video encoders need even dimensions
+function toEven(value) {
+    return Math.max(2, Math.round(value / 2) * 2);
+}
+
+// Canvas size for a source, scaled down to fit the quality limits. With scaleUp (a cropped
+// screen) it's scaled to the quality's size, up if need be, so small regions stay readable.
+export function getCanvasSize(sourceWidth, sourceHeight, { maxWidth = Infinity, maxHeight = Infinity, scaleUp = false } = {}) {
+    const fitScale = Math.min(maxWidth / sourceWidth, maxHeight / sourceHeight);
+    const scale = !scaleUp || !isFinite(fitScale) ? Math.min(1, fitScale) : fitScale;
+    return { width: toEven(sourceWidth * scale), height: toEven(sourceHeight * scale) };
+}
+
+// Size of a video element, VideoFrame, canvas or image
+export function getImageSize(image) {
+    if (image.videoWidth) return { imageWidth: image.videoWidth, imageHeight: image.videoHeight };
+    if (image.displayWidth) return { imageWidth: image.displayWidth, imageHeight: image.displayHeight };
+    return { imageWidth: image.width, imageHeight: image.height };
+}
+
+// Where the camera bubble goes, as fractions of the canvas ({ x, y, width, height } of its box).
+// The centre is kept far enough from the edges for the whole bubble to stay in frame.
+export function getBubbleRect(state) {
+    const { overlay, width: canvasWidth, height: canvasHeight } = state;
+    const aspect = overlay.shape === 'circle' ? 1 : state.cameraAspect || 9 / 16;
+    const width = overlay.size;
+    const height = Math.min(1, (overlay.size * canvasWidth * aspect) / canvasHeight);
+
+    const x = Math.min(1 - width, Math.max(0, overlay.x - width / 2));
+    const y = Math.min(1 - height, Math.max(0, overlay.y - height / 2));
+    return { x, y, width, height };
+}
+
+// Where the screen and camera go in a scene, as boxes in fractions of the canvas.
+// radius is the corner rounding as a fraction of the box width; border is the border's opacity.
+function getSceneLayout(state, name) {
+    const bubble = state.width ? getBubbleRect(state) : { x: 0, y: 0, width: 0, height: 0 };
+    const bubbleRadius = { circle: 0.5, rounded: CORNER_RADIUS_RATIO, square: 0 }[state.overlay.shape];
+    const full = { x: 0, y: 0, width: 1, height: 1, radius: 0, border: 0, opacity: 1 };
+
+    switch (name) {
+        case 'side-by-side':
+            return {
+                top: 'camera',
+                screen: { ...full, width: 0.5 },
+                camera: { ...full, x: 0.5, width: 0.5 }
+            };
+        case 'camera': {
+            const inset = { x: 1 - INSET_SIZE - INSET_MARGIN, y: 1 - INSET_SIZE - INSET_MARGIN, width: INSET_SIZE, height: INSET_SIZE };
+            return {
+                top: 'screen',
+                screen: { ...inset, radius: CORNER_RADIUS_RATIO, border: 1, opacity: 1 },
+                camera: full
+            };
+        }
+        case 'screen':
+            return {
+                top: 'camera',
+                screen: full,
+                camera: { ...bubble, radius: bubbleRadius, border: 0, opacity: 0 }
+            };
+        case 'bubble':
+        default:
+            return {
+                top: 'camera',
+                screen: full,
+                camera: { ...bubble, radius: bubbleRadius, border: 1, opacity: 1 }
+            };
+    }
+}
+
+// Blend two layouts (t from 0 to 1)
+function blendLayouts(from, to, t) {
+    const blend = (a, b) => Object.fromEntries(Object.keys(b).map(key => [key, a[key] + (b[key] - a[key]) * t]));
+    return {
+        top: to.top,
+        screen: blend(from.screen, to.screen),
+        camera: blend(from.camera, to.camera)
+    };
+}
+
+// The layout to draw at `now`, partway through a transition if one is running
+export function getCurrentLayout(state, now) {
+    const target = getSceneLayout(state, state.scene);
+    const { transition } = state;
+    if (!transition) return target;
+
+    const progress = Math.min(1, (now - transition.start) / TRANSITION_MS);
+    if (progress >= 1) return target;
+    return blendLayouts(transition.from, target, ease(progress));
+}
+
+// The zoom to draw at `now`, partway through easing if it's changing
+export function getCurrentZoom(state, now) {
+    const { zoom, zoomTransition } = state;
+    if (!zoomTransition) return zoom;
+
+    const progress = Math.min(1, (now - zoomTransition.start) / ZOOM_MS);
+    if (progress >= 1) return zoom;
+    const t = ease(progress);
+    const { from } = zoomTransition;
+    return {
+        x: from.x + (zoom.x - from.x) * t,
+        y: from.y + (zoom.y - from.y) * t,
+        size: from.size + (zoom.size - from.size) * t
+    };
+}
+
+// Part of an image to draw, in pixels: the crop, then the zoom inside it
+function getSourceRect(image, crop, zoom = { x: 0, y: 0, size: 1 }) {
+    const { imageWidth, imageHeight } = getImageSize(image);
+    const width = imageWidth * crop.width;
+    const height = imageHeight * crop.height;
+    return [
+        imageWidth * crop.x + width * zoom.x,
+        imageHeight * crop.y + height * zoom.y,
+        width * zoom.size,
+        height * zoom.size
+    ];
+}
+
+// Boxes of the screens within the screen area, as fractions of it, in the order of state.screens
+export function getScreenBoxes(state, layout = state.screenLayout) {
+    const { screens } = state;
+    if (layout === 'custom') {
+        return screens.map(screen => screen.rect || FULL_RECT);
+    }
+
+    const columns = layout === 'side-by-side' ? screens.length : Math.ceil(Math.sqrt(screens.length));
+    const rows = Math.ceil(screens.length / columns);
+    return screens.map((screen, index) => ({
+        x: (index % columns) / columns,
+        y: Math.floor(index / columns) / rows,
+        width: 1 / columns,
+        height: 1 / rows
+    }));
+}
+
+// Lay out several screens on one canvas the size of the frame, each letterboxed in its box.
+// Screens without a frame yet are left black.
+function composeScreens(state, images) {
+    if (!screenCanvas) {
+        screenCanvas = new OffscreenCanvas(state.width, state.height);
+        screenCtx = screenCanvas.getContext('2d');
+    }
+    if (screenCanvas.width !== state.width || screenCanvas.height !== state.height) {
+        screenCanvas.width = state.width;
+        screenCanvas.height = state.height;
+    }
+
+    screenCtx.fillStyle = '#000';
+    screenCtx.fillRect(0, 0, state.width, state.height);
+    const boxes = getScreenBoxes(state);
+    state.screens.forEach((screen, index) => {
+        const image = images[screen.id];
+        if (!image) return;
+        const box = { ...boxes[index], radius: 0, border: 0, opacity: 1 };
+        drawLayer(screenCtx, state, image, box, false, getSourceRect(image, screen.crop));
+    });
+    return screenCanvas;
+}
+
+// The screen image to draw and the part of it to show (the crop and zoom), or null if
+// there's nothing to draw yet
+function getScreenImage(state, images, now) {
+    const zoom = getCurrentZoom(state, now);
+    if (state.screens.length > 1) {
+        const image = composeScreens(state, images);
+        return { image, sourceRect: getSourceRect(image, FULL_RECT, zoom) };
+    }
+
+    const [screen] = state.screens;
+    const image = images[screen.id];
+    return image ? { image, sourceRect: getSourceRect(image, screen.crop, zoom) } : null;
+}
+
+// Draw an image over the whole canvas, letterboxed if its shape differs
+function drawFitted(ctx, state, image) {
+    const { imageWidth, imageHeight } = getImageSize(image);
+    const scale = Math.min(state.width / imageWidth, state.height / imageHeight);
+    const width = imageWidth * scale;
+    const height = imageHeight * scale;
+
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, state.width, state.height);
+    ctx.drawImage(image, (state.width - width) / 2, (state.height - height) / 2, width, height);
+}
+
+// Draw an image into a layout box. The camera is cropped to fill its box; the screen is
+// letterboxed so none of it is cut off. sourceRect limits the part of the image drawn
+// ([x, y, width, height] in pixels). Returns the rectangle drawn.
+function drawLayer(ctx, state, image, box, cover, sourceRect = null) {
+    if (box.opacity <= 0.01 || box.width <= 0 || box.height <= 0) return null;
+    const { imageWidth: fullWidth, imageHeight: fullHeight } = getImageSize(image);
+    const [sourceX, sourceY, imageWidth, imageHeight] = sourceRect || [0, 0, fullWidth, fullHeight];
+
+    let x = box.x * state.width;
+    let y = box.y * state.height;
+    let width = box.width * state.width;
+    let height = box.height * state.height;
+    const radius = Math.min(box.radius * width, width / 2, height / 2);
+
+    // Source rectangle (cover) or destination rectangle (contain) that keeps the image's shape
+    let source = [sourceX, sourceY, imageWidth, imageHeight];
+    const imageAspect = imageWidth / imageHeight;
+    if (cover) {
+        if (imageAspect > width / height) {
+            const sourceWidth = imageHeight * (width / height);
+            source = [sourceX + (imageWidth - sourceWidth) / 2, sourceY, sourceWidth, imageHeight];
+        } else {
+            const sourceHeight = imageWidth / (width / height);
+            source = [sourceX, sourceY + (imageHeight - sourceHeight) / 2, imageWidth, sourceHeight];
+        }
+    } else if (imageAspect > width / height) {
+        const fitted = width / imageAspect;
+        y += (height - fitted) / 2;
+        height = fitted;
+    } else {
+        const fitted = height * imageAspect;
+        x += (width - fitted) / 2;
+        width = fitted;
+    }
+
+    ctx.save();
+    ctx.globalAlpha = box.opacity;
+    ctx.beginPath();
+    ctx.roundRect(x, y, width, height, radius);
+    ctx.clip();
+    ctx.drawImage(image, ...source, x, y, width, height);
+    ctx.restore();
+
+    if (box.border > 0.01) {
+        ctx.save();
+        ctx.globalAlpha = box.opacity * box.border;
+        ctx.strokeStyle = state.overlay.borderColor;
+        ctx.lineWidth = Math.max(2, Math.round(state.width / 640));
+        ctx.beginPath();
+        ctx.roundRect(x, y, width, height, radius);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    return { x, y, width, height };
+}
+
+// Draw one frame. screens has the image of each screen by id and camera the camera's (the
+// camera already keyed if green screen is on); they're null when there's no frame yet.
+// Without any screens the camera fills the canvas.
+// Returns where the screen area was drawn in pixels (null if it wasn't).
+export function renderFrame(ctx, state, { screens, camera }, now) {
+    let screenRect = null;
+
+    if (state.screens.length > 0) {
+        const layout = getCurrentLayout(state, now);
+        const screen = getScreenImage(state, screens, now);
+
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, state.width, state.height);
+
+        const layers = layout.top === 'camera' ? ['screen', 'camera'] : ['camera', 'screen'];
+        for (const layer of layers) {
+            if (layer === 'screen' && screen) {
+                screenRect = drawLayer(ctx, state, screen.image, layout.screen, false, screen.sourceRect);
+                if (screenRect) {
+                    drawAnnotations(ctx, screenRect, now, getCurrentZoom(state, now));
+                }
+            } else if (layer === 'camera' && camera && layout.camera.opacity > 0.01) {
+                drawLayer(ctx, state, camera, layout.camera, true);
+            }
+        }
+    } else if (camera) {
+        // Camera only (keeps the last frame while a new camera starts)
+        drawFitted(ctx, state, camera);
+    }
+
+    if (state.branding) {
+        drawBranding(ctx, state.width, state.height, state.branding, {
+            elapsed: (now - state.startedAt) / 1000,
+            outroElapsed: state.outroStartedAt === null ? null : (now - state.outroStartedAt) / 1000
+        });
+    }
+
+    return screenRect;
+}
+
+// Count the frames drawn over the last second, and how long they took to draw
+export function createFrameTimer() {
+    const frames = []; // { at, ms }
+
+    const prune = (now) => {
+        while (frames.length && now - frames[0].at > 1000) frames.shift();
+    };
+
+    return {
+        add(at, ms) {
+            frames.push({ at, ms });
+            prune(at);
+        },
+
+        // { fps, frameMs } over the last second before `now`
+        get(now) {
+            prune(now);
+            const busy = frames.reduce((total, frame) => total + frame.ms, 0);
+            return {
+                fps: frames.length,
+                frameMs: frames.length ? busy / frames.length : 0
+            };
+        }
+    };
+}
@@ -0,0 +1,219 @@
+// Compositor worker - draws the composited video off the page, so it keeps its frame rate
+// while the Unloom tab is in the background (where requestAnimationFrame is paused).
+//
+// The page passes in the readable side of a MediaStreamTrackProcessor for each screen and the
+// camera, and the writable side of a MediaStreamTrackGenerator for the output. Frames are drawn
+// on a timer into an OffscreenCanvas from the latest frame of each source.
+//
+// Messages from the page:
+//   { type: 'start', screens, camera, output, state, chromaKey, annotations, scaleUp,
+//     maxWidth, maxHeight, frameRate, timeOrigin }   screens is [{ id, readable }]
+//   { type: 'state', state }              Frame state changed (see compositor-render.js)
+//   { type: 'add-screen', id, readable }  A screen joined (its layout comes with the state)
+//   { type: 'remove-screen', id }
+//   { type: 'camera', camera }            New camera readable (null removes the camera)
+//   { type: 'annotations', annotations }  Annotations changed (see annotations.getState)
+//   { type: 'stop' }
+// Messages to the page:
+//   { type: 'ready', width, height, startedAt }  Drawing has started at this size
+//   { type: 'screen-rect', rect }         Where the screen was drawn, in pixels
+//   { type: 'stats', fps, frameMs }       Once a second
+//   { type: 'error', message }            Starting failed, or a frame couldn't be drawn (once)
+
+import { renderFrame, getCanvasSize, createFrameTimer } from './compositor-render.js';
+import { createChromaKey } from './chroma-key.js';
+import { setState as setAnnotations } from './annotations.js';
+
+const STATS_INTERVAL_MS = 1000;
+
+let canvas = null;
+let ctx = null;
+let writer = null;
+let state = null;
+let options = null;
+let chromaKey = null;
+let screens = new Map(); // id -> { reader, frame } with the latest frame
+let camera = null;
+let timer = null;
+let statsTimer = null;
+let clockOffset = 0; // Added to performance.now() here to get the page's clock
+let lastScreenRect = null;
+let drawFailed = false; // Whether a frame failed to draw (reported once)
+const frameTimer = createFrameTimer();
+
+// The page's performance.now()
+function now() {
+    return performance.now() + clockOffset;
+}
+
+// Keep the latest frame of a source, closing the one it replaces
+function readFrames(readable) {
+    const source = { reader: readable.getReader(), frame: null };
+
+    (async () => {
+        try {
+            while (true) {
+                const { value: frame, done } = await source.reader.read();
+                if (done) break;
+                source.frame?.close();
+                source.frame = frame;
+                if (!canvas && source === getMainSource()) {
+                    startDrawing(frame);
+                }
+            }
+        } catch (err) {
+            // Cancelled when the source is replaced or compositing stops
+        }
+    })();
+
+    return source;
+}
+
+// The source the canvas is sized to: the first screen, or the camera without one
+function getMainSource() {
+    return state.screens.length > 0 ? screens.get(state.screens[0].id) : camera;
+}
+
+// Stop reading a source and release its last frame
+function closeSource(source) {
+    if (!source) return;
+    source.reader.cancel().catch(() => {});
+    source.frame?.close();
+    source.frame = null;
+}
+
+// Size the canvas to the first frame of the main source and start the frame timer
+function startDrawing(frame) {
+    const crop = state.screens[0]?.crop || { width: 1, height: 1 };
+    const sourceWidth = frame.displayWidth * crop.width;
+    const sourceHeight = frame.displayHeight * crop.height;
+    const size = getCanvasSize(sourceWidth, sourceHeight, {
+        maxWidth: options.maxWidth,
+        maxHeight: options.maxHeight,
+        scaleUp: options.scaleUp
+    });
+
+    canvas = new OffscreenCanvas(size.width, size.height);
+    ctx = canvas.getContext('2d');
+    state = { ...state, ...size, startedAt: now() };
+
+    timer = setInterval(drawFrame, 1000 / options.frameRate);
+    statsTimer = setInterval(() => {
+        postMessage({ type: 'stats', ...frameTimer.get(now()) });
+    }, STATS_INTERVAL_MS);
+    postMessage({ type: 'ready', ...size, startedAt: state.startedAt });
+}
+
+// Draw a frame and send it to the output track. Frames are skipped while the output
+// can't keep up, rather than queued. If drawing fails the page is told, so the recording
+// doesn't go on with a frozen picture unnoticed.
+function drawFrame() {
+    if (!writer || writer.desiredSize <= 0) return;
+
+    try {
+        renderOutputFrame();
+    } catch (err) {
+        if (!drawFailed) {
+            drawFailed = true;
+            postMessage({ type: 'error', message: err.message });
+        }
+    }
+}
+
+// The camera frame to draw, with the green screen keyed out if that's on. If keying fails the
+// camera is drawn as it is from then on.
+function getCameraImage() {
+    if (!camera?.frame) return null;
+    if (!chromaKey) return camera.frame;
+
+    try {
+        return chromaKey.process(camera.frame);
+    } catch (err) {
+        console.error('Green screen failed, drawing the camera without it:', err);
+        chromaKey = null;
+        return camera.frame;
+    }
+}
+
+// Draw a frame from the latest frame of each source and write it to the output
+function renderOutputFrame() {
+    const started = now();
+    const cameraFrame = getCameraImage();
+    const screenFrames = {};
+    for (const [id, source] of screens) {
+        screenFrames[id] = source.frame;
+    }
+    const screenRect = renderFrame(ctx, state, { screens: screenFrames, camera: cameraFrame }, started);
+
+    writer.write(new VideoFrame(canvas, { timestamp: Math.round(started * 1000) })).catch(() => {});
+    frameTimer.add(started, now() - started);
+
+    if (JSON.stringify(screenRect) !== JSON.stringify(lastScreenRect)) {
+        lastScreenRect = screenRect;
+        postMessage({ type: 'screen-rect', rect: screenRect });
+    }
+}
+
+function start(message) {
+    options = {
+        scaleUp: message.scaleUp,
+        maxWidth: message.maxWidth,
+        maxHeight: message.maxHeight,
+        frameRate: message.frameRate
+    };
+    state = message.state;
+    clockOffset = performance.timeOrigin - message.timeOrigin;
+    chromaKey = message.chromaKey ? createChromaKey(message.chromaKey) : null;
+    setAnnotations(message.annotations);
+    writer = message.output.getWriter();
+
+    for (const { id, readable } of message.screens) {
+        screens.set(id, readFrames(readable));
+    }
+    camera = message.camera ? readFrames(message.camera) : null;
+}
+
+function stop() {
+    clearInterval(timer);
+    clearInterval(statsTimer);
+    screens.forEach(closeSource);
+    closeSource(camera);
+    screens.clear();
+    camera = null;
+    writer?.close().catch(() => {});
+    writer = null;
+    self.close();
+}
+
+self.onmessage = ({ data: message }) => {
+    try {
+        switch (message.type) {
+            case 'start':
+                start(message);
+                break;
+            case 'state':
+                // The size is set here and the branding only comes with 'start'
+                state = { ...message.state, width: state.width, height: state.height, startedAt: state.startedAt, branding: state.branding };
+                break;
+            case 'add-screen':
+                screens.set(message.id, readFrames(message.readable));
+                break;
+            case 'remove-screen':
+                closeSource(screens.get(message.id));
+                screens.delete(message.id);
+                break;
+            case 'camera':
+                closeSource(camera);
+                camera = message.camera ? readFrames(message.camera) : null;
+                break;
+            case 'annotations':
+                setAnnotations(message.annotations);
+                break;
+            case 'stop':
+                stop();
+                break;
+        }
+    } catch (err) {
+        postMessage({ type: 'error', message: err.message });
+    }
+};
@@ -1,17 +1,109 @@
-// Compositor module - handles canvas-based video compositing for picture-in-picture
+// Compositor module - handles canvas-based video compositing for picture-in-picture and scenes
+//
+// Where the browser supports it, frames are drawn in a worker (compositor-worker.js) that reads
+// the sources with MediaStreamTrackProcessor and outputs through a MediaStreamTrackGenerator, so
+// recording doesn't stutter while the Unloom tab is in the background. Otherwise they're drawn
+// on a canvas on the page with requestAnimationFrame. Both draw with compositor-render.js.
 
+import { createChromaKey } from './chroma-key.js';
+import {
+    clear as clearAnnotations,
+    getState as getAnnotations,
+    onChange as onAnnotationsChange
+} from './annotations.js';
+import { hasBranding, getOutroSeconds } from './branding.js';
+import {
+    renderFrame,
+    getCanvasSize,
+    getBubbleRect,
+    getCurrentLayout,
+    getCurrentZoom,
+    getScreenBoxes,
+    createFrameTimer
+} from './compositor-render.js';
+
+const WORKER_URL = new URL('./compositor-worker.js', import.meta.url);
+const WORKER_START_TIMEOUT_MS = 5000;
+const STATS_STALE_MS = 3000; // Worker stats older than this mean it has stopped drawing
+
+// Page fallback
 let canvas = null;
 let ctx = null;
 let animationId = null;
-let displayVideo = null;
+let displayVideos = new Map(); // Screen id -> video element
 let cameraVideo = null;
+let chromaKey = null; // Keyer for the camera layer while green screen is on
+
+// Worker pipeline
+let worker = null;
+let outputTrack = null; // MediaStreamTrackGenerator the worker writes to
+let workerStats = null; // { fps, frameMs, at } from the worker
+let onError = null; // Told (once) when frames stop being drawn after compositing has started
+
 let outputStream = null;
+let mode = null; // 'worker' or 'page' while compositing
+let targetFrameRate = 30;
+let screenRect = null; // Where the screen was drawn in the last frame, in pixels
+const frameTimer = createFrameTimer();
+
+// Camera overlay layout. x and y are the centre of the bubble as a fraction of the canvas,
+// size is its width as a fraction of the canvas width.
+export const CAMERA_SHAPES = ['circle', 'rounded', 'square'];
+export const DEFAULT_OVERLAY = {
+    x: 0.12,
+    y: 0.86,
+    size: 0.2,
+    shape: 'rounded',
+    borderColor: '#ffffff'
+};
+const MIN_OVERLAY_SIZE = 0.08;
+const MAX_OVERLAY_SIZE = 0.6;
+
+// Scene layouts for a screen recording. Without a camera every scene shows just the screen.
+export const SCENES = {
+    'bubble': 'Screen + camera',
+    'side-by-side': 'Side by side',
+    'camera': 'Camera + screen',
+    'screen': 'Screen only'
+};
+
+// How several screens share the screen area
+export const SCREEN_LAYOUTS = {
+    'grid': 'Grid',
+    'side-by-side': 'Side by side',
+    'custom': 'Custom'
+};
+const MIN_SCREEN_RECT_SIZE = 0.1;
+
+// Part of a screen that's recorded, as fractions of the captured video. The zoom is a square
+// (in fractions) inside the screen area, so zooming keeps its shape.
+const FULL_CROP = { x: 0, y: 0, width: 1, height: 1 };
+const FULL_ZOOM = { x: 0, y: 0, size: 1 };
+const DEFAULT_ZOOM_SIZE = 0.5;
+const MIN_ZOOM_SIZE = 0.1;
 
-// Camera overlay settings
-const CAMERA_SIZE_RATIO = 0.2; // Camera takes 20% of width
-const CAMERA_MARGIN = 20; // Pixels from edge
-const CAMERA_POSITION = 'bottom-left'; // bottom-left, bottom-right, top-left, top-right
-const CAMERA_BORDER_RADIUS = 12;
+let lastZoom = null; // Region to go back to when zoom is toggled on again
+
+// Everything a frame is drawn from (see compositor-render.js). Changes are posted to the worker.
+let state = createFrameState();
+
+function createFrameState() {
+    return {
+        width: 0,
+        height: 0,
+        overlay: { ...DEFAULT_OVERLAY },
+        cameraAspect: null, // Height over width of the camera
+        scene: 'bubble',
+        transition: null, // { from, start } while animating to the current scene
+        screens: [], // { id, crop, rect } of each screen, id being its stream's id
+        screenLayout: 'grid',
+        zoom: FULL_ZOOM,
+        zoomTransition: null, // { from, start } while easing to the current zoom
+        branding: null, // Title cards, watermark and lower-third (see branding.js)
+        startedAt: 0,
+        outroStartedAt: null
+    };
+}
 
 // Initialize the compositor
 export function init() {
@@ -19,134 +111,508 @@ export function init() {
     ctx = canvas.getContext('2d');
 }
 
-// Start compositing display and camera streams
-export function startCompositing(displayStream, cameraStream, options = {}) {
-    const { position = CAMERA_POSITION, sizeRatio = CAMERA_SIZE_RATIO } = options;
+// Check if compositing can run in a worker
+function supportsWorker() {
+    return !!(window.Worker && window.OffscreenCanvas && window.VideoFrame &&
+        window.MediaStreamTrackProcessor && window.MediaStreamTrackGenerator);
+}
+
+// Create a muted, playing video element to draw a stream from
+function createSourceVideo(stream) {
+    const video = document.createElement('video');
+    video.srcObject = stream;
+    video.muted = true;
+    video.play();
+    return video;
+}
 
-    // Create video elements to draw from
-    displayVideo = document.createElement('video');
-    displayVideo.srcObject = displayStream;
-    displayVideo.muted = true;
-    displayVideo.play();
+// Height over width of a camera stream (null until it reports its size)
+function getCameraAspect(stream) {
+    const { width, height } = stream?.getVideoTracks()[0]?.getSettings() || {};
+    return width && height ? height / width : null;
+}
 
-    if (cameraStream) {
-        cameraVideo = document.createElement('video');
-        cameraVideo.srcObject = cameraStream;
-        cameraVideo.muted = true;
-        cameraVideo.play();
+// Start compositing display and camera streams. More screens can be added with addScreenStream().
+// Without a display stream the camera fills the canvas.
+export async function startCompositing(displayStream, cameraStream, options = {}) {
+    const {
+        overlay: layout = {},
+        scene: initialScene = 'bubble',
+        screenLayout = 'grid',
+        chromaKey: chromaKeySettings = null,
+        crop: cropRect = null, // { x, y, width, height } as fractions of the display
+        branding: template = null,
+        maxWidth = Infinity,
+        maxHeight = Infinity,
+        frameRate = 30,
+        onError: handleError = null // (error) when frames stop being drawn mid-recording
+    } = options;
+
+    state = createFrameState();
+    setOverlay(layout);
+    state.scene = initialScene in SCENES ? initialScene : 'bubble';
+    state.cameraAspect = getCameraAspect(cameraStream);
+    state.screens = displayStream ? [{ id: displayStream.id, crop: cropRect || FULL_CROP, rect: null }] : [];
+    state.screenLayout = screenLayout in SCREEN_LAYOUTS ? screenLayout : 'grid';
+    state.branding = hasBranding(template) ? template : null;
+    lastZoom = null;
+    screenRect = null;
+    targetFrameRate = frameRate;
+    onError = handleError;
+    clearAnnotations();
+
+    const settings = {
+        chromaKey: chromaKeySettings?.enabled ? chromaKeySettings : null,
+        scaleUp: !!(cropRect && displayStream),
+        maxWidth,
+        maxHeight,
+        frameRate
+    };
+
+    if (supportsWorker()) {
+        try {
+            outputStream = await startWorker(displayStream, cameraStream, settings);
+            mode = 'worker';
+            return outputStream;
+        } catch (err) {
+            console.warn('Compositing in a worker failed, drawing on the page instead:', err);
+            stopWorker();
+        }
     }
 
-    // Wait for display video to have dimensions
+    outputStream = await startPage(displayStream, cameraStream, settings);
+    mode = 'page';
+    return outputStream;
+}
+
+// Get the readable side of a processor for a stream's video (null without a stream)
+function getReadable(stream) {
+    const track = stream?.getVideoTracks()[0];
+    return track ? new MediaStreamTrackProcessor({ track }).readable : null;
+}
+
+// The frame state as posted to the worker. The branding is sent once at the start,
+// so its decoded logo isn't copied on every change.
+function getPostedState() {
+    const { branding, ...rest } = state;
+    return rest;
+}
+
+// Send the frame state to the worker after a change
+function syncState() {
+    worker?.postMessage({ type: 'state', state: getPostedState() });
+}
+
+function postAnnotations() {
+    worker?.postMessage({ type: 'annotations', annotations: getAnnotations() });
+}
+
+// Start drawing in a worker. Resolves with the output stream once the first frame is drawn.
+function startWorker(displayStream, cameraStream, settings) {
+    const screens = displayStream ? [{ id: displayStream.id, readable: getReadable(displayStream) }] : [];
+    const camera = getReadable(cameraStream);
+    outputTrack = new MediaStreamTrackGenerator({ kind: 'video' });
+    worker = new Worker(WORKER_URL, { type: 'module' });
+    workerStats = null;
+
+    return new Promise((resolve, reject) => {
+        let started = false;
+        const timeout = setTimeout(() => {
+            reject(new Error('The compositor worker did not start'));
+        }, WORKER_START_TIMEOUT_MS);
+
+        // Before 'ready' this falls back to the page; after it, the recording's output comes
+        // from the worker and can't be switched, so it's reported instead
+        const fail = (err) => {
+            clearTimeout(timeout);
+            console.error('Compositor worker error:', err);
+            if (started) {
+                onError?.(err);
+                onError = null;
+            } else {
+                reject(err);
+            }
+        };
+
+        worker.onmessage = ({ data: message }) => {
+            switch (message.type) {
+                case 'ready':
+                    clearTimeout(timeout);
+                    started = true;
+                    state.width = message.width;
+                    state.height = message.height;
+                    state.startedAt = message.startedAt;
+                    resolve(new MediaStream([outputTrack]));
+                    break;
+                case 'screen-rect':
+                    screenRect = message.rect;
+                    break;
+                case 'stats':
+                    workerStats = { fps: message.fps, frameMs: message.frameMs, at: performance.now() };
+                    break;
+                case 'error':
+                    fail(new Error(message.message));
+                    break;
+            }
+        };
+        worker.onerror = (event) => {
+            event.preventDefault();
+            fail(new Error(event.message || 'The compositor worker failed'));
+        };
+
+        onAnnotationsChange(postAnnotations);
+        worker.postMessage({
+            type: 'start',
+            screens,
+            camera,
+            output: outputTrack.writable,
+            state: { ...getPostedState(), branding: state.branding },
+            chromaKey: settings.chromaKey,
+            annotations: getAnnotations(),
+            scaleUp: settings.scaleUp,
+            maxWidth: settings.maxWidth,
+            maxHeight: settings.maxHeight,
+            frameRate: settings.frameRate,
+            timeOrigin: performance.timeOrigin
+        }, [...screens.map(screen => screen.readable), camera, outputTrack.writable].filter(Boolean));
+    });
+}
+
+function stopWorker() {
+    onAnnotationsChange(null);
+    if (worker) {
+        worker.postMessage({ type: 'stop' }); // The worker closes itself once it has let go of its frames
+        worker.onmessage = null;
+        worker.onerror = null;
+        worker = null;
+    }
+    if (outputTrack) {
+        outputTrack.stop();
+        outputTrack = null;
+    }
+    workerStats = null;
+}
+
+// Start drawing on the page (the fallback). Slows down or pauses while the tab is in the
+// background, since it's driven by requestAnimationFrame.
+function startPage(displayStream, cameraStream, settings) {
+    chromaKey = settings.chromaKey ? createChromaKey(settings.chromaKey) : null;
+
+    // Create video elements to draw from
+    displayVideos = new Map();
+    if (displayStream) {
+        displayVideos.set(displayStream.id, createSourceVideo(displayStream));
+    }
+    cameraVideo = cameraStream ? createSourceVideo(cameraStream) : null;
+    const mainVideo = displayStream ? displayVideos.get(displayStream.id) : cameraVideo;
+    const crop = state.screens[0]?.crop || FULL_CROP;
+
+    // Wait for the main video to have dimensions
     return new Promise((resolve) => {
-        displayVideo.onloadedmetadata = () => {
-            // Set canvas size to match display
-            canvas.width = displayVideo.videoWidth || 1920;
-            canvas.height = displayVideo.videoHeight || 1080;
+        mainVideo.onloadedmetadata = () => {
+            const sourceWidth = (mainVideo.videoWidth || 1920) * crop.width;
+            const sourceHeight = (mainVideo.videoHeight || 1080) * crop.height;
+            Object.assign(state, getCanvasSize(sourceWidth, sourceHeight, settings));
+            canvas.width = state.width;
+            canvas.height = state.height;
 
             // Start render loop
-            render(position, sizeRatio);
+            state.startedAt = performance.now();
+            render();
 
             // Capture canvas as stream
-            outputStream = canvas.captureStream(30);
-
-            resolve(outputStream);
+            resolve(canvas.captureStream(settings.frameRate));
         };
     });
 }
 
-// Render loop
-function render(position, sizeRatio) {
-    // Draw display video as background
-    if (displayVideo.readyState >= 2) {
-        ctx.drawImage(displayVideo, 0, 0, canvas.width, canvas.height);
-    }
-
-    // Draw camera overlay if present
-    if (cameraVideo && cameraVideo.readyState >= 2) {
-        drawCameraOverlay(position, sizeRatio);
-    }
-
-    animationId = requestAnimationFrame(() => render(position, sizeRatio));
-}
-
-// Draw the camera overlay with rounded corners
-function drawCameraOverlay(position, sizeRatio) {
-    const cameraWidth = Math.round(canvas.width * sizeRatio);
-    const cameraHeight = Math.round(cameraWidth * (cameraVideo.videoHeight / cameraVideo.videoWidth));
-
-    // Calculate position
-    let x, y;
-    switch (position) {
-        case 'top-left':
-            x = CAMERA_MARGIN;
-            y = CAMERA_MARGIN;
-            break;
-        case 'top-right':
-            x = canvas.width - cameraWidth - CAMERA_MARGIN;
-            y = CAMERA_MARGIN;
-            break;
-        case 'bottom-right':
-            x = canvas.width - cameraWidth - CAMERA_MARGIN;
-            y = canvas.height - cameraHeight - CAMERA_MARGIN;
-            break;
-        case 'bottom-left':
-        default:
-            x = CAMERA_MARGIN;
-            y = canvas.height - cameraHeight - CAMERA_MARGIN;
-            break;
-    }
-
-    // Draw rounded rectangle clip path
-    ctx.save();
-    ctx.beginPath();
-    roundedRect(ctx, x, y, cameraWidth, cameraHeight, CAMERA_BORDER_RADIUS);
-    ctx.clip();
-
-    // Draw camera video
-    ctx.drawImage(cameraVideo, x, y, cameraWidth, cameraHeight);
-
-    ctx.restore();
-
-    // Draw border
-    ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
-    ctx.lineWidth = 2;
-    ctx.beginPath();
-    roundedRect(ctx, x, y, cameraWidth, cameraHeight, CAMERA_BORDER_RADIUS);
-    ctx.stroke();
-}
-
-// Helper to draw rounded rectangle
-function roundedRect(ctx, x, y, width, height, radius) {
-    ctx.moveTo(x + radius, y);
-    ctx.lineTo(x + width - radius, y);
-    ctx.quadraticCurveTo(x + width, y, x + width, y + radius);
-    ctx.lineTo(x + width, y + height - radius);
-    ctx.quadraticCurveTo(x + width, y + height, x + width - radius, y + height);
-    ctx.lineTo(x + radius, y + height);
-    ctx.quadraticCurveTo(x, y + height, x, y + height - radius);
-    ctx.lineTo(x, y + radius);
-    ctx.quadraticCurveTo(x, y, x + radius, y);
-    ctx.closePath();
+// Render loop of the page fallback. A frame that fails to draw is reported (once) and the
+// loop goes on, so it picks up again if the failure passes.
+function render() {
+    const started = performance.now();
+    const screens = {};
+    for (const [id, video] of displayVideos) {
+        screens[id] = video.readyState >= 2 ? video : null;
+    }
+    try {
+        screenRect = renderFrame(ctx, state, {
+            screens,
+            camera: cameraVideo?.readyState >= 2 ? getCameraImage() : null
+        }, started);
+        frameTimer.add(started, performance.now() - started);
+    } catch (err) {
+        console.error('Error drawing a frame:', err);
+        onError?.(err);
+        onError = null;
+    }
+
+    animationId = requestAnimationFrame(render);
+}
+
+// The camera frame to draw, with the green screen keyed out if that's on. If keying fails the
+// camera is drawn as it is from then on.
+function getCameraImage() {
+    if (!chromaKey) return cameraVideo;
+
+    try {
+        return chromaKey.process(cameraVideo);
+    } catch (err) {
+        console.error('Green screen failed, drawing the camera without it:', err);
+        chromaKey = null;
+        return cameraVideo;
+    }
+}
+
+// Check if frames are being drawn
+function isRunning() {
+    return !!(animationId || worker);
+}
+
+// Replace the camera being drawn (null removes it). Used to switch cameras mid-recording.
+export function setCameraStream(stream) {
+    state.cameraAspect = getCameraAspect(stream);
+
+    if (worker) {
+        const camera = getReadable(stream);
+        worker.postMessage({ type: 'camera', camera }, camera ? [camera] : []);
+        syncState();
+        return;
+    }
+
+    if (cameraVideo) {
+        cameraVideo.srcObject = null;
+    }
+    cameraVideo = stream ? createSourceVideo(stream) : null;
+}
+
+// Add a screen or window to the recording, as the top layer. In the custom layout it starts
+// in the box it would have in the grid.
+export function addScreenStream(stream) {
+    const screen = { id: stream.id, crop: FULL_CROP, rect: null };
+    state.screens = [...state.screens, screen];
+    screen.rect = getScreenBoxes(state, 'grid').at(-1);
+
+    if (worker) {
+        const readable = getReadable(stream);
+        worker.postMessage({ type: 'add-screen', id: screen.id, readable }, [readable]);
+    } else {
+        displayVideos.set(screen.id, createSourceVideo(stream));
+    }
+    syncState();
+}
+
+// Stop drawing a screen (by its stream's id)
+export function removeScreenStream(id) {
+    state.screens = state.screens.filter(screen => screen.id !== id);
+    syncState();
+
+    if (worker) {
+        worker.postMessage({ type: 'remove-screen', id });
+    } else if (displayVideos.has(id)) {
+        displayVideos.get(id).srcObject = null;
+        displayVideos.delete(id);
+    }
+}
+
+// Get the screens being drawn, bottom layer first ({ id, rect } with rect as fractions of the
+// screen area, where it's drawn in the current layout)
+export function getScreens() {
+    const boxes = getScreenBoxes(state);
+    return state.screens.map((screen, index) => ({ id: screen.id, rect: { ...boxes[index] } }));
+}
+
+// Lay the screens out another way. Switching to custom starts from the boxes they're in now.
+export function setScreenLayout(name) {
+    if (!(name in SCREEN_LAYOUTS) || name === state.screenLayout) return;
+
+    if (name === 'custom') {
+        const boxes = getScreenBoxes(state);
+        state.screens = state.screens.map((screen, index) => ({ ...screen, rect: boxes[index] }));
+    }
+    state.screenLayout = name;
+    syncState();
+}
+
+// Get how the screens are laid out
+export function getScreenLayout() {
+    return state.screenLayout;
+}
+
+// Move or resize a screen in the custom layout ({ x, y, width, height } as fractions of the
+// screen area, kept inside it). Returns the box in use.
+export function setScreenRect(id, changes) {
+    const screen = state.screens.find(item => item.id === id);
+    if (!screen) return null;
+
+    const next = { ...screen.rect, ...changes };
+    next.width = Math.min(1, Math.max(MIN_SCREEN_RECT_SIZE, Number(next.width) || 1));
+    next.height = Math.min(1, Math.max(MIN_SCREEN_RECT_SIZE, Number(next.height) || 1));
+    next.x = Math.min(1 - next.width, Math.max(0, Number(next.x) || 0));
+    next.y = Math.min(1 - next.height, Math.max(0, Number(next.y) || 0));
+
+    state.screens = state.screens.map(item => (item === screen ? { ...item, rect: next } : item));
+    syncState();
+    return { ...next };
+}
+
+// Change the camera overlay layout (takes effect on the next frame). Returns the layout in use.
+export function setOverlay(changes = {}) {
+    const next = { ...state.overlay, ...changes };
+    next.size = Math.min(MAX_OVERLAY_SIZE, Math.max(MIN_OVERLAY_SIZE, Number(next.size) || DEFAULT_OVERLAY.size));
+    next.x = Math.min(1, Math.max(0, Number(next.x) || 0));
+    next.y = Math.min(1, Math.max(0, Number(next.y) || 0));
+    if (!CAMERA_SHAPES.includes(next.shape)) next.shape = DEFAULT_OVERLAY.shape;
+    state.overlay = next;
+    syncState();
+    return { ...next };
+}
+
+// Get the camera overlay layout
+export function getOverlay() {
+    return { ...state.overlay };
+}
+
+// Where the camera bubble is drawn, as fractions of the canvas ({ x, y, width, height } of its box)
+export function getOverlayRect() {
+    return state.width ? getBubbleRect(state) : null;
+}
+
+// Switch to another scene, animating from what's on screen now
+export function setScene(name) {
+    if (!(name in SCENES) || name === state.scene) return;
+
+    if (isRunning()) {
+        const now = performance.now();
+        state.transition = { from: getCurrentLayout(state, now), start: now };
+    }
+    state.scene = name;
+    syncState();
+}
+
+// Get the current scene
+export function getScene() {
+    return state.scene;
+}
+
+// Zoom into a region of what the screen currently shows ({ x, y, width, height } as fractions
+// of it). The region is widened to a square so the picture keeps its shape.
+export function zoomTo(region) {
+    const { zoom } = state;
+    const size = Math.min(1, Math.max(MIN_ZOOM_SIZE, region.width, region.height));
+    const centreX = region.x + region.width / 2;
+    const centreY = region.y + region.height / 2;
+    const local = {
+        x: Math.min(1 - size, Math.max(0, centreX - size / 2)),
+        y: Math.min(1 - size, Math.max(0, centreY - size / 2)),
+        size
+    };
+
+    // The region is relative to the current zoom, so combine the two
+    setZoom({
+        x: zoom.x + local.x * zoom.size,
+        y: zoom.y + local.y * zoom.size,
+        size: local.size * zoom.size
+    });
+}
+
+// Go back to the whole screen, or to the last zoomed region (the middle if there isn't one)
+export function toggleZoom() {
+    if (state.zoom.size < 1) {
+        lastZoom = state.zoom;
+        setZoom(FULL_ZOOM);
+    } else {
+        const half = DEFAULT_ZOOM_SIZE / 2;
+        setZoom(lastZoom || { x: 0.5 - half, y: 0.5 - half, size: DEFAULT_ZOOM_SIZE });
+    }
+}
+
+// Check if the screen is zoomed in
+export function isZoomed() {
+    return state.zoom.size < 1;
+}
+
+function setZoom(next) {
+    const now = performance.now();
+    state.zoomTransition = { from: getCurrentZoom(state, now), start: now };
+    state.zoom = next;
+    syncState();
+}
+
+// Convert a point on the screen as shown ({ x, y } as fractions of it) to the same spot on the
+// screen before the zoom, which is where annotations are kept
+export function toScreenPoint(point) {
+    const zoom = getCurrentZoom(state, performance.now());
+    return {
+        x: zoom.x + point.x * zoom.size,
+        y: zoom.y + point.y * zoom.size
+    };
+}
+
+// Where the screen is shown, as fractions of the canvas (null if it isn't)
+export function getScreenRect() {
+    if (!screenRect || !state.width) return null;
+    return {
+        x: screenRect.x / state.width,
+        y: screenRect.y / state.height,
+        width: screenRect.width / state.width,
+        height: screenRect.height / state.height
+    };
+}
+
+// Show the outro card. Resolves once it has been on screen for its full time
+// (straight away if there's no outro).
+export function playOutro() {
+    const seconds = isRunning() ? getOutroSeconds(state.branding) : 0;
+    if (!seconds) return Promise.resolve();
+
+    state.outroStartedAt = performance.now();
+    syncState();
+    return new Promise(resolve => setTimeout(resolve, seconds * 1000));
+}
+
+// How smoothly frames are being drawn: { fps, frameMs, targetFps, mode } over the last second,
+// where mode is 'worker' or 'page' (null when not compositing)
+export function getFrameStats() {
+    if (!mode) return null;
+
+    const now = performance.now();
+    let stats = frameTimer.get(now);
+    if (mode === 'page') {
+        // Animation frames can come faster than the output's frame rate, which caps what's recorded
+        stats.fps = Math.min(stats.fps, targetFrameRate);
+    } else {
+        stats = workerStats && now - workerStats.at < STATS_STALE_MS
+            ? { fps: workerStats.fps, frameMs: workerStats.frameMs }
+            : { fps: 0, frameMs: 0 };
+    }
+    return { ...stats, targetFps: targetFrameRate, mode };
 }
 
 // Stop compositing and cleanup
 export function stopCompositing() {
+    stopWorker();
+
     if (animationId) {
         cancelAnimationFrame(animationId);
         animationId = null;
     }
 
-    if (displayVideo) {
-        displayVideo.srcObject = null;
-        displayVideo = null;
+    for (const video of displayVideos.values()) {
+        video.srcObject = null;
     }
+    displayVideos = new Map();
 
     if (cameraVideo) {
         cameraVideo.srcObject = null;
         cameraVideo = null;
     }
 
+    chromaKey = null;
+    state.branding = null;
+    screenRect = null;
     outputStream = null;
+    mode = null;
+    onError = null;
 }
 
 // Get the composited output stream
@@ -3,6 +3,21 @@
 let playerModal = null;
 let videoElement = null;
 let currentObjectUrl = null;
+let playerRecording = null; // The recording whose details are shown in the player
+let saveDetails = null; // (filename, changes, { renameFile }) => updated recording
+
+// Data type of a recording card dragged onto a collection
+const RECORDING_DRAG_TYPE = 'application/x-unloom-recording';
+
+// Escape text for use in HTML (titles and tags are typed in by the user)
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// Split a comma-separated list of tags
+export function parseTags(text) {
+    return text.split(',').map(tag => tag.trim()).filter(Boolean);
+}
 
 // Format duration as MM:SS
 export function formatDuration(seconds) {
@@ -53,6 +68,59 @@ export function formatSize(bytes) {
     return `${size.toFixed(1)} ${units[unitIndex]}`;
 }
 
+export const SORT_OPTIONS = {
+    newest: (a, b) => b.timestamp - a.timestamp,
+    oldest: (a, b) => a.timestamp - b.timestamp,
+    longest: (a, b) => (b.duration || 0) - (a.duration || 0),
+    largest: (a, b) => (b.size || 0) - (a.size || 0),
+    title: (a, b) => (a.title || a.filename).localeCompare(b.title || b.filename, undefined, { numeric: true, sensitivity: 'base' })
+};
+
+// Duration and size ranges to filter by, as [min, max) in seconds and bytes
+export const DURATION_FILTERS = {
+    short: [0, 60],
+    medium: [60, 600],
+    long: [600, Infinity]
+};
+export const SIZE_FILTERS = {
+    small: [0, 50 * 1024 * 1024],
+    medium: [50 * 1024 * 1024, 500 * 1024 * 1024],
+    large: [500 * 1024 * 1024, Infinity]
+};
+
+export const DEFAULT_LIBRARY_VIEW = { query: '', from: '', to: '', duration: '', size: '', sort: 'newest', view: 'grid' };
+
+// Check if a recording matches the library filters. Every word of the query has to appear in
+// the title, description, tags or file name; from and to are dates (YYYY-MM-DD), inclusive.
+function matchesFilters(recording, { query, from, to, duration, size }) {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length > 0) {
+        const text = [recording.title, recording.description, recording.filename, ...(recording.tags || [])]
+            .join(' ').toLowerCase();
+        if (!words.every(word => text.includes(word))) return false;
+    }
+
+    if (from && recording.timestamp < new Date(`${from}T00:00`).getTime()) return false;
+    if (to && recording.timestamp >= new Date(`${to}T00:00`).getTime() + 24 * 60 * 60 * 1000) return false;
+
+    const inRange = (value, range) => !range || (value >= range[0] && value < range[1]);
+    return inRange(recording.duration || 0, DURATION_FILTERS[duration])
+        && inRange(recording.size || 0, SIZE_FILTERS[size]);
+}
+
+// Filter and sort recordings for the library
+export function filterRecordings(recordings, view) {
+    const { sort, ...filters } = { ...DEFAULT_LIBRARY_VIEW, ...view };
+    return recordings
+        .filter(recording => matchesFilters(recording, filters))
+        .sort(SORT_OPTIONS[sort] || SORT_OPTIONS.newest);
+}
+
+// Check if any filter is set
+export function hasFilters(view) {
+    return ['query', 'from', 'to', 'duration', 'size'].some(key => view[key]);
+}
+
 // Generate a thumbnail from a video blob
 export function generateThumbnail(blob) {
     return new Promise((resolve) => {
@@ -113,14 +181,69 @@ export function generateThumbnail(blob) {
     });
 }
 
+// Swap a card's title for a text field, calling onRename(filename, title) with the new title
+// on Enter or when the field loses focus (Escape cancels)
+function editCardTitle(card, recording, onRename) {
+    const titleElement = card.querySelector('.recording-title');
+    if (titleElement.querySelector('input')) return;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'recording-title-input';
+    input.value = recording.title || recording.filename;
+    input.setAttribute('aria-label', 'Recording title');
+    titleElement.replaceChildren(input);
+    card.draggable = false; // So text in the field can be selected
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = (save) => {
+        if (done) return;
+        done = true;
+        card.draggable = true;
+        const title = input.value.trim();
+        titleElement.textContent = recording.title || recording.filename;
+        if (save && title && title !== recording.title) {
+            titleElement.textContent = title;
+            onRename(recording.filename, title);
+        }
+    };
+
+    input.addEventListener('keydown', (e) => {
+        e.stopPropagation();
+        if (e.key === 'Enter') finish(true);
+        if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+}
+
 // Create a recording card element
-export function createRecordingCard(recording, onPlay, onDelete) {
+export function createRecordingCard(recording, onPlay, onDelete, onRepair, onRename) {
+    const canRepair = onRepair && recording.filename.endsWith('.webm');
+
     const card = document.createElement('div');
     card.className = 'recording-card';
     card.dataset.filename = recording.filename;
+    card.dataset.kind = recording.kind || 'video';
+    card.draggable = true;
+
+    // Audio-only recordings have no frames to show, so they get a waveform instead
+    const placeholder = recording.kind === 'audio' ? `
+            <svg class="audio-placeholder" viewBox="0 0 48 24" fill="currentColor" aria-hidden="true">
+                <rect x="2" y="9" width="2" height="6" rx="1"/>
+                <rect x="7" y="6" width="2" height="12" rx="1"/>
+                <rect x="12" y="2" width="2" height="20" rx="1"/>
+                <rect x="17" y="7" width="2" height="10" rx="1"/>
+                <rect x="22" y="4" width="2" height="16" rx="1"/>
+                <rect x="27" y="8" width="2" height="8" rx="1"/>
+                <rect x="32" y="3" width="2" height="18" rx="1"/>
+                <rect x="37" y="7" width="2" height="10" rx="1"/>
+                <rect x="42" y="10" width="2" height="4" rx="1"/>
+            </svg>` : '';
 
     card.innerHTML = `
-        <div class="recording-thumbnail">
+        <div class="recording-thumbnail">${placeholder}
             <img class="thumbnail-img" src="" alt="" style="display: none;">
             <div class="play-overlay">
                 <svg viewBox="0 0 24 24" fill="currentColor">
@@ -129,27 +252,68 @@ export function createRecordingCard(recording, onPlay, onDelete) {
             </div>
         </div>
         <div class="recording-info">
-            <div class="recording-title" title="${recording.filename}">${recording.title || recording.filename}</div>
+            <div class="recording-title" title="${escapeHtml(recording.filename)}">${escapeHtml(recording.title || recording.filename)}</div>
             <div class="recording-meta">
                 <span class="recording-duration">${formatDuration(recording.duration)}</span>
                 <span class="recording-date">${formatDate(recording.timestamp)}</span>
                 ${recording.size ? `<span class="recording-size">${formatSize(recording.size)}</span>` : ''}
+                ${recording.series ? `<span class="recording-part">Part ${recording.series.part}/${recording.series.total || recording.series.part}</span>` : ''}
+                ${recording.audioTracks?.length ? `<span class="recording-tracks" title="${escapeHtml(recording.audioTracks.map(track => track.filename).join('\n'))}">+${recording.audioTracks.length} audio</span>` : ''}
             </div>
+            ${recording.tags?.length ? `<div class="recording-tags">${recording.tags.map(tag => `<span class="recording-tag">${escapeHtml(tag)}</span>`).join('')}</div>` : ''}
+        </div>
+        <div class="recording-actions">
+            ${onRename ? `
+            <button class="recording-action recording-rename" title="Edit title" aria-label="Edit title">
+                <svg viewBox="0 0 24 24" fill="currentColor">
+                    <path d="M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04a1 1 0 0 0 0-1.41l-2.34-2.34a1 1 0 0 0-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z"/>
+                </svg>
+            </button>` : ''}
+            ${canRepair ? `
+            <button class="recording-action recording-repair" title="Repair duration and seeking" aria-label="Repair recording">
+                <svg viewBox="0 0 24 24" fill="currentColor">
+                    <path d="M22.7 19l-9.1-9.1c.9-2.3.4-5-1.5-6.9-2-2-5-2.4-7.4-1.3L9 6 6 9 1.6 4.7C.4 7.1.9 10.1 2.9 12.1c1.9 1.9 4.6 2.4 6.9 1.5l9.1 9.1c.4.4 1 .4 1.4 0l2.3-2.3c.5-.4.5-1.1.1-1.4z"/>
+                </svg>
+            </button>` : ''}
+            <button class="recording-action recording-delete" title="Delete recording" aria-label="Delete recording">
+                <svg viewBox="0 0 24 24" fill="currentColor">
+                    <path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/>
+                </svg>
+            </button>
         </div>
-        <button class="recording-delete" title="Delete recording" aria-label="Delete recording">
-            <svg viewBox="0 0 24 24" fill="currentColor">
-                <path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/>
-            </svg>
-        </button>
     `;
 
     // Click card to play
     card.addEventListener('click', (e) => {
-        if (!e.target.closest('.recording-delete')) {
-            onPlay(recording.filename);
+        if (!e.target.closest('.recording-actions, .recording-title-input')) {
+            onPlay(recording.filename, recording);
         }
     });
 
+    // Drag onto a collection to move it there
+    card.addEventListener('dragstart', (e) => {
+        e.dataTransfer.setData(RECORDING_DRAG_TYPE, recording.filename);
+        e.dataTransfer.effectAllowed = 'move';
+    });
+
+    // Edit the title with the button or by double-clicking it
+    if (onRename) {
+        card.querySelector('.recording-rename').addEventListener('click', (e) => {
+            e.stopPropagation();
+            editCardTitle(card, recording, onRename);
+        });
+        card.querySelector('.recording-title').addEventListener('dblclick', (e) => {
+            e.stopPropagation();
+            editCardTitle(card, recording, onRename);
+        });
+    }
+
+    // Repair button
+    card.querySelector('.recording-repair')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        onRepair(recording.filename);
+    });
+
     // Delete button
     card.querySelector('.recording-delete').addEventListener('click', (e) => {
         e.stopPropagation();
@@ -169,10 +333,107 @@ export function setCardThumbnail(card, dataUrl) {
     }
 }
 
-// Render the library grid
-export function renderLibrary(container, recordings, onPlay, onDelete) {
+// Create a group showing the parts of a series together, in order
+function createSeriesGroup(parts, onPlay, onDelete, onRepair, onRename) {
+    const totalDuration = parts.reduce((sum, part) => sum + (part.duration || 0), 0);
+
+    const group = document.createElement('div');
+    group.className = 'recording-series';
+    group.dataset.series = parts[0].series.id;
+    group.innerHTML = `
+        <div class="recording-series-header">
+            <span class="recording-series-title">${escapeHtml(parts[0].series.id)}</span>
+            <span class="recording-series-meta">${parts.length} parts · ${formatDuration(totalDuration)}</span>
+        </div>
+        <div class="recording-series-parts"></div>
+    `;
+
+    const list = group.querySelector('.recording-series-parts');
+    for (const part of parts) {
+        list.appendChild(createRecordingCard(part, onPlay, onDelete, onRepair, onRename));
+    }
+
+    return group;
+}
+
+// Create a collection in the sidebar. collection is null for all recordings and '' for the top of the folder.
+function createCollectionItem(collection, label, count, selected, handlers) {
+    const item = document.createElement('li');
+    item.className = 'collection-item' + (selected ? ' selected' : '');
+    item.innerHTML = `
+        <button class="collection-select" ${selected ? 'aria-current="true"' : ''}>
+            <span class="collection-name">${escapeHtml(label)}</span>
+            <span class="collection-count">${count}</span>
+        </button>
+        ${collection ? `
+        <div class="collection-actions">
+            <button class="collection-action collection-rename" title="Rename collection" aria-label="Rename ${escapeHtml(collection)}">
+                <svg viewBox="0 0 24 24" fill="currentColor">
+                    <path d="M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04a1 1 0 0 0 0-1.41l-2.34-2.34a1 1 0 0 0-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z"/>
+                </svg>
+            </button>
+            <button class="collection-action collection-delete" title="Delete collection" aria-label="Delete ${escapeHtml(collection)}">
+                <svg viewBox="0 0 24 24" fill="currentColor">
+                    <path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/>
+                </svg>
+            </button>
+        </div>` : ''}
+    `;
+
+    item.querySelector('.collection-select').addEventListener('click', () => handlers.onSelect(collection));
+    item.querySelector('.collection-rename')?.addEventListener('click', () => handlers.onRename(collection));
+    item.querySelector('.collection-delete')?.addEventListener('click', () => handlers.onDelete(collection));
+
+    // Every folder but "All recordings" takes dropped recordings
+    if (collection !== null) {
+        item.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes(RECORDING_DRAG_TYPE)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            item.classList.add('drop-target');
+        });
+        item.addEventListener('dragleave', (e) => {
+            if (!item.contains(e.relatedTarget)) item.classList.remove('drop-target');
+        });
+        item.addEventListener('drop', (e) => {
+            e.preventDefault();
+            item.classList.remove('drop-target');
+            const filename = e.dataTransfer.getData(RECORDING_DRAG_TYPE);
+            if (filename) handlers.onMove(filename, collection);
+        });
+    }
+
+    return item;
+}
+
+// Render the collections sidebar: all recordings, the top of the folder (folderName), then each
+// collection. handlers are { onSelect, onMove, onRename, onDelete }, called with the collection.
+export function renderCollections(list, recordings, collections, selected, folderName, handlers) {
+    const count = (collection) => recordings.filter(r => collection === null || r.collection === collection).length;
+
+    list.innerHTML = '';
+    list.appendChild(createCollectionItem(null, 'All recordings', count(null), selected === null, handlers));
+    list.appendChild(createCollectionItem('', folderName, count(''), selected === '', handlers));
+    for (const collection of collections) {
+        list.appendChild(createCollectionItem(collection, collection, count(collection), selected === collection, handlers));
+    }
+}
+
+// Render the library grid (parts of a series are grouped where the first of them comes in the
+// order given). filtered says the recordings are a filtered selection, for the empty message.
+export function renderLibrary(container, recordings, onPlay, onDelete, onRepair, onRename, { filtered = false } = {}) {
     container.innerHTML = '';
 
+    if (recordings.length === 0 && filtered) {
+        container.innerHTML = `
+            <div class="library-empty">
+                <p>No recordings match</p>
+                <p class="library-empty-hint">Try a different search or clear the filters</p>
+            </div>
+        `;
+        return;
+    }
+
     if (recordings.length === 0) {
         container.innerHTML = `
             <div class="library-empty">
@@ -186,19 +447,35 @@ export function renderLibrary(container, recordings, onPlay, onDelete) {
         return;
     }
 
+    const renderedSeries = new Set();
     for (const recording of recordings) {
-        const card = createRecordingCard(recording, onPlay, onDelete);
-        container.appendChild(card);
+        if (!recording.series) {
+            container.appendChild(createRecordingCard(recording, onPlay, onDelete, onRepair, onRename));
+            continue;
+        }
+
+        const { id } = recording.series;
+        if (renderedSeries.has(id)) continue;
+        renderedSeries.add(id);
+
+        const parts = recordings
+            .filter(r => r.series?.id === id)
+            .sort((a, b) => a.series.part - b.series.part);
+        container.appendChild(createSeriesGroup(parts, onPlay, onDelete, onRepair, onRename));
     }
 }
 
-// Initialize the player modal
-export function initPlayer() {
+// Initialize the player modal. onSaveDetails(filename, changes, { renameFile }) saves the
+// details panel and returns the updated recording.
+export function initPlayer({ onSaveDetails = null } = {}) {
     playerModal = document.getElementById('player-modal');
     videoElement = document.getElementById('player-video');
+    saveDetails = onSaveDetails;
 
     if (!playerModal || !videoElement) return;
 
+    document.getElementById('player-details-form')?.addEventListener('submit', handleDetailsSubmit);
+
     // Close on backdrop click
     playerModal.addEventListener('click', (e) => {
         if (e.target === playerModal) {
@@ -220,10 +497,50 @@ export function initPlayer() {
     }
 }
 
-// Show the player with a blob
-export function showPlayer(blob) {
+// Fill the details panel with a recording's title, description and tags (hidden without one)
+function showDetails(recording) {
+    playerRecording = recording;
+    const panel = document.getElementById('player-details');
+    if (!panel) return;
+
+    panel.classList.toggle('hidden', !recording || !saveDetails);
+    if (!recording) return;
+
+    document.getElementById('player-title').value = recording.title || recording.filename;
+    document.getElementById('player-description').value = recording.description || '';
+    document.getElementById('player-tags').value = (recording.tags || []).join(', ');
+    document.getElementById('player-rename').checked = false;
+    document.getElementById('player-filename').textContent = recording.filename;
+}
+
+// Save the details panel
+async function handleDetailsSubmit(e) {
+    e.preventDefault();
+    if (!playerRecording || !saveDetails) return;
+
+    const form = e.target;
+    const submitBtn = form.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    try {
+        const updated = await saveDetails(playerRecording.filename, {
+            title: document.getElementById('player-title').value,
+            description: document.getElementById('player-description').value,
+            tags: parseTags(document.getElementById('player-tags').value)
+        }, { renameFile: document.getElementById('player-rename').checked });
+        if (updated) {
+            showDetails({ ...playerRecording, ...updated });
+        }
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
+// Show the player with a blob. With a recording, its details can be edited below the video.
+export function showPlayer(blob, { recording = null } = {}) {
     if (!playerModal || !videoElement) return;
 
+    showDetails(recording);
+
     // Revoke previous URL
     if (currentObjectUrl) {
         URL.revokeObjectURL(currentObjectUrl);
@@ -235,6 +552,21 @@ export function showPlayer(blob) {
     videoElement.play();
 }
 
+// Play a new blob of the same recording from where playback was (after its file was renamed,
+// as the old file can no longer be read)
+export function replacePlayerSource(blob) {
+    if (!videoElement || !currentObjectUrl) return;
+
+    const { currentTime, paused } = videoElement;
+    URL.revokeObjectURL(currentObjectUrl);
+    currentObjectUrl = URL.createObjectURL(blob);
+    videoElement.src = currentObjectUrl;
+    videoElement.currentTime = currentTime;
+    if (!paused) {
+        videoElement.play();
+    }
+}
+
 // Hide the player
 export function hidePlayer() {
     if (!playerModal || !videoElement) return;
@@ -242,6 +574,7 @@ export function hidePlayer() {
     videoElement.pause();
     videoElement.src = '';
     playerModal.classList.remove('visible');
+    playerRecording = null;
 
     if (currentObjectUrl) {
         URL.revokeObjectURL(currentObjectUrl);
@@ -0,0 +1,832 @@
+// MP4 muxer module - writes WebCodecs output as a fragmented MP4 (H.264 + AAC/Opus)
+//
+// The init segment (ftyp + moov) is written as soon as the decoder configs are known,
+// followed by one moof + mdat fragment per video keyframe, so the file is playable
+// even if recording is interrupted. All durations in the init segment use 64-bit
+// fields, so createInitSegment() always returns the same size and the header can be
+// rewritten with the final duration once recording stops.
+//
+// transformAudio() re-encodes the audio track of a fragmented MP4 (used for loudness
+// normalisation), rebuilding each fragment with the other tracks' samples copied as they are.
+
+const MOVIE_TIMESCALE = 1000;
+const VIDEO_TIMESCALE = 90000;
+const VIDEO_TRACK_ID = 1;
+const AUDIO_TRACK_ID = 2;
+const AUDIO_ONLY_FRAGMENT_US = 1000000; // Fragment length when there is no video
+
+const SAMPLE_FLAGS_SYNC = 0x02000000; // sample_depends_on = 2 (no other samples)
+const SAMPLE_FLAGS_NON_SYNC = 0x01010000; // sample_depends_on = 1, is_non_sync_sample
+
+// tfhd and trun flags read when parsing fragments
+const TFHD_BASE_DATA_OFFSET = 0x000001;
+const TFHD_SAMPLE_DESCRIPTION_INDEX = 0x000002;
+const TFHD_DEFAULT_DURATION = 0x000008;
+const TFHD_DEFAULT_SIZE = 0x000010;
+const TFHD_DEFAULT_FLAGS = 0x000020;
+const TFHD_DEFAULT_BASE_IS_MOOF = 0x020000;
+const TRUN_DATA_OFFSET = 0x000001;
+const TRUN_FIRST_SAMPLE_FLAGS = 0x000004;
+const TRUN_DURATION = 0x000100;
+const TRUN_SIZE = 0x000200;
+const TRUN_FLAGS = 0x000400;
+const TRUN_COMPOSITION_OFFSET = 0x000800;
+
+// Boxes left out when fragments are rebuilt (their offsets would be wrong)
+const DROPPED_BOXES = new Set(['mdat', 'mfra', 'sidx']);
+
+const IDENTITY_MATRIX = [0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000];
+
+// Big-endian integer writers
+function u8(value) {
+    return new Uint8Array([value & 0xFF]);
+}
+
+function u16(value) {
+    return new Uint8Array([(value >> 8) & 0xFF, value & 0xFF]);
+}
+
+function u32(value) {
+    const bytes = new Uint8Array(4);
+    new DataView(bytes.buffer).setUint32(0, value >>> 0);
+    return bytes;
+}
+
+function u64(value) {
+    const bytes = new Uint8Array(8);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, Math.floor(value / 2 ** 32));
+    view.setUint32(4, value % 2 ** 32);
+    return bytes;
+}
+
+function ascii(text) {
+    return new Uint8Array([...text].map(c => c.charCodeAt(0)));
+}
+
+// Concatenate byte arrays
+function concatBytes(arrays) {
+    const total = arrays.reduce((sum, array) => sum + array.length, 0);
+    const result = new Uint8Array(total);
+    let offset = 0;
+    for (const array of arrays) {
+        result.set(array, offset);
+        offset += array.length;
+    }
+    return result;
+}
+
+// Build a box from its four-character type and payloads
+function box(type, ...payloads) {
+    const body = concatBytes(payloads);
+    return concatBytes([u32(body.length + 8), ascii(type), body]);
+}
+
+// Build a full box (version + flags header)
+function fullBox(type, version, flags, ...payloads) {
+    return box(type, u8(version), u8(flags >> 16), u16(flags & 0xFFFF), ...payloads);
+}
+
+function matrix() {
+    return concatBytes(IDENTITY_MATRIX.map(u32));
+}
+
+// Build an MPEG-4 descriptor (tag + length + body)
+function descriptor(tag, ...payloads) {
+    const body = concatBytes(payloads);
+    // Four-byte length form keeps every descriptor parseable regardless of size
+    const length = new Uint8Array([
+        0x80 | ((body.length >> 21) & 0x7F),
+        0x80 | ((body.length >> 14) & 0x7F),
+        0x80 | ((body.length >> 7) & 0x7F),
+        body.length & 0x7F
+    ]);
+    return concatBytes([u8(tag), length, body]);
+}
+
+// Copy a WebCodecs description (BufferSource) into a Uint8Array
+function toBytes(source) {
+    if (!source) return new Uint8Array(0);
+    if (source instanceof ArrayBuffer) return new Uint8Array(source.slice(0));
+    return new Uint8Array(source.buffer.slice(source.byteOffset, source.byteOffset + source.byteLength));
+}
+
+// Convert microseconds to track ticks
+function toTicks(us, timescale) {
+    return Math.round((us * timescale) / 1e6);
+}
+
+// Video sample entry (avc1 + avcC)
+function avc1(video) {
+    const compressorName = new Uint8Array(32);
+    return box('avc1',
+        new Uint8Array(6), u16(1), // reserved, data_reference_index
+        u16(0), u16(0), new Uint8Array(12), // pre_defined, reserved, pre_defined
+        u16(video.width), u16(video.height),
+        u32(0x00480000), u32(0x00480000), // 72 dpi
+        u32(0), u16(1), compressorName,
+        u16(0x0018), u16(0xFFFF),
+        box('avcC', video.description)
+    );
+}
+
+// Shared fields of audio sample entries
+function audioSampleEntryFields(audio) {
+    return concatBytes([
+        new Uint8Array(6), u16(1), // reserved, data_reference_index
+        new Uint8Array(8), // reserved
+        u16(audio.numberOfChannels), u16(16),
+        u16(0), u16(0),
+        u32(audio.sampleRate * 65536)
+    ]);
+}
+
+// AAC sample entry (mp4a + esds)
+function mp4a(audio) {
+    const esds = fullBox('esds', 0, 0,
+        descriptor(0x03,
+            u16(AUDIO_TRACK_ID), u8(0),
+            descriptor(0x04,
+                u8(0x40), // Audio ISO/IEC 14496-3
+                u8(0x15), // Audio stream
+                new Uint8Array(3), // bufferSizeDB
+                u32(audio.bitrate || 0), u32(audio.bitrate || 0),
+                descriptor(0x05, audio.description)
+            ),
+            descriptor(0x06, u8(0x02))
+        )
+    );
+    return box('mp4a', audioSampleEntryFields(audio), esds);
+}
+
+// Opus sample entry (Opus + dOps)
+function opus(audio) {
+    // Take the pre-skip from an OpusHead description if the encoder provided one
+    let preSkip = 312;
+    const head = audio.description;
+    if (head && head.length >= 12) {
+        preSkip = head[10] | (head[11] << 8);
+    }
+
+    const dOps = box('dOps',
+        u8(0), u8(audio.numberOfChannels), u16(preSkip),
+        u32(audio.sampleRate), u16(0), u8(0)
+    );
+    return box('Opus', audioSampleEntryFields(audio), dOps);
+}
+
+// Build a track box for the init segment
+function trak(track, durationMs) {
+    const isVideo = track.kind === 'video';
+
+    const tkhd = fullBox('tkhd', 1, 0x000003,
+        u64(0), u64(0), u32(track.id), u32(0), u64(durationMs),
+        new Uint8Array(8), u16(0), u16(0), u16(isVideo ? 0 : 0x0100), u16(0),
+        matrix(),
+        u32((isVideo ? track.width : 0) * 65536), u32((isVideo ? track.height : 0) * 65536)
+    );
+
+    const mdhd = fullBox('mdhd', 1, 0,
+        u64(0), u64(0), u32(track.timescale), u64(toTicks(durationMs * 1000, track.timescale)),
+        u16(0x55C4), u16(0) // 'und'
+    );
+
+    const hdlr = fullBox('hdlr', 0, 0,
+        u32(0), ascii(isVideo ? 'vide' : 'soun'), new Uint8Array(12),
+        ascii(isVideo ? 'VideoHandler' : 'SoundHandler'), u8(0)
+    );
+
+    const mediaHeader = isVideo
+        ? fullBox('vmhd', 0, 1, u16(0), u16(0), u16(0), u16(0))
+        : fullBox('smhd', 0, 0, u16(0), u16(0));
+
+    const dinf = box('dinf', fullBox('dref', 0, 0, u32(1), fullBox('url ', 0, 1)));
+
+    let sampleEntry;
+    if (isVideo) {
+        sampleEntry = avc1(track);
+    } else {
+        sampleEntry = track.codec === 'opus' ? opus(track) : mp4a(track);
+    }
+
+    const stbl = box('stbl',
+        fullBox('stsd', 0, 0, u32(1), sampleEntry),
+        fullBox('stts', 0, 0, u32(0)),
+        fullBox('stsc', 0, 0, u32(0)),
+        fullBox('stsz', 0, 0, u32(0), u32(0)),
+        fullBox('stco', 0, 0, u32(0))
+    );
+
+    return box('trak', tkhd, box('mdia', mdhd, hdlr, box('minf', mediaHeader, dinf, stbl)));
+}
+
+// Build a track fragment with the given data offset (relative to the moof)
+function traf(track, samples, baseTime, dataOffset) {
+    const tfhd = fullBox('tfhd', 0, 0x020000, u32(track.id)); // default-base-is-moof
+    const tfdt = fullBox('tfdt', 1, 0, u64(baseTime));
+
+    const entries = samples.map(sample => concatBytes([
+        u32(sample.ticks),
+        u32(sample.data.length),
+        u32(sample.keyframe ? SAMPLE_FLAGS_SYNC : SAMPLE_FLAGS_NON_SYNC)
+    ]));
+
+    // data-offset, sample-duration, sample-size and sample-flags present
+    const trun = fullBox('trun', 0, 0x000701, u32(samples.length), u32(dataOffset), ...entries);
+    return box('traf', tfhd, tfdt, trun);
+}
+
+// Create a muxer. `video` and `audio` describe the tracks ({ codec, width, height } and
+// { codec: 'aac' | 'opus', sampleRate, numberOfChannels, bitrate }); either may be null.
+// `onData(bytes)` receives the output in order.
+export function createMp4Muxer({ video = null, audio = null, onData }) {
+    const tracks = [];
+    if (video) {
+        tracks.push({ ...video, kind: 'video', id: VIDEO_TRACK_ID, timescale: VIDEO_TIMESCALE });
+    }
+    if (audio) {
+        tracks.push({ ...audio, kind: 'audio', id: AUDIO_TRACK_ID, timescale: audio.sampleRate });
+    }
+
+    const videoTrack = tracks.find(t => t.kind === 'video');
+    const audioTrack = tracks.find(t => t.kind === 'audio');
+
+    let initWritten = false;
+    let bytesWritten = 0;
+    let sequenceNumber = 0;
+    let durationUs = 0;
+    const keyframeIndex = []; // { time, moofOffset } for the mfra seek index
+
+    for (const track of tracks) {
+        track.configured = false; // Set once the encoder reports its decoder config
+        track.description = null;
+        track.pending = []; // { data, timestamp, duration, keyframe }
+        track.nextDecodeTime = null;
+    }
+
+    const emit = (bytes) => {
+        bytesWritten += bytes.length;
+        onData(bytes);
+    };
+
+    // Build ftyp + moov for the given duration (always the same size)
+    const createInitSegment = (durationMs = 0) => {
+        const ftyp = box('ftyp', ascii('isom'), u32(0x200), ascii('isom'), ascii('iso6'), ascii('iso2'), ascii('avc1'), ascii('mp41'));
+
+        const mvhd = fullBox('mvhd', 1, 0,
+            u64(0), u64(0), u32(MOVIE_TIMESCALE), u64(durationMs),
+            u32(0x00010000), u16(0x0100), new Uint8Array(10),
+            matrix(), new Uint8Array(24), u32(tracks.length + 1)
+        );
+
+        const mvex = box('mvex',
+            fullBox('mehd', 1, 0, u64(durationMs)),
+            ...tracks.map(track => fullBox('trex', 0, 0, u32(track.id), u32(1), u32(0), u32(0), u32(0)))
+        );
+
+        return concatBytes([ftyp, box('moov', mvhd, ...tracks.map(track => trak(track, durationMs)), mvex)]);
+    };
+
+    // Write the init segment once every track has its decoder config
+    const maybeWriteInit = () => {
+        if (initWritten) return;
+        if (tracks.some(track => !track.configured)) return;
+
+        initWritten = true;
+        emit(createInitSegment());
+    };
+
+    // Write a fragment with all pending samples before `cutTime` (µs)
+    const flush = (cutTime, final = false) => {
+        if (!initWritten) return;
+
+        const fragments = [];
+        for (const track of tracks) {
+            const samples = [];
+            while (track.pending.length > 0 && (final || track.pending[0].timestamp < cutTime)) {
+                samples.push(track.pending.shift());
+            }
+            if (samples.length === 0) continue;
+
+            // Durations come from the next sample's timestamp so timing never drifts
+            for (let i = 0; i < samples.length; i++) {
+                const sample = samples[i];
+                const next = samples[i + 1] || track.pending[0];
+                let end;
+                if (next) {
+                    end = next.timestamp;
+                } else if (sample.duration) {
+                    end = sample.timestamp + sample.duration;
+                } else {
+                    end = final ? sample.timestamp + (samples[i - 1] ? sample.timestamp - samples[i - 1].timestamp : 0) : cutTime;
+                }
+                sample.ticks = Math.max(0, toTicks(end, track.timescale) - toTicks(sample.timestamp, track.timescale));
+                durationUs = Math.max(durationUs, end);
+            }
+
+            if (track.nextDecodeTime === null) {
+                track.nextDecodeTime = toTicks(samples[0].timestamp, track.timescale);
+            }
+            const baseTime = track.nextDecodeTime;
+            track.nextDecodeTime += samples.reduce((sum, sample) => sum + sample.ticks, 0);
+
+            fragments.push({ track, samples, baseTime });
+        }
+        if (fragments.length === 0) return;
+
+        sequenceNumber++;
+        const buildMoof = (offsets) => box('moof',
+            fullBox('mfhd', 0, 0, u32(sequenceNumber)),
+            ...fragments.map((fragment, i) => traf(fragment.track, fragment.samples, fragment.baseTime, offsets[i]))
+        );
+
+        // Data offsets depend on the moof size, which doesn't depend on the offsets
+        const moofSize = buildMoof(fragments.map(() => 0)).length;
+        const offsets = [];
+        let offset = moofSize + 8;
+        for (const fragment of fragments) {
+            offsets.push(offset);
+            offset += fragment.samples.reduce((sum, sample) => sum + sample.data.length, 0);
+        }
+
+        const videoFragment = fragments.find(f => f.track === videoTrack);
+        if (videoFragment?.samples[0].keyframe) {
+            keyframeIndex.push({ time: videoFragment.baseTime, moofOffset: bytesWritten });
+        }
+
+        const mdatData = fragments.flatMap(fragment => fragment.samples.map(sample => sample.data));
+        emit(concatBytes([buildMoof(offsets), box('mdat', ...mdatData)]));
+    };
+
+    // Queue an encoded chunk for a track
+    const addChunk = (track, chunk, metadata) => {
+        if (!track) return;
+
+        // The encoder's actual output format wins over what was requested
+        const config = metadata?.decoderConfig;
+        if (config && !track.configured) {
+            track.configured = true;
+            track.description = toBytes(config.description);
+            if (track.kind === 'audio') {
+                track.sampleRate = config.sampleRate || track.sampleRate;
+                track.numberOfChannels = config.numberOfChannels || track.numberOfChannels;
+                track.timescale = track.sampleRate;
+            }
+        }
+
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+
+        const sample = {
+            data,
+            timestamp: chunk.timestamp,
+            duration: chunk.duration || 0,
+            keyframe: chunk.type === 'key'
+        };
+
+        // Start a new fragment on each video keyframe (or every second for audio-only)
+        if (track === videoTrack && sample.keyframe && track.pending.length > 0) {
+            maybeWriteInit();
+            flush(sample.timestamp);
+        } else if (!videoTrack && track.pending.length > 0 &&
+            sample.timestamp - track.pending[0].timestamp >= AUDIO_ONLY_FRAGMENT_US) {
+            maybeWriteInit();
+            flush(sample.timestamp);
+        }
+
+        track.pending.push(sample);
+        maybeWriteInit();
+    };
+
+    return {
+        // Add an EncodedVideoChunk (with its encoder output metadata)
+        addVideoChunk(chunk, metadata) {
+            addChunk(videoTrack, chunk, metadata);
+        },
+
+        // Add an EncodedAudioChunk (with its encoder output metadata)
+        addAudioChunk(chunk, metadata) {
+            addChunk(audioTrack, chunk, metadata);
+        },
+
+        // Write the remaining samples and a seek index
+        finish() {
+            maybeWriteInit();
+            flush(Infinity, true);
+
+            if (initWritten && videoTrack && keyframeIndex.length > 0) {
+                const tfra = fullBox('tfra', 1, 0,
+                    u32(videoTrack.id), u32(0), u32(keyframeIndex.length),
+                    ...keyframeIndex.map(entry => concatBytes([u64(entry.time), u64(entry.moofOffset), u8(1), u8(1), u8(1)]))
+                );
+                const mfraSize = 8 + tfra.length + 16;
+                emit(box('mfra', tfra, fullBox('mfro', 0, 0, u32(mfraSize))));
+            }
+        },
+
+        // Duration of everything written so far, in milliseconds
+        getDuration() {
+            return Math.round(durationUs / 1000);
+        },
+
+        createInitSegment
+    };
+}
+
+// Read the four-character code at `pos`
+function readTypeAt(bytes, pos) {
+    return String.fromCharCode(...bytes.subarray(pos, pos + 4));
+}
+
+// Read a box header from `bytes` at `pos`, for a box that must end by `limit` (null if it doesn't).
+// `offset` is added to the positions returned, for headers read out of a larger file.
+function readBoxHeader(bytes, pos, limit, offset = 0) {
+    if (pos + 8 > bytes.length) return null;
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+    let size = view.getUint32(pos);
+    let headerSize = 8;
+    if (size === 1) {
+        if (pos + 16 > bytes.length) return null;
+        size = view.getUint32(pos + 8) * 2 ** 32 + view.getUint32(pos + 12);
+        headerSize = 16;
+    } else if (size === 0) {
+        size = limit - pos - offset; // Runs to the end
+    }
+    if (size < headerSize || offset + pos + size > limit) return null;
+
+    const start = offset + pos;
+    return {
+        type: readTypeAt(bytes, pos + 4),
+        start,
+        dataStart: start + headerSize,
+        end: start + size
+    };
+}
+
+// List the boxes inside a box that has been read into memory
+function childBoxes(bytes, parent) {
+    const boxes = [];
+    let pos = parent.dataStart;
+    while (pos < parent.end) {
+        const child = readBoxHeader(bytes, pos, parent.end);
+        if (!child) break;
+        boxes.push(child);
+        pos = child.end;
+    }
+    return boxes;
+}
+
+// Find the first child box of a type (null if there isn't one)
+function findBox(bytes, parent, type) {
+    return childBoxes(bytes, parent).find(child => child.type === type) || null;
+}
+
+// Follow a path of box types down from `parent`
+function findPath(bytes, parent, ...types) {
+    let box = parent;
+    for (const type of types) {
+        box = box && findBox(bytes, box, type);
+    }
+    return box;
+}
+
+// List the top-level boxes of a file, stopping at the first truncated one
+async function readTopLevelBoxes(blob) {
+    const boxes = [];
+    let pos = 0;
+    while (pos < blob.size) {
+        const header = new Uint8Array(await blob.slice(pos, pos + 16).arrayBuffer());
+        const box = readBoxHeader(header, 0, blob.size, pos);
+        if (!box) break;
+        boxes.push(box);
+        pos = box.end;
+    }
+    return boxes;
+}
+
+// Read a whole box into memory, as bytes with the box at position 0
+async function readBox(blob, box) {
+    const bytes = new Uint8Array(await blob.slice(box.start, box.end).arrayBuffer());
+    return { bytes, box: readBoxHeader(bytes, 0, bytes.length) };
+}
+
+// Read an MPEG-4 descriptor header at `pos` as { tag, dataStart, end }
+function readDescriptor(bytes, pos) {
+    let length = 0;
+    let i = pos + 1;
+    for (let n = 0; n < 4; n++) {
+        const byte = bytes[i++];
+        length = length * 128 + (byte & 0x7F);
+        if (!(byte & 0x80)) break;
+    }
+    return { tag: bytes[pos], dataStart: i, end: i + length };
+}
+
+// Get the AudioSpecificConfig out of an esds box (null if it has none)
+function readAudioSpecificConfig(bytes, esds) {
+    const es = readDescriptor(bytes, esds.dataStart + 4);
+    if (es.tag !== 0x03) return null;
+
+    // ES_ID, then flags for the optional fields before the decoder config
+    const flags = bytes[es.dataStart + 2];
+    let pos = es.dataStart + 3;
+    if (flags & 0x80) pos += 2; // dependsOn_ES_ID
+    if (flags & 0x40) pos += 1 + bytes[pos]; // URL
+    if (flags & 0x20) pos += 2; // OCR_ES_ID
+
+    const config = readDescriptor(bytes, pos);
+    if (config.tag !== 0x04) return null;
+
+    const specific = readDescriptor(bytes, config.dataStart + 13);
+    if (specific.tag !== 0x05) return null;
+    return bytes.slice(specific.dataStart, specific.end);
+}
+
+// Find the audio track in a moov box: { id, timescale, codec, description, sampleRate,
+// numberOfChannels } (null if there's no AAC or Opus track)
+function parseAudioTrack(bytes, moov) {
+    for (const trak of childBoxes(bytes, moov).filter(child => child.type === 'trak')) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+        const hdlr = findPath(bytes, trak, 'mdia', 'hdlr');
+        if (!hdlr || readTypeAt(bytes, hdlr.dataStart + 8) !== 'soun') continue;
+
+        const tkhd = findBox(bytes, trak, 'tkhd');
+        const mdhd = findPath(bytes, trak, 'mdia', 'mdhd');
+        const stsd = findPath(bytes, trak, 'mdia', 'minf', 'stbl', 'stsd');
+        if (!tkhd || !mdhd || !stsd) continue;
+
+        // Version 1 boxes have 64-bit creation and modification times
+        const id = view.getUint32(tkhd.dataStart + (bytes[tkhd.dataStart] === 1 ? 20 : 12));
+        const timescale = view.getUint32(mdhd.dataStart + (bytes[mdhd.dataStart] === 1 ? 20 : 12));
+
+        const entry = readBoxHeader(bytes, stsd.dataStart + 8, stsd.end);
+        if (!entry) continue;
+        const numberOfChannels = view.getUint16(entry.dataStart + 16);
+        const sampleRate = view.getUint32(entry.dataStart + 24) >>> 16;
+        const children = childBoxes(bytes, { dataStart: entry.dataStart + 28, end: entry.end });
+
+        if (entry.type === 'mp4a') {
+            const esds = children.find(child => child.type === 'esds');
+            const description = esds && readAudioSpecificConfig(bytes, esds);
+            if (!description?.length) continue;
+            const objectType = description[0] >> 3;
+            return { id, timescale, codec: `mp4a.40.${objectType}`, description, sampleRate, numberOfChannels };
+        }
+        if (entry.type === 'Opus') {
+            return { id, timescale, codec: 'opus', description: null, sampleRate, numberOfChannels };
+        }
+    }
+
+    return null;
+}
+
+// Read the per-track sample defaults from a moov's mvex (track ID -> { duration, size, flags })
+function parseTrackDefaults(bytes, moov) {
+    const defaults = new Map();
+    const mvex = findBox(bytes, moov, 'mvex');
+    if (!mvex) return defaults;
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+    for (const trex of childBoxes(bytes, mvex).filter(child => child.type === 'trex')) {
+        defaults.set(view.getUint32(trex.dataStart + 4), {
+            duration: view.getUint32(trex.dataStart + 12),
+            size: view.getUint32(trex.dataStart + 16),
+            flags: view.getUint32(trex.dataStart + 20)
+        });
+    }
+    return defaults;
+}
+
+// Parse the track fragments of a moof. Returns [{ id, baseTime, samples }] with samples as
+// { duration, size, flags, compositionOffset, pos } (pos is the sample's offset in the file).
+function parseFragment(bytes, moof, moofStart, trackDefaults, decodeTimes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+    const fragments = [];
+    let previousEnd = moofStart; // Data of a traf without a base offset follows the previous one
+
+    for (const traf of childBoxes(bytes, moof).filter(child => child.type === 'traf')) {
+        const tfhd = findBox(bytes, traf, 'tfhd');
+        if (!tfhd) continue;
+
+        const tfhdFlags = view.getUint32(tfhd.dataStart) & 0xFFFFFF;
+        const id = view.getUint32(tfhd.dataStart + 4);
+        const defaults = { ...(trackDefaults.get(id) || { duration: 0, size: 0, flags: 0 }) };
+
+        let pos = tfhd.dataStart + 8;
+        let base = tfhdFlags & TFHD_DEFAULT_BASE_IS_MOOF ? moofStart : previousEnd;
+        if (tfhdFlags & TFHD_BASE_DATA_OFFSET) {
+            base = view.getUint32(pos) * 2 ** 32 + view.getUint32(pos + 4);
+            pos += 8;
+        }
+        if (tfhdFlags & TFHD_SAMPLE_DESCRIPTION_INDEX) pos += 4;
+        if (tfhdFlags & TFHD_DEFAULT_DURATION) {
+            defaults.duration = view.getUint32(pos);
+            pos += 4;
+        }
+        if (tfhdFlags & TFHD_DEFAULT_SIZE) {
+            defaults.size = view.getUint32(pos);
+            pos += 4;
+        }
+        if (tfhdFlags & TFHD_DEFAULT_FLAGS) {
+            defaults.flags = view.getUint32(pos);
+        }
+
+        const tfdt = findBox(bytes, traf, 'tfdt');
+        let baseTime = decodeTimes.get(id) || 0;
+        if (tfdt) {
+            baseTime = bytes[tfdt.dataStart] === 1
+                ? view.getUint32(tfdt.dataStart + 4) * 2 ** 32 + view.getUint32(tfdt.dataStart + 8)
+                : view.getUint32(tfdt.dataStart + 4);
+        }
+
+        const samples = [];
+        let dataPos = base;
+        for (const trun of childBoxes(bytes, traf).filter(child => child.type === 'trun')) {
+            const version = bytes[trun.dataStart];
+            const trunFlags = view.getUint32(trun.dataStart) & 0xFFFFFF;
+            const count = view.getUint32(trun.dataStart + 4);
+
+            let entry = trun.dataStart + 8;
+            if (trunFlags & TRUN_DATA_OFFSET) {
+                dataPos = base + view.getInt32(entry);
+                entry += 4;
+            }
+            let firstFlags = null;
+            if (trunFlags & TRUN_FIRST_SAMPLE_FLAGS) {
+                firstFlags = view.getUint32(entry);
+                entry += 4;
+            }
+
+            for (let i = 0; i < count; i++) {
+                const sample = { duration: defaults.duration, size: defaults.size, flags: defaults.flags, compositionOffset: 0, pos: dataPos };
+                if (trunFlags & TRUN_DURATION) {
+                    sample.duration = view.getUint32(entry);
+                    entry += 4;
+                }
+                if (trunFlags & TRUN_SIZE) {
+                    sample.size = view.getUint32(entry);
+                    entry += 4;
+                }
+                if (trunFlags & TRUN_FLAGS) {
+                    sample.flags = view.getUint32(entry);
+                    entry += 4;
+                } else if (i === 0 && firstFlags !== null) {
+                    sample.flags = firstFlags;
+                }
+                if (trunFlags & TRUN_COMPOSITION_OFFSET) {
+                    sample.compositionOffset = version === 1 ? view.getInt32(entry) : view.getUint32(entry);
+                    entry += 4;
+                }
+
+                samples.push(sample);
+                dataPos += sample.size;
+            }
+        }
+
+        decodeTimes.set(id, baseTime + samples.reduce((sum, sample) => sum + sample.duration, 0));
+        previousEnd = dataPos;
+        fragments.push({ id, baseTime, samples });
+    }
+
+    return fragments;
+}
+
+// Build a track fragment from parsed samples ({ duration, size, flags, compositionOffset }),
+// keeping composition offsets when there are any
+function copyTraf(id, samples, baseTime, dataOffset) {
+    const tfhd = fullBox('tfhd', 0, TFHD_DEFAULT_BASE_IS_MOOF, u32(id));
+    const tfdt = fullBox('tfdt', 1, 0, u64(baseTime));
+
+    const offsets = samples.some(sample => sample.compositionOffset);
+    const entries = samples.map(sample => concatBytes([
+        u32(sample.duration),
+        u32(sample.size),
+        u32(sample.flags),
+        ...(offsets ? [u32(sample.compositionOffset)] : [])
+    ]));
+
+    const flags = TRUN_DATA_OFFSET | TRUN_DURATION | TRUN_SIZE | TRUN_FLAGS | (offsets ? TRUN_COMPOSITION_OFFSET : 0);
+    const trun = fullBox('trun', offsets ? 1 : 0, flags, u32(samples.length), u32(dataOffset), ...entries);
+    return box('traf', tfhd, tfdt, trun);
+}
+
+// Re-encode the audio track of a fragmented MP4. `transform(track)` gets { codec, description,
+// sampleRate, numberOfChannels, packets }, with packets as { timestamp, data } (timestamps in µs),
+// and resolves to the new packets. Each fragment is rebuilt with the new packets that fall in
+// its time range and the other tracks' samples copied as they are. The seek index (mfra) is
+// left out, as its offsets would be wrong.
+export async function transformAudio(blob, transform) {
+    const boxes = await readTopLevelBoxes(blob);
+    const moovBox = boxes.find(b => b.type === 'moov');
+    if (!moovBox) {
+        throw new Error('MP4 file has no moov');
+    }
+
+    const { bytes: moovBytes, box: moov } = await readBox(blob, moovBox);
+    const audioTrack = parseAudioTrack(moovBytes, moov);
+    if (!audioTrack) {
+        throw new Error('MP4 file has no AAC or Opus audio track');
+    }
+    const trackDefaults = parseTrackDefaults(moovBytes, moov);
+
+    // Parse every fragment, reading the audio as it goes
+    const moofs = [];
+    const packets = [];
+    const decodeTimes = new Map();
+    for (const moofBox of boxes.filter(b => b.type === 'moof')) {
+        const { bytes, box: moof } = await readBox(blob, moofBox);
+        const fragments = parseFragment(bytes, moof, moofBox.start, trackDefaults, decodeTimes);
+        const sequenceNumber = new DataView(bytes.buffer).getUint32(findBox(bytes, moof, 'mfhd').dataStart + 4);
+
+        const audio = fragments.find(fragment => fragment.id === audioTrack.id);
+        if (audio?.samples.length) {
+            const first = audio.samples[0].pos;
+            const last = audio.samples[audio.samples.length - 1];
+            const data = new Uint8Array(await blob.slice(first, last.pos + last.size).arrayBuffer());
+
+            let time = audio.baseTime;
+            for (const sample of audio.samples) {
+                packets.push({
+                    timestamp: Math.round((time * 1e6) / audioTrack.timescale),
+                    data: data.slice(sample.pos - first, sample.pos - first + sample.size)
+                });
+                time += sample.duration;
+            }
+        }
+
+        moofs.push({ fragments, sequenceNumber, audioStart: audio?.samples.length ? audio.baseTime : null });
+    }
+    if (moofs.length === 0) {
+        throw new Error('MP4 file is not fragmented');
+    }
+
+    const encoded = await transform({
+        codec: audioTrack.codec,
+        description: audioTrack.description,
+        sampleRate: audioTrack.sampleRate,
+        numberOfChannels: audioTrack.numberOfChannels,
+        packets
+    });
+
+    // Durations come from the next packet's time so the fragments stay back to back
+    const times = encoded.map(packet => Math.max(0, toTicks(packet.timestamp, audioTrack.timescale)));
+    const audioSamples = encoded.map((packet, i) => {
+        let duration;
+        if (i + 1 < encoded.length) {
+            duration = times[i + 1] - times[i];
+        } else {
+            duration = packet.duration ? toTicks(packet.duration, audioTrack.timescale) : (times[i] - (times[i - 1] ?? times[i]));
+        }
+        return { time: times[i], duration: Math.max(0, duration), size: packet.data.length, flags: SAMPLE_FLAGS_SYNC, compositionOffset: 0, data: packet.data };
+    });
+
+    // Each fragment that had audio takes the new packets up to the next one's start time
+    const audioMoofs = moofs.filter(moof => moof.audioStart !== null);
+    let next = 0;
+    for (let i = 0; i < audioMoofs.length; i++) {
+        const end = i + 1 < audioMoofs.length ? audioMoofs[i + 1].audioStart : Infinity;
+        const start = next;
+        while (next < audioSamples.length && audioSamples[next].time < end) next++;
+        audioMoofs[i].audioSamples = audioSamples.slice(start, next);
+    }
+
+    const parts = [];
+    for (const entry of boxes) {
+        if (entry.type !== 'moof') {
+            if (!DROPPED_BOXES.has(entry.type)) parts.push(blob.slice(entry.start, entry.end));
+            continue;
+        }
+
+        const moof = moofs.shift();
+        const fragments = moof.fragments
+            .map(fragment => {
+                if (fragment.id !== audioTrack.id) return fragment;
+                const samples = moof.audioSamples || [];
+                return { id: fragment.id, baseTime: samples[0]?.time ?? fragment.baseTime, samples };
+            })
+            .filter(fragment => fragment.samples.length > 0);
+        if (fragments.length === 0) continue;
+
+        const buildMoof = (offsets) => box('moof',
+            fullBox('mfhd', 0, 0, u32(moof.sequenceNumber)),
+            ...fragments.map((fragment, i) => copyTraf(fragment.id, fragment.samples, fragment.baseTime, offsets[i]))
+        );
+
+        // Data offsets depend on the moof size, which doesn't depend on the offsets
+        const moofSize = buildMoof(fragments.map(() => 0)).length;
+        const offsets = [];
+        let offset = moofSize + 8;
+        for (const fragment of fragments) {
+            offsets.push(offset);
+            offset += fragment.samples.reduce((sum, sample) => sum + sample.size, 0);
+        }
+
+        const mdatData = fragments.flatMap(fragment => fragment.samples.map(sample =>
+            sample.data || blob.slice(sample.pos, sample.pos + sample.size)
+        ));
+        parts.push(buildMoof(offsets), concatBytes([u32(offset - moofSize), ascii('mdat')]), ...mdatData);
+    }
+
+    return new Blob(parts, { type: blob.type || 'video/mp4' });
+}
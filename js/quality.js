@@ -0,0 +1,71 @@
+// Quality module - recording presets for resolution, frame rate, bitrate and codec
+
+export const QUALITY_PRESETS = {
+    draft: {
+        label: 'Draft 720p/15fps',
+        height: 720,
+        frameRate: 15,
+        videoBitsPerSecond: 1000000,
+        codec: 'vp8'
+    },
+    standard: {
+        label: 'Standard 1080p/30fps',
+        height: 1080,
+        frameRate: 30,
+        videoBitsPerSecond: 3000000,
+        codec: 'vp9'
+    },
+    crisp: {
+        label: 'Crisp 1440p/60fps',
+        height: 1440,
+        frameRate: 60,
+        videoBitsPerSecond: 8000000,
+        codec: 'vp9'
+    }
+};
+
+export const DEFAULT_PRESET = 'standard';
+export const AUDIO_BITS_PER_SECOND = 128000;
+
+// Limits for custom values
+const HEIGHT_RANGE = [240, 2160];
+const FRAME_RATE_RANGE = [1, 60];
+const BITRATE_RANGE = [250000, 50000000];
+const CODECS = ['vp9', 'vp8'];
+
+// Clamp a number into a range (falling back if it isn't a number)
+function clamp(value, [min, max], fallback) {
+    const number = Number(value);
+    if (!isFinite(number)) return fallback;
+    return Math.min(max, Math.max(min, Math.round(number)));
+}
+
+// Resolve a preset name to concrete settings ('custom' uses the given values)
+export function resolveQuality(preset, custom = {}) {
+    if (preset !== 'custom') {
+        return QUALITY_PRESETS[preset] || QUALITY_PRESETS[DEFAULT_PRESET];
+    }
+
+    const base = QUALITY_PRESETS[DEFAULT_PRESET];
+    return {
+        label: 'Custom',
+        height: clamp(custom.height, HEIGHT_RANGE, base.height),
+        frameRate: clamp(custom.frameRate, FRAME_RATE_RANGE, base.frameRate),
+        videoBitsPerSecond: clamp(custom.videoBitsPerSecond, BITRATE_RANGE, base.videoBitsPerSecond),
+        codec: CODECS.includes(custom.codec) ? custom.codec : base.codec
+    };
+}
+
+// Largest output size for a quality. The box is 16:9, so ultra-wide screens are limited by width.
+export function getMaxDimensions(quality) {
+    return {
+        width: Math.round((quality.height * 16) / 9),
+        height: quality.height
+    };
+}
+
+// Estimated file size in megabytes per minute of recording
+export function estimateMegabytesPerMinute(quality, hasAudio = true) {
+    const bitsPerSecond = quality.videoBitsPerSecond + (hasAudio ? AUDIO_BITS_PER_SECOND : 0);
+    return (bitsPerSecond * 60) / 8 / 1000000;
+}
@@ -1,14 +1,30 @@
 // Recorder module - handles media capture and recording
 
 import * as compositor from './compositor.js';
+import * as webcodecs from './webcodecs-recorder.js';
+import * as audioProcessing from './audio-processing.js';
+import { resolveQuality, getMaxDimensions, DEFAULT_PRESET, AUDIO_BITS_PER_SECOND } from './quality.js';
 
 let mediaRecorder = null;
-let recordedChunks = [];
-let displayStream = null;
+let currentSegment = null; // { index, recorder, sink, chunks, startElapsed } for the file being written
+let rollover = null; // Promise while switching to the next segment
+let recordedBytes = 0;
+let limitInterval = null;
+let displayStreams = new Map(); // Screens and windows being recorded, by stream id (the first also gives system audio)
+let systemAudioStream = null; // The screen stream system audio comes from (kept if its screen is removed)
 let micStream = null;
 let cameraStream = null;
 let audioContext = null;
+let audioDestination = null;
+let mixBus = null; // Every source's gain feeds this, and it feeds the recording
+let loudnessMeter = null;
+let audioSources = new Map(); // id -> { gain, analyser, samples, volume, muted } for the live mixer
+let audioTrackRecorders = []; // { id, recorder, sink, chunks, tap } per source when recording separate audio
+let activeCapture = null; // Options and callbacks of the recording in progress
+let layoutPreview = null; // { streams, placeholderTimer } while the layout is previewed before recording
 let startTime = null;
+let pausedAt = null;
+let pausedDuration = 0;
 
 // Initialize compositor (wrapped in try-catch to prevent module load failure)
 try {
@@ -17,32 +33,87 @@ try {
     console.error('Compositor init error:', e);
 }
 
-// Get supported MIME type
-function getSupportedMimeType() {
-    const types = [
+// MediaRecorder MIME types to try for each output format, best first
+const MIME_TYPES = {
+    webm: [
         'video/webm;codecs=vp9,opus',
         'video/webm;codecs=vp9',
         'video/webm;codecs=vp8,opus',
         'video/webm;codecs=vp8',
         'video/webm'
-    ];
+    ],
+    mp4: [
+        'video/mp4;codecs=avc1.640028,mp4a.40.2',
+        'video/mp4;codecs=avc1,mp4a.40.2',
+        'video/mp4;codecs=avc1,opus',
+        'video/mp4'
+    ],
+    audio: [
+        'audio/webm;codecs=opus',
+        'audio/ogg;codecs=opus',
+        'audio/webm'
+    ]
+};
 
-    for (const type of types) {
+// Recording modes: which capture paths each one uses
+export const RECORDING_MODES = {
+    'screen': { screen: true, camera: false },
+    'screen-camera': { screen: true, camera: true },
+    'camera': { screen: false, camera: true },
+    'audio': { screen: false, camera: false }
+};
+
+// Seconds before a limit is reached that the warning is given
+const LIMIT_WARNING_SECONDS = 30;
+
+// Size and frame rate of the layout preview shown before recording
+const PREVIEW_MAX_WIDTH = 1280;
+const PREVIEW_MAX_HEIGHT = 720;
+const PREVIEW_FRAME_RATE = 30;
+const PLACEHOLDER_WIDTH = 1920;
+const PLACEHOLDER_HEIGHT = 1080;
+
+// Get supported MIME type (null if MediaRecorder can't write this format).
+// Types using the preferred codec are tried first.
+function getSupportedMimeType(format = 'webm', codec = null) {
+    const types = MIME_TYPES[format] || [];
+    const preferred = codec ? types.filter(type => type.includes(codec)) : [];
+
+    for (const type of [...preferred, ...types]) {
         if (MediaRecorder.isTypeSupported(type)) {
             return type;
         }
     }
 
-    return 'video/webm';
+    if (format === 'webm') return 'video/webm';
+    if (format === 'audio') return 'audio/webm';
+    return null;
+}
+
+// File extension a recording will get (audio-only ignores the video format)
+export function getFileExtension(mode, format) {
+    if (mode === 'audio') {
+        return getSupportedMimeType('audio').startsWith('audio/ogg') ? '.ogg' : '.webm';
+    }
+    return format === 'mp4' ? '.mp4' : '.webm';
+}
+
+// Check if an output format can be recorded (MP4 falls back to WebCodecs)
+export function isFormatSupported(format) {
+    if (format === 'webm') return true;
+    if (format === 'mp4') return !!getSupportedMimeType('mp4') || webcodecs.isSupported();
+    return false;
 }
 
-// Enumerate available media devices
-export async function getDevices() {
+// Enumerate available media devices (requestPermission opens the devices briefly to get their labels)
+export async function getDevices({ requestPermission = true } = {}) {
     try {
         // Request permissions first to get device labels
-        await navigator.mediaDevices.getUserMedia({ audio: true, video: true })
-            .then(stream => stream.getTracks().forEach(track => track.stop()))
-            .catch(() => {}); // Ignore errors, we'll still get device IDs
+        if (requestPermission) {
+            await navigator.mediaDevices.getUserMedia({ audio: true, video: true })
+                .then(stream => stream.getTracks().forEach(track => track.stop()))
+                .catch(() => {}); // Ignore errors, we'll still get device IDs
+        }
 
         const devices = await navigator.mediaDevices.enumerateDevices();
 
@@ -67,19 +138,490 @@ export async function getDevices() {
     }
 }
 
-// Combine audio tracks from multiple streams
-function combineAudioTracks(streams) {
+// Labels for the audio sources shown in the mixer
+const AUDIO_SOURCE_LABELS = {
+    mic: 'Microphone',
+    system: 'System audio'
+};
+
+// Combine audio sources into one track. Each source goes through its own gain
+// (volume and mute) and analyser (level meter) so the mix can be adjusted live.
+// The mic also goes through the voice processing chain.
+async function combineAudioTracks(sources, mix = {}, processing = {}) {
     audioContext = new AudioContext();
-    const destination = audioContext.createMediaStreamDestination();
+    audioDestination = audioContext.createMediaStreamDestination();
+    mixBus = audioContext.createGain();
+    mixBus.connect(audioDestination);
+
+    for (const { id, stream } of sources) {
+        await addAudioSource(id, stream, mix[id], id === 'mic' ? processing : null);
+    }
+
+    // Measure the mix so it can be normalised after recording
+    if (processing.normalize) {
+        loudnessMeter = await audioProcessing.createLoudnessMeter(audioContext);
+        mixBus.connect(loudnessMeter.input);
+    }
+
+    return audioDestination.stream;
+}
+
+// Add a source to the audio graph: stream -> processing -> input -> gain -> mix (+ analyser)
+async function addAudioSource(id, stream, { volume = 1, muted = false } = {}, processing = null) {
+    if (stream.getAudioTracks().length === 0) return;
+
+    const chain = await audioProcessing.createProcessingChain(audioContext, processing || {});
+    const input = audioContext.createGain(); // Fixed point after processing (separate tracks tap it)
+    const gain = audioContext.createGain();
+    const analyser = audioContext.createAnalyser();
+    analyser.fftSize = 256;
+
+    chain.output.connect(input);
+    input.connect(gain);
+    gain.connect(mixBus);
+    gain.connect(analyser);
+    gain.gain.value = muted ? 0 : volume;
+
+    const source = {
+        entry: chain.input, // Where the stream connects, so it can be swapped
+        input,
+        gain,
+        analyser,
+        samples: new Uint8Array(analyser.frequencyBinCount),
+        volume,
+        muted,
+        streamNodes: []
+    };
+    connectSourceStream(source, stream);
+    audioSources.set(id, source);
+}
+
+// Feed a source from a (new) stream, disconnecting whatever fed it before
+function connectSourceStream(source, stream) {
+    for (const node of source.streamNodes) {
+        node.disconnect();
+    }
+
+    source.streamNodes = stream.getAudioTracks().map((track) => {
+        const node = audioContext.createMediaStreamSource(new MediaStream([track]));
+        node.connect(source.entry);
+        return node;
+    });
+}
+
+// Ramp a source's gain to match its volume and mute state (avoids clicks)
+function applySourceGain(source) {
+    const target = source.muted ? 0 : source.volume;
+    source.gain.gain.setTargetAtTime(target, audioContext.currentTime, 0.02);
+}
+
+// Get the audio sources in the current recording
+export function getAudioSources() {
+    return [...audioSources.entries()].map(([id, source]) => ({
+        id,
+        label: AUDIO_SOURCE_LABELS[id] || id,
+        volume: source.volume,
+        muted: source.muted
+    }));
+}
+
+// Set a source's volume (1 = unchanged)
+export function setSourceVolume(id, volume) {
+    const source = audioSources.get(id);
+    if (!source) return;
+    source.volume = volume;
+    applySourceGain(source);
+}
+
+// Mute or unmute a source
+export function setSourceMuted(id, muted) {
+    const source = audioSources.get(id);
+    if (!source) return;
+    source.muted = muted;
+    applySourceGain(source);
+}
+
+// Get a source's current level as RMS (0 to 1), after volume and mute
+export function getSourceLevel(id) {
+    const source = audioSources.get(id);
+    if (!source) return 0;
 
-    for (const stream of streams) {
-        for (const track of stream.getAudioTracks()) {
-            const source = audioContext.createMediaStreamSource(new MediaStream([track]));
-            source.connect(destination);
+    source.analyser.getByteTimeDomainData(source.samples);
+    let sum = 0;
+    for (const value of source.samples) {
+        const sample = (value - 128) / 128;
+        sum += sample * sample;
+    }
+    return Math.sqrt(sum / source.samples.length);
+}
+
+// Record an audio source on its own, before volume and mute, alongside the main recording.
+// It's streamed into the segment's sink so it's recovered with it after a crash (kept in memory
+// without one). Resolves with null if the recording stopped in the meantime.
+async function startAudioTrackRecorder(id, source, segment) {
+    // Taken from the source's input so it follows a device switch
+    const tap = audioContext.createMediaStreamDestination();
+    source.input.connect(tap);
+
+    const recorder = new MediaRecorder(tap.stream, {
+        mimeType: getSupportedMimeType('audio'),
+        audioBitsPerSecond: AUDIO_BITS_PER_SECOND
+    });
+
+    let sink = null;
+    try {
+        sink = await segment.sink?.createTrackStream?.(id, recorder.mimeType) || null;
+    } catch (err) {
+        console.warn(`Could not stream the ${id} track to disk, keeping it in memory:`, err);
+    }
+
+    // Stopped while the sink was being set up
+    if (currentSegment !== segment || !audioSources.has(id)) {
+        tap.disconnect();
+        await sink?.discard();
+        return null;
+    }
+
+    const track = { id, recorder, sink, chunks: [], tap };
+    recorder.ondataavailable = (event) => {
+        if (event.data.size === 0) return;
+        if (track.sink) {
+            track.sink.write(event.data);
+        } else {
+            track.chunks.push(event.data);
         }
+    };
+    recorder.start(1000);
+    if (segment.recorder.state === 'paused') {
+        recorder.pause();
     }
+    return track;
+}
+
+// Record every audio source on its own for a segment
+async function startAudioTrackRecorders(segment) {
+    const tracks = await Promise.all([...audioSources.entries()]
+        .map(([id, source]) => startAudioTrackRecorder(id, source, segment)));
+    return tracks.filter(Boolean);
+}
+
+// Stop separate audio recorders and collect their blobs (a track that can't be read is left out)
+async function stopAudioTrackRecorders(recorders = audioTrackRecorders) {
+    const tracks = await Promise.all(recorders.map(({ id, recorder, sink, chunks, tap }) => new Promise((resolve) => {
+        const done = async () => {
+            try {
+                const blob = sink
+                    ? await sink.finalize(recorder.mimeType)
+                    : new Blob(chunks, { type: recorder.mimeType });
+                resolve({ id, blob, mimeType: recorder.mimeType });
+            } catch (err) {
+                console.error(`Error finishing the ${id} track:`, err);
+                resolve(null);
+            }
+        };
+
+        if (recorder.state === 'inactive') {
+            done();
+            return;
+        }
+        recorder.onstop = () => {
+            tap.disconnect();
+            done();
+        };
+        recorder.stop();
+    })));
+    return tracks.filter(Boolean);
+}
+
+// Create the recorder for the final stream (native MediaRecorder, or WebCodecs for MP4)
+async function createMediaRecorder(stream, { mode, format, quality, keyframeInterval = null }) {
+    const { videoBitsPerSecond } = quality;
+    const audioBitsPerSecond = AUDIO_BITS_PER_SECOND;
+    const nativeMimeType = mode === 'audio'
+        ? getSupportedMimeType('audio')
+        : getSupportedMimeType(format, quality.codec);
+
+    if (mode === 'audio') {
+        return new MediaRecorder(stream, {
+            mimeType: nativeMimeType,
+            audioBitsPerSecond
+        });
+    }
+    if (nativeMimeType) {
+        return new MediaRecorder(stream, {
+            mimeType: nativeMimeType,
+            videoBitsPerSecond,
+            audioBitsPerSecond,
+            // Ignored by browsers that don't support it
+            ...(keyframeInterval && { videoKeyFrameIntervalDuration: keyframeInterval })
+        });
+    }
+    if (format === 'mp4' && webcodecs.isSupported()) {
+        return webcodecs.createWebCodecsRecorder(stream, { videoBitsPerSecond, audioBitsPerSecond });
+    }
+    throw new Error(`Recording format not supported: ${format}`);
+}
+
+// Start writing a segment (a file of the recording). The sink, if given, keeps chunks out of memory.
+function startSegment(index, recorder, sink) {
+    const segment = {
+        index,
+        recorder,
+        sink,
+        chunks: [],
+        startElapsed: getElapsedMs()
+    };
+
+    recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) {
+            recordedBytes += event.data.size;
+            if (segment.sink) {
+                segment.sink.write(event.data);
+            } else {
+                segment.chunks.push(event.data);
+            }
+        }
+    };
+
+    recorder.start(1000); // Collect data every second
+    mediaRecorder = recorder;
+    currentSegment = segment;
+    return segment;
+}
+
+// Stop a segment's recorder and collect its data
+function finishSegment(segment) {
+    return new Promise((resolve, reject) => {
+        const { recorder } = segment;
+
+        recorder.onstop = async () => {
+            try {
+                let blob = segment.sink
+                    ? await segment.sink.finalize(recorder.mimeType)
+                    : new Blob(segment.chunks, { type: recorder.mimeType });
+
+                // The WebCodecs recorder rewrites its header with the final duration
+                if (recorder.finalizeBlob) {
+                    blob = recorder.finalizeBlob(blob);
+                }
+
+                resolve({ blob, mimeType: recorder.mimeType });
+            } catch (err) {
+                reject(err);
+            }
+        };
+
+        recorder.onerror = (event) => reject(event.error);
+        recorder.stop();
+    });
+}
+
+// Length of a segment so far in seconds, excluding paused time
+function getSegmentDuration(segment) {
+    return Math.round((getElapsedMs() - segment.startElapsed) / 1000);
+}
+
+// Continue the recording in a new file. The next recorder starts on the same stream
+// before the current one stops, so no frames are lost between the files.
+async function rollOverSegment() {
+    const capture = activeCapture;
+    const previous = currentSegment;
+    const index = previous.index + 1;
+
+    let sink = null;
+    try {
+        sink = await capture.createSink?.(index) || null;
+    } catch (err) {
+        console.warn('Could not stream the next part to disk, keeping it in memory:', err);
+    }
+    const recorder = await createMediaRecorder(capture.stream, capture);
+
+    // Stopped while the next part was being set up
+    if (activeCapture !== capture) {
+        await sink?.discard();
+        return;
+    }
+
+    const duration = getSegmentDuration(previous);
+    const loudness = loudnessMeter?.getResult() || null;
+    loudnessMeter?.reset();
+    const previousTracks = audioTrackRecorders;
+
+    const segment = startSegment(index, recorder, sink);
+    if (previous.recorder.state === 'paused') {
+        recorder.pause();
+    }
+    if (capture.separateAudio) {
+        audioTrackRecorders = await startAudioTrackRecorders(segment);
+    }
+
+    const [{ blob, mimeType }, audioTracks] = await Promise.all([
+        finishSegment(previous),
+        stopAudioTrackRecorders(previousTracks)
+    ]);
+    capture.onSegment?.({ blob, duration, mimeType, audioTracks, loudness, part: previous.index });
+}
+
+// Check the recording's limits: warn shortly before one is reached, stop at it,
+// and start a new segment when the current one is long enough
+function checkLimits() {
+    if (!activeCapture || mediaRecorder?.state !== 'recording') return;
+
+    const { limits } = activeCapture;
+    const elapsed = getElapsedMs() / 1000;
+
+    // Seconds left before each limit (the size limit is projected from the rate so far)
+    const remaining = [];
+    if (limits.maxMinutes) {
+        remaining.push({ reason: 'duration', seconds: limits.maxMinutes * 60 - elapsed });
+    }
+    if (limits.maxMegabytes && recordedBytes > 0 && elapsed > 0) {
+        const bytesPerSecond = recordedBytes / elapsed;
+        remaining.push({ reason: 'size', seconds: (limits.maxMegabytes * 1000000 - recordedBytes) / bytesPerSecond });
+    }
+    const next = remaining.sort((a, b) => a.seconds - b.seconds)[0];
+
+    if (next && next.seconds <= 0) {
+        stopLimitChecks();
+        activeCapture.onLimitReached?.(next.reason);
+        return;
+    }
+    if (next && next.seconds <= LIMIT_WARNING_SECONDS && !activeCapture.limitWarned) {
+        activeCapture.limitWarned = true;
+        activeCapture.onLimitWarning?.({ reason: next.reason, seconds: Math.ceil(next.seconds) });
+    }
+
+    if (limits.segmentMinutes && !rollover && getSegmentDuration(currentSegment) >= limits.segmentMinutes * 60) {
+        rollover = rollOverSegment()
+            .catch(err => console.error('Error starting the next part:', err))
+            .finally(() => {
+                rollover = null;
+            });
+    }
+}
+
+// Stop checking the recording limits
+function stopLimitChecks() {
+    clearInterval(limitInterval);
+    limitInterval = null;
+}
+
+// Microphone constraints for recording
+function getMicConstraints(deviceId) {
+    return {
+        deviceId: { exact: deviceId },
+        echoCancellation: true,
+        noiseSuppression: true,
+        autoGainControl: true
+    };
+}
+
+// Camera constraints for recording (full quality when it's the only video)
+function getCameraConstraints(deviceId, cameraOnly, quality) {
+    const maxDimensions = getMaxDimensions(quality);
+    return {
+        deviceId: { exact: deviceId },
+        width: { ideal: cameraOnly ? maxDimensions.width : 640 },
+        height: { ideal: cameraOnly ? maxDimensions.height : 480 },
+        frameRate: cameraOnly ? { ideal: quality.frameRate } : undefined
+    };
+}
+
+// Video constraints for a screen or window. When a region will be picked, it's captured at
+// full size so the crop stays sharp.
+function getDisplayConstraints(quality, fullSize = false) {
+    const maxDimensions = getMaxDimensions(quality);
+    return {
+        displaySurface: 'monitor',
+        logicalSurface: true,
+        cursor: 'always',
+        ...(!fullSize && {
+            width: { max: maxDimensions.width },
+            height: { max: maxDimensions.height }
+        }),
+        frameRate: { ideal: quality.frameRate, max: quality.frameRate }
+    };
+}
+
+// Watch a screen's track so the recording can go on without it when sharing is stopped
+function watchScreenTrack(stream) {
+    const track = stream.getVideoTracks()[0];
+    if (track) {
+        track.onended = () => handleScreenEnded(stream.id);
+    }
+}
+
+// Watch the system audio track, so the user is told if it ends while the recording goes on
+function watchSystemAudio(stream) {
+    const track = stream.getAudioTracks()[0];
+    if (!track) return;
+
+    systemAudioStream = stream;
+    track.onended = () => {
+        // Ending with its screen is reported with the screen (see handleScreenEnded)
+        const screenEnded = stream.getVideoTracks().every(video => video.readyState === 'ended');
+        if (activeCapture && (!screenEnded || !displayStreams.has(stream.id))) {
+            activeCapture.onSystemAudioEnded?.();
+        }
+    };
+}
+
+// Check if system audio is still coming in
+function hasSystemAudio() {
+    return !!systemAudioStream?.getAudioTracks().some(track => track.readyState === 'live');
+}
+
+// A screen or window stopped being shared ("Stop sharing" or the window was closed). The
+// recording goes on with the others; after the last one it's stopped (by the caller, if it
+// asked to be told, so it can save the recording). If the screen's system audio stopped with
+// it, the caller is told that too.
+function handleScreenEnded(id) {
+    if (!activeCapture || !displayStreams.has(id)) return;
+    const { onScreenEnded } = activeCapture;
+
+    if (displayStreams.size > 1) {
+        const systemAudioEnded = displayStreams.get(id) === systemAudioStream && !hasSystemAudio();
+        if (systemAudioEnded) {
+            systemAudioStream.getAudioTracks().forEach((track) => {
+                track.onended = null;
+            });
+        }
+        removeScreenSource(id);
+        onScreenEnded?.(id, displayStreams.size, { systemAudioEnded });
+    } else if (onScreenEnded) {
+        onScreenEnded(id, 0);
+    } else if (mediaRecorder && mediaRecorder.state !== 'inactive') {
+        stopRecording();
+    }
+}
+
+// Report a microphone or camera that went away while recording (once per device)
+function reportDeviceLost(kind, deviceId) {
+    if (!activeCapture || activeCapture.lost.has(deviceId)) return;
+    activeCapture.lost.add(deviceId);
+    activeCapture.onDeviceLost?.(kind);
+}
 
-    return destination.stream;
+// Watch a device track so losing it is reported instead of recording silence or a frozen frame
+function watchDeviceTrack(track, kind, deviceId) {
+    if (!track) return;
+    track.onended = () => reportDeviceLost(kind, deviceId);
+}
+
+// Check the active devices are still plugged in (some browsers don't end the track)
+async function handleDeviceChange() {
+    if (!activeCapture) return;
+
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    const present = (kind, deviceId) => devices.some(d => d.kind === kind && d.deviceId === deviceId);
+    const { micDeviceId, cameraDeviceId } = activeCapture;
+
+    if (micStream && !present('audioinput', micDeviceId)) {
+        reportDeviceLost('microphone', micDeviceId);
+    }
+    if (cameraStream && !present('videoinput', cameraDeviceId)) {
+        reportDeviceLost('camera', cameraDeviceId);
+    }
 }
 
 // Start recording
@@ -87,106 +629,173 @@ export async function startRecording(options = {}) {
     const {
         micDeviceId = null,
         cameraDeviceId = null,
-        cameraEnabled = false
+        mode = 'screen',
+        format = 'webm',
+        quality = resolveQuality(DEFAULT_PRESET),
+        audioMix = {},
+        separateAudio = false,
+        audioProcessing: processing = audioProcessing.DEFAULT_PROCESSING,
+        limits = {}, // { maxMinutes, maxMegabytes, segmentMinutes }
+        keyframeInterval = null, // Milliseconds between video keyframes, where supported
+        cameraOverlay = {}, // Layout of the camera bubble (see compositor.DEFAULT_OVERLAY)
+        scene = 'bubble', // Starting scene for screen recordings with a camera (see SCENES)
+        screenLayout = 'grid', // How screens added mid-recording share the frame (see SCREEN_LAYOUTS)
+        chromaKey = null, // Green screen settings for the camera, with the background image decoded
+        selectRegion = null, // (displayStream) => crop { x, y, width, height } or null, to record part of the screen
+        branding = null, // Title cards, watermark and lower-third, with the logo decoded (see branding.js)
+        onDeviceLost = null,
+        onScreenEnded = null, // (id, remaining) when a screen stops being shared; stop the recording at 0
+        onVideoError = null, // (error) when the video stops being drawn mid-recording
+        onSystemAudioEnded = null, // When system audio ends but the recording goes on
+        onLimitWarning = null,
+        onLimitReached = null, // Called instead of stopping, so the caller can save the recording
+        onSegment = null, // Receives each finished part in segment mode (the last comes from stopRecording)
+        createSink = null, // (part) => sink for each part after the first
+        sink = null
     } = options;
 
-    try {
-        // Request screen capture with system audio
-        displayStream = await navigator.mediaDevices.getDisplayMedia({
-            video: {
-                displaySurface: 'monitor',
-                logicalSurface: true,
-                cursor: 'always'
-            },
-            audio: true // Request system audio
-        });
+    stopLayoutPreview(); // The recording's compositing replaces it
 
+    const maxDimensions = getMaxDimensions(quality);
+    const capture = RECORDING_MODES[mode] || RECORDING_MODES.screen;
+    let crop = null;
+    let displayStream = null;
+
+    try {
         // Collect audio streams
         const audioStreams = [];
 
-        // Add display audio if present
-        if (displayStream.getAudioTracks().length > 0) {
-            audioStreams.push(displayStream);
+        if (capture.screen) {
+            // Request screen capture with system audio
+            displayStream = await navigator.mediaDevices.getDisplayMedia({
+                video: getDisplayConstraints(quality, !!selectRegion),
+                audio: true // Request system audio
+            });
+            displayStreams.set(displayStream.id, displayStream);
+            crop = selectRegion ? await selectRegion(displayStream) : null;
+
+            // Add display audio if present
+            if (displayStream.getAudioTracks().length > 0) {
+                audioStreams.push({ id: 'system', stream: displayStream });
+                watchSystemAudio(displayStream);
+            }
         }
 
         // Request microphone if device ID provided
         if (micDeviceId) {
             try {
                 micStream = await navigator.mediaDevices.getUserMedia({
-                    audio: {
-                        deviceId: { exact: micDeviceId },
-                        echoCancellation: true,
-                        noiseSuppression: true,
-                        autoGainControl: true
-                    }
+                    audio: getMicConstraints(micDeviceId)
                 });
-                audioStreams.push(micStream);
+                audioStreams.push({ id: 'mic', stream: micStream });
             } catch (err) {
+                // Audio-only can't go on without the mic
+                if (mode === 'audio') throw err;
                 console.warn('Microphone access denied:', err);
             }
         }
 
-        // Request camera if enabled
-        if (cameraEnabled && cameraDeviceId) {
+        if (mode === 'audio' && !micStream) {
+            throw new Error('Audio-only recording needs a microphone');
+        }
+
+        // Request camera if the mode uses it
+        if (capture.camera && cameraDeviceId) {
             try {
                 cameraStream = await navigator.mediaDevices.getUserMedia({
-                    video: {
-                        deviceId: { exact: cameraDeviceId },
-                        width: { ideal: 640 },
-                        height: { ideal: 480 }
-                    }
+                    video: getCameraConstraints(cameraDeviceId, !capture.screen, quality)
                 });
             } catch (err) {
+                // Camera-only can't go on without the camera
+                if (mode === 'camera') throw err;
                 console.warn('Camera access denied:', err);
             }
         }
 
-        // Get video stream (composited if camera enabled, otherwise display)
-        let videoStream;
-        if (cameraStream) {
-            // Use compositor for picture-in-picture
-            videoStream = await compositor.startCompositing(displayStream, cameraStream);
-        } else {
-            videoStream = displayStream;
+        if (mode === 'camera' && !cameraStream) {
+            throw new Error('Camera-only recording needs a camera');
+        }
+
+        // Get video stream. Video always goes through the compositor (scenes for the screen,
+        // or full frame in camera-only mode) so the camera can be switched, added or laid out
+        // differently without stopping the recorder.
+        let videoStream = null;
+        if (displayStream || cameraStream) {
+            videoStream = await compositor.startCompositing(displayStream, cameraStream, {
+                overlay: cameraOverlay,
+                scene: cameraStream ? scene : 'screen',
+                screenLayout,
+                chromaKey,
+                crop,
+                branding,
+                maxWidth: maxDimensions.width,
+                maxHeight: maxDimensions.height,
+                frameRate: quality.frameRate,
+                onError: (err) => onVideoError?.(err)
+            });
         }
 
         // Combine all streams
+        const videoTracks = videoStream ? videoStream.getVideoTracks() : [];
         let finalStream;
         if (audioStreams.length > 0) {
-            const combinedAudio = combineAudioTracks(audioStreams);
+            const combinedAudio = await combineAudioTracks(audioStreams, audioMix, processing);
             finalStream = new MediaStream([
-                ...videoStream.getVideoTracks(),
+                ...videoTracks,
                 ...combinedAudio.getAudioTracks()
             ]);
         } else {
-            finalStream = new MediaStream([...videoStream.getVideoTracks()]);
+            finalStream = new MediaStream([...videoTracks]);
         }
 
         // Setup MediaRecorder
-        recordedChunks = [];
-        const mimeType = getSupportedMimeType();
-
-        mediaRecorder = new MediaRecorder(finalStream, {
-            mimeType,
-            videoBitsPerSecond: 3000000 // 3 Mbps
-        });
+        const recorder = await createMediaRecorder(finalStream, { mode, format, quality, keyframeInterval });
+        const mimeType = recorder.mimeType;
 
-        mediaRecorder.ondataavailable = (event) => {
-            if (event.data.size > 0) {
-                recordedChunks.push(event.data);
-            }
-        };
+        // Handle screen sharing ended (user clicked "Stop sharing")
+        if (displayStream) {
+            watchScreenTrack(displayStream);
+        }
 
-        // Handle stream ended (user clicked "Stop sharing")
-        displayStream.getVideoTracks()[0].onended = () => {
-            if (mediaRecorder && mediaRecorder.state !== 'inactive') {
-                stopRecording();
-            }
+        // A mic or camera going away is reported so it can be switched
+        activeCapture = {
+            mode,
+            format,
+            quality,
+            stream: finalStream,
+            micDeviceId,
+            cameraDeviceId,
+            audioMix,
+            separateAudio: separateAudio && mode !== 'audio',
+            processing,
+            limits,
+            keyframeInterval,
+            limitWarned: false,
+            createSink,
+            onDeviceLost,
+            onScreenEnded,
+            onSystemAudioEnded,
+            onLimitWarning,
+            onLimitReached,
+            onSegment,
+            lost: new Set()
         };
+        watchDeviceTrack(micStream?.getAudioTracks()[0], 'microphone', micDeviceId);
+        watchDeviceTrack(cameraStream?.getVideoTracks()[0], 'camera', cameraDeviceId);
+        navigator.mediaDevices.addEventListener('devicechange', handleDeviceChange);
 
         // Start recording
-        mediaRecorder.start(1000); // Collect data every second
         startTime = Date.now();
+        pausedAt = null;
+        pausedDuration = 0;
+        recordedBytes = 0;
+        const segment = startSegment(1, recorder, sink);
+        if (activeCapture.separateAudio) {
+            audioTrackRecorders = await startAudioTrackRecorders(segment);
+        }
+        if (limits.maxMinutes || limits.maxMegabytes || limits.segmentMinutes) {
+            limitInterval = setInterval(checkLimits, 1000);
+        }
 
         return {
             stream: finalStream,
@@ -199,45 +808,279 @@ export async function startRecording(options = {}) {
     }
 }
 
-// Stop recording and return blob
-export function stopRecording() {
-    return new Promise((resolve, reject) => {
-        if (!mediaRecorder || mediaRecorder.state === 'inactive') {
-            reject(new Error('No active recording'));
-            return;
+// Get the devices in use, whether they can be switched or added, and what the layout allows
+export function getActiveDevices() {
+    if (!activeCapture) return null;
+
+    const hasScreen = displayStreams.size > 0;
+    return {
+        micDeviceId: micStream ? activeCapture.micDeviceId : null,
+        cameraDeviceId: cameraStream ? activeCapture.cameraDeviceId : null,
+        canReplaceMicrophone: !!audioContext,
+        canReplaceCamera: !!cameraStream || hasScreen,
+        hasCameraOverlay: hasScreen && !!cameraStream,
+        canSwitchScene: hasScreen,
+        canAddScreen: hasScreen
+    };
+}
+
+// Share another screen or window into a screen recording, as its own layer. Extra screens
+// don't add their audio. Returns the new screen's id.
+export async function addScreenSource() {
+    if (!activeCapture) throw new Error('No active recording');
+    if (displayStreams.size === 0) throw new Error('Screens can only be added to a screen recording');
+
+    const stream = await navigator.mediaDevices.getDisplayMedia({
+        video: getDisplayConstraints(activeCapture.quality),
+        audio: false
+    });
+    if (!activeCapture) {
+        // The recording stopped while the picker was open
+        stream.getTracks().forEach(track => track.stop());
+        throw new Error('No active recording');
+    }
+
+    displayStreams.set(stream.id, stream);
+    compositor.addScreenStream(stream);
+    watchScreenTrack(stream);
+    return stream.id;
+}
+
+// Stop recording a screen or window (the last one can't be removed). Only its picture is
+// stopped: if system audio comes from it, that stays in the mix.
+export function removeScreenSource(id) {
+    const stream = displayStreams.get(id);
+    if (!stream) return;
+    if (displayStreams.size === 1) throw new Error('A screen recording needs at least one screen');
+
+    compositor.removeScreenStream(id);
+    displayStreams.delete(id);
+    const tracks = stream === systemAudioStream ? stream.getVideoTracks() : stream.getTracks();
+    tracks.forEach((track) => {
+        track.onended = null;
+        track.stop();
+    });
+}
+
+// Get the screens and windows being recorded, bottom layer first:
+// { id, label, rect } with rect as fractions of the screen area
+export function getScreenSources() {
+    return compositor.getScreens().map(screen => ({
+        ...screen,
+        label: displayStreams.get(screen.id)?.getVideoTracks()[0]?.label || ''
+    }));
+}
+
+// Lay the screens out as a grid, side by side or in custom boxes (see SCREEN_LAYOUTS)
+export function setScreenLayout(name) {
+    compositor.setScreenLayout(name);
+}
+
+// Get how the screens are laid out
+export function getScreenLayout() {
+    return compositor.getScreenLayout();
+}
+
+// Move or resize a screen in the custom layout. Returns the box in use.
+export function setScreenRect(id, rect) {
+    return compositor.setScreenRect(id, rect);
+}
+
+// Get where the screen is shown in the recording, as fractions of the frame (for annotating it)
+export function getScreenRect() {
+    return compositor.getScreenRect();
+}
+
+// Convert a point on the screen as shown to one that stays put when zooming (for annotating it)
+export function toScreenPoint(point) {
+    return compositor.toScreenPoint(point);
+}
+
+// Zoom into a region of the screen as shown ({ x, y, width, height } as fractions of it)
+export function zoomTo(region) {
+    compositor.zoomTo(region);
+}
+
+// Zoom out to the whole screen, or back into the last region
+export function toggleZoom() {
+    compositor.toggleZoom();
+}
+
+// Check if the screen is zoomed in
+export function isZoomed() {
+    return compositor.isZoomed();
+}
+
+// Switch the scene layout of a screen recording (animated)
+export function setScene(name) {
+    compositor.setScene(name);
+}
+
+// Get the current scene
+export function getScene() {
+    return compositor.getScene();
+}
+
+// Move, resize or restyle the camera bubble mid-recording. Returns the layout in use.
+export function setCameraOverlay(changes) {
+    return compositor.setOverlay(changes);
+}
+
+// Get the camera bubble's box as fractions of the frame (null when not compositing)
+export function getCameraOverlayRect() {
+    return compositor.getOverlayRect();
+}
+
+// Get the video's effective frame rate and how it's drawn (null without video).
+// See compositor.getFrameStats().
+export function getFrameStats() {
+    return compositor.getFrameStats();
+}
+
+// Switch to another microphone without stopping the recording
+export async function replaceMicrophone(deviceId) {
+    if (!activeCapture) throw new Error('No active recording');
+    if (!audioContext) throw new Error('This recording has no audio track');
+
+    const stream = await navigator.mediaDevices.getUserMedia({
+        audio: getMicConstraints(deviceId)
+    });
+
+    const previous = micStream;
+    micStream = stream;
+    activeCapture.micDeviceId = deviceId;
+    activeCapture.lost.delete(deviceId);
+
+    const source = audioSources.get('mic');
+    if (source) {
+        connectSourceStream(source, stream);
+    } else {
+        // The recording started without a mic, so it joins the mix now (with its own track
+        // from here on, when recording separate audio)
+        await addAudioSource('mic', stream, activeCapture.audioMix.mic, activeCapture.processing);
+        if (activeCapture?.separateAudio && audioSources.has('mic')) {
+            const track = await startAudioTrackRecorder('mic', audioSources.get('mic'), currentSegment);
+            if (track) audioTrackRecorders.push(track);
         }
+    }
+    watchDeviceTrack(stream.getAudioTracks()[0], 'microphone', deviceId);
 
-        const duration = Math.round((Date.now() - startTime) / 1000);
+    previous?.getTracks().forEach((track) => {
+        track.onended = null;
+        track.stop();
+    });
+}
 
-        mediaRecorder.onstop = () => {
-            const mimeType = mediaRecorder.mimeType;
-            const blob = new Blob(recordedChunks, { type: mimeType });
+// Switch to another camera (or add one to a screen recording) without stopping the recording
+export async function replaceCamera(deviceId) {
+    if (!activeCapture) throw new Error('No active recording');
+    if (!cameraStream && displayStreams.size === 0) throw new Error('This recording has no video');
 
-            cleanup();
+    const capture = RECORDING_MODES[activeCapture.mode] || RECORDING_MODES.screen;
+    const stream = await navigator.mediaDevices.getUserMedia({
+        video: getCameraConstraints(deviceId, !capture.screen, activeCapture.quality)
+    });
 
-            resolve({
-                blob,
-                duration,
-                mimeType
-            });
-        };
+    const previous = cameraStream;
+    cameraStream = stream;
+    activeCapture.cameraDeviceId = deviceId;
+    activeCapture.lost.delete(deviceId);
 
-        mediaRecorder.onerror = (event) => {
-            cleanup();
-            reject(event.error);
-        };
+    compositor.setCameraStream(stream);
+    watchDeviceTrack(stream.getVideoTracks()[0], 'camera', deviceId);
 
-        mediaRecorder.stop();
+    previous?.getTracks().forEach((track) => {
+        track.onended = null;
+        track.stop();
     });
 }
 
+// Pause recording (time spent paused is excluded from the duration)
+export function pauseRecording() {
+    if (!mediaRecorder || mediaRecorder.state !== 'recording') {
+        return false;
+    }
+
+    mediaRecorder.pause();
+    audioTrackRecorders.forEach(({ recorder }) => recorder.pause());
+    loudnessMeter?.pause();
+    pausedAt = Date.now();
+    return true;
+}
+
+// Resume a paused recording
+export function resumeRecording() {
+    if (!mediaRecorder || mediaRecorder.state !== 'paused') {
+        return false;
+    }
+
+    mediaRecorder.resume();
+    audioTrackRecorders.forEach(({ recorder }) => recorder.resume());
+    loudnessMeter?.resume();
+    pausedDuration += Date.now() - pausedAt;
+    pausedAt = null;
+    return true;
+}
+
+// Stop recording and return the blob (in segment mode, the last part)
+export async function stopRecording() {
+    if (!mediaRecorder || mediaRecorder.state === 'inactive') {
+        throw new Error('No active recording');
+    }
+
+    stopLimitChecks();
+    if (mediaRecorder.state === 'recording') {
+        await compositor.playOutro(); // Keeps recording while the outro card is shown
+    }
+    await rollover; // Let a part that's being handed over finish first
+
+    const segment = currentSegment;
+    const duration = getSegmentDuration(segment);
+    const loudness = loudnessMeter?.getResult() || null;
+
+    try {
+        const [{ blob, mimeType }, audioTracks] = await Promise.all([
+            finishSegment(segment),
+            stopAudioTrackRecorders()
+        ]);
+
+        return {
+            blob,
+            duration,
+            mimeType,
+            audioTracks,
+            loudness,
+            part: segment.index
+        };
+    } finally {
+        cleanup();
+    }
+}
+
 // Cleanup all resources
 function cleanup() {
     compositor.stopCompositing();
+    stopLimitChecks();
 
-    if (displayStream) {
-        displayStream.getTracks().forEach(track => track.stop());
-        displayStream = null;
+    if (activeCapture) {
+        navigator.mediaDevices.removeEventListener('devicechange', handleDeviceChange);
+        activeCapture = null;
+    }
+
+    for (const stream of displayStreams.values()) {
+        stream.getTracks().forEach((track) => {
+            track.onended = null;
+            track.stop();
+        });
+    }
+    displayStreams = new Map();
+
+    if (systemAudioStream) {
+        systemAudioStream.getTracks().forEach((track) => {
+            track.onended = null;
+            track.stop();
+        });
+        systemAudioStream = null;
     }
 
     if (micStream) {
@@ -253,11 +1096,23 @@ function cleanup() {
     if (audioContext) {
         audioContext.close();
         audioContext = null;
+        audioDestination = null;
+        mixBus = null;
+    }
+    loudnessMeter = null;
+    audioSources = new Map();
+
+    for (const { recorder } of audioTrackRecorders) {
+        if (recorder.state !== 'inactive') recorder.stop();
     }
+    audioTrackRecorders = [];
 
     mediaRecorder = null;
-    recordedChunks = [];
+    currentSegment = null;
+    recordedBytes = 0;
     startTime = null;
+    pausedAt = null;
+    pausedDuration = 0;
 }
 
 // Get current recording state
@@ -266,10 +1121,21 @@ export function getRecordingState() {
     return mediaRecorder.state;
 }
 
-// Get elapsed recording time in seconds
-export function getElapsedTime() {
+// Elapsed recording time in milliseconds, excluding paused time
+function getElapsedMs() {
     if (!startTime) return 0;
-    return Math.round((Date.now() - startTime) / 1000);
+    const now = pausedAt || Date.now();
+    return now - startTime - pausedDuration;
+}
+
+// Get elapsed recording time in seconds, excluding paused time
+export function getElapsedTime() {
+    return Math.round(getElapsedMs() / 1000);
+}
+
+// Get the part being recorded in segment mode (1 otherwise)
+export function getCurrentPart() {
+    return currentSegment?.index || 1;
 }
 
 // Check if recording APIs are supported
@@ -304,3 +1170,62 @@ export function stopCameraPreview(stream) {
         stream.getTracks().forEach(track => track.stop());
     }
 }
+
+// A stand-in for the screen, so the layout can be arranged before one is shared.
+// It's redrawn every second so the stream keeps giving frames.
+function createPlaceholderScreen() {
+    const canvas = document.createElement('canvas');
+    canvas.width = PLACEHOLDER_WIDTH;
+    canvas.height = PLACEHOLDER_HEIGHT;
+    const ctx = canvas.getContext('2d');
+
+    const draw = () => {
+        ctx.fillStyle = '#1f2937';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = '#9ca3af';
+        ctx.font = `${canvas.height / 16}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('Your screen', canvas.width / 2, canvas.height / 2);
+    };
+    draw();
+
+    return { stream: canvas.captureStream(1), timer: setInterval(draw, 1000) };
+}
+
+// Preview the recording's layout before it starts, so the camera bubble can be arranged
+// (see setCameraOverlay). Without a screen stream a stand-in is shown. The compositor gets
+// copies of the streams, so stopping the preview leaves them running. Returns the preview stream.
+export async function startLayoutPreview(screenStream, cameraStream, { overlay = {} } = {}) {
+    if (activeCapture) throw new Error('Already recording');
+    stopLayoutPreview();
+
+    const placeholder = screenStream ? null : createPlaceholderScreen();
+    const streams = [screenStream ? screenStream.clone() : placeholder.stream, cameraStream.clone()];
+    layoutPreview = { streams, placeholderTimer: placeholder?.timer };
+
+    try {
+        return await compositor.startCompositing(streams[0], streams[1], {
+            overlay,
+            scene: 'bubble',
+            maxWidth: PREVIEW_MAX_WIDTH,
+            maxHeight: PREVIEW_MAX_HEIGHT,
+            frameRate: PREVIEW_FRAME_RATE
+        });
+    } catch (err) {
+        stopLayoutPreview();
+        throw err;
+    }
+}
+
+// Stop previewing the layout
+export function stopLayoutPreview() {
+    if (!layoutPreview) return;
+
+    compositor.stopCompositing();
+    clearInterval(layoutPreview.placeholderTimer);
+    for (const stream of layoutPreview.streams) {
+        stream.getTracks().forEach(track => track.stop());
+    }
+    layoutPreview = null;
+}
@@ -0,0 +1,111 @@
+// Replay buffer module - keeps the last few minutes of a live WebM recording in memory
+
+import { createClusterScanner } from './webm.js';
+
+// Create a ring buffer for MediaRecorder chunks that holds at least `seconds` of media.
+// It can be passed to recorder.startRecording() as the sink. Old data is only dropped
+// at a cluster that opens on a keyframe, so a snapshot always starts with a playable frame.
+export function createReplayBuffer({ seconds }) {
+    const windowMs = seconds * 1000;
+    const scanner = createClusterScanner();
+    let chunks = []; // { start, end, blob } with byte offsets in the whole stream
+    let header = null; // Everything before the first cluster (EBML header, Info, Tracks)
+    let startCluster = null; // Oldest cluster kept, always a keyframe cluster
+    let offset = 0;
+    let queue = Promise.resolve();
+    let error = null;
+
+    const latestTimecode = () => {
+        const last = scanner.clusters[scanner.clusters.length - 1];
+        return last?.timecode ?? null;
+    };
+
+    // Drop everything before the newest keyframe cluster that still leaves a full window
+    const trim = () => {
+        const newest = latestTimecode();
+        if (newest === null) return;
+
+        for (const cluster of scanner.clusters) {
+            if (cluster.keyframe && cluster.timecode !== null) {
+                if (!startCluster) startCluster = cluster;
+                if (newest - cluster.timecode >= windowMs) startCluster = cluster;
+            }
+        }
+        if (!startCluster) return;
+
+        scanner.clusters.splice(0, scanner.clusters.indexOf(startCluster));
+        chunks = chunks.filter(chunk => chunk.end > startCluster.start);
+    };
+
+    const writeChunk = async (blob) => {
+        if (error) return;
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        chunks.push({ start: offset, end: offset + bytes.length, blob });
+        offset += bytes.length;
+        scanner.push(bytes);
+
+        if (!header && scanner.headerEnd !== null) {
+            header = new Blob(chunks.map(chunk => chunk.blob)).slice(0, scanner.headerEnd);
+        }
+        trim();
+    };
+
+    const enqueue = (task) => {
+        queue = queue.then(task).catch((err) => {
+            console.error('Error buffering replay:', err);
+            error = error || err;
+        });
+        return queue;
+    };
+
+    const buffer = {
+        // Append a chunk (processed in order)
+        write(chunk) {
+            return enqueue(() => writeChunk(chunk));
+        },
+
+        // Seconds of media currently held
+        getBufferedSeconds() {
+            const newest = latestTimecode();
+            if (!startCluster || newest === null) return 0;
+            return Math.round((newest - startCluster.timecode) / 1000);
+        },
+
+        // The buffered window as a WebM blob (timecodes aren't rebased; run it through fixWebm)
+        async snapshot(type = 'video/webm') {
+            await queue;
+            if (error) throw error;
+            if (!header || !startCluster) {
+                throw new Error('Nothing has been buffered yet');
+            }
+
+            const parts = [header];
+            for (const chunk of chunks) {
+                if (chunk.end <= startCluster.start) continue;
+                parts.push(chunk.start < startCluster.start
+                    ? chunk.blob.slice(startCluster.start - chunk.start)
+                    : chunk.blob);
+            }
+            return new Blob(parts, { type });
+        },
+
+        // Called by the recorder when it stops
+        async finalize(type) {
+            await queue;
+            if (!header || !startCluster) {
+                return new Blob([], { type });
+            }
+            return buffer.snapshot(type);
+        },
+
+        // Release the buffered data
+        async discard() {
+            await queue;
+            chunks = [];
+            header = null;
+            startCluster = null;
+        }
+    };
+
+    return buffer;
+}
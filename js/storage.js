@@ -1,12 +1,44 @@
 // Storage module - handles IndexedDB and File System Access API operations
 
+import * as webm from './webm.js';
+
 const DB_NAME = 'unloom-db';
-const DB_VERSION = 1;
-const HANDLE_STORE = 'directoryHandle';
-const RECORDINGS_STORE = 'recordings';
+const DB_VERSION = 2;
+const HANDLE_STORE = 'directoryHandle'; // Workspaces: { id, name, handle, usedAt }
+const RECORDINGS_STORE = 'workspaceRecordings'; // Recording metadata, keyed by workspace and file name
+const LEGACY_RECORDINGS_STORE = 'recordings'; // Metadata from before workspaces, keyed by file name
+
+// The workspace from before there could be several (its folder was stored under this id)
+export const DEFAULT_WORKSPACE_ID = 'main';
+
+// In-progress recordings are streamed into part files inside this folder
+const RECOVERY_DIR = '.unloom-recovery';
+const SESSION_FILE = 'session.json';
+const TRACK_DIR_SUFFIX = '.track'; // Separate audio tracks are streamed into <id>.track inside the session
+const CHUNKS_PER_PART = 10; // ~10 seconds per part at a 1s timeslice
+
+// File extensions shown in the library, with the MIME type used to read them
+const RECORDING_TYPES = {
+    '.webm': 'video/webm',
+    '.mp4': 'video/mp4',
+    '.ogg': 'audio/ogg'
+};
+
+// Images in the folder that can be used as backgrounds
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp'];
+
+// Separate audio tracks are saved next to the recording as <name>.<track>.<ext>
+const AUDIO_TRACK_PATTERN = /^(.+)\.(mic|system)\.(webm|ogg)$/i;
+
+// Metadata is saved next to the recording as <name>.<ext>.unloom.json, so it travels with the folder
+// (the extension keeps recording-1.webm and recording-1.mp4 apart).
+// IndexedDB keeps a copy as a cache; whichever was modified last wins.
+const SIDECAR_SUFFIX = '.unloom.json';
+const SIDECAR_VERSION = 1;
 
 let db = null;
 let directoryHandle = null;
+let workspaceId = null; // The workspace whose folder is open
 
 // Initialize IndexedDB
 export async function initStorage() {
@@ -21,53 +53,93 @@ export async function initStorage() {
 
         request.onupgradeneeded = (event) => {
             const database = event.target.result;
+            const transaction = event.target.transaction;
 
-            // Store for directory handle
+            // Store for the workspaces' directory handles
             if (!database.objectStoreNames.contains(HANDLE_STORE)) {
                 database.createObjectStore(HANDLE_STORE, { keyPath: 'id' });
             }
 
             // Store for recording metadata
             if (!database.objectStoreNames.contains(RECORDINGS_STORE)) {
-                const store = database.createObjectStore(RECORDINGS_STORE, { keyPath: 'filename' });
-                store.createIndex('timestamp', 'timestamp', { unique: false });
+                const store = database.createObjectStore(RECORDINGS_STORE, { keyPath: ['workspace', 'filename'] });
+                store.createIndex('workspace', 'workspace', { unique: false });
+            }
+
+            // Metadata from before workspaces belongs to the first one
+            if (database.objectStoreNames.contains(LEGACY_RECORDINGS_STORE)) {
+                const request = transaction.objectStore(LEGACY_RECORDINGS_STORE).getAll();
+                request.onsuccess = () => {
+                    const store = transaction.objectStore(RECORDINGS_STORE);
+                    for (const item of request.result) {
+                        store.put({ ...item, workspace: DEFAULT_WORKSPACE_ID });
+                    }
+                    database.deleteObjectStore(LEGACY_RECORDINGS_STORE);
+                };
             }
         };
     });
 }
 
-// Get stored directory handle from IndexedDB
-export async function getDirectoryHandle() {
-    if (directoryHandle) return directoryHandle;
-
+// Get all stored workspaces, most recently used first. Each is { id, name, handle, usedAt };
+// the folder of the one from before workspaces has no name, so it's named after its folder.
+export function getWorkspaces() {
     return new Promise((resolve, reject) => {
         const transaction = db.transaction(HANDLE_STORE, 'readonly');
         const store = transaction.objectStore(HANDLE_STORE);
-        const request = store.get('main');
+        const request = store.getAll();
 
         request.onerror = () => reject(request.error);
         request.onsuccess = () => {
-            if (request.result) {
-                directoryHandle = request.result.handle;
-                resolve(directoryHandle);
-            } else {
-                resolve(null);
-            }
+            const workspaces = request.result
+                .filter(item => item.handle)
+                .map(item => ({ ...item, name: item.name || item.handle.name, usedAt: item.usedAt || 0 }));
+            resolve(workspaces.sort((a, b) => b.usedAt - a.usedAt));
         };
     });
 }
 
-// Store directory handle in IndexedDB
-export async function setDirectoryHandle(handle) {
-    directoryHandle = handle;
-
+// Store a workspace
+function putWorkspace(workspace) {
     return new Promise((resolve, reject) => {
         const transaction = db.transaction(HANDLE_STORE, 'readwrite');
         const store = transaction.objectStore(HANDLE_STORE);
-        const request = store.put({ id: 'main', handle });
+        const request = store.put(workspace);
 
         request.onerror = () => reject(request.error);
-        request.onsuccess = () => resolve();
+        request.onsuccess = () => resolve(workspace);
+    });
+}
+
+// Get the id of the open workspace (null before one is)
+export function getWorkspaceId() {
+    return workspaceId;
+}
+
+// Get stored directory handle from IndexedDB (the folder of the last used workspace)
+export async function getDirectoryHandle() {
+    if (directoryHandle) return directoryHandle;
+
+    const [workspace] = await getWorkspaces();
+    if (!workspace) return null;
+
+    workspaceId = workspace.id;
+    directoryHandle = workspace.handle;
+    return directoryHandle;
+}
+
+// Store directory handle in IndexedDB, as the folder of the open workspace (or a first one)
+export async function setDirectoryHandle(handle) {
+    const workspaces = await getWorkspaces();
+    const workspace = workspaces.find(item => item.id === workspaceId) || workspaces[0];
+
+    directoryHandle = handle;
+    workspaceId = workspace?.id || DEFAULT_WORKSPACE_ID;
+    await putWorkspace({
+        id: workspaceId,
+        name: workspace?.name || handle.name,
+        handle,
+        usedAt: Date.now()
     });
 }
 
@@ -88,6 +160,75 @@ export async function requestFolderAccess() {
     }
 }
 
+// Add a workspace with a folder picked by the user and open it (null if cancelled).
+// The name defaults to the folder's.
+export async function addWorkspace(name = '') {
+    let handle;
+    try {
+        handle = await window.showDirectoryPicker({
+            mode: 'readwrite',
+            startIn: 'videos'
+        });
+    } catch (err) {
+        if (err.name === 'AbortError') {
+            return null; // User cancelled
+        }
+        throw err;
+    }
+
+    const workspace = await putWorkspace({
+        id: `workspace-${Date.now()}`,
+        name: name.trim() || handle.name,
+        handle,
+        usedAt: Date.now()
+    });
+    workspaceId = workspace.id;
+    directoryHandle = handle;
+    return workspace;
+}
+
+// Open another workspace. Its folder needs permission already (see verifyPermission).
+export async function switchWorkspace(id) {
+    const workspace = (await getWorkspaces()).find(item => item.id === id);
+    if (!workspace) {
+        throw new Error('Workspace not found');
+    }
+
+    workspaceId = workspace.id;
+    directoryHandle = workspace.handle;
+    return putWorkspace({ ...workspace, usedAt: Date.now() });
+}
+
+// Rename a workspace
+export async function renameWorkspace(id, name) {
+    const workspace = (await getWorkspaces()).find(item => item.id === id);
+    if (!workspace || !name.trim()) return null;
+    return putWorkspace({ ...workspace, name: name.trim() });
+}
+
+// Forget a workspace and its cached metadata. Its folder and files are left as they are.
+// The open workspace can't be removed.
+export async function removeWorkspace(id) {
+    if (id === workspaceId) {
+        throw new Error('The open workspace can\'t be removed');
+    }
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([HANDLE_STORE, RECORDINGS_STORE], 'readwrite');
+        transaction.objectStore(HANDLE_STORE).delete(id);
+        transaction.objectStore(RECORDINGS_STORE).index('workspace').openKeyCursor(IDBKeyRange.only(id)).onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                transaction.objectStore(RECORDINGS_STORE).delete(cursor.primaryKey);
+                cursor.continue();
+            }
+        };
+
+        transaction.onerror = () => reject(transaction.error);
+        transaction.oncomplete = () => resolve();
+    });
+}
+
 // Check if we have permission on existing handle (does NOT request permission)
 export async function verifyPermission(handle, requestIfNeeded = false) {
     if (!handle) return false;
@@ -113,41 +254,837 @@ export async function verifyPermission(handle, requestIfNeeded = false) {
     }
 }
 
-// Save recording to folder and metadata to IndexedDB
+// Drop the workspace a recording's cached metadata is stored under
+function withoutWorkspace(item) {
+    const { workspace, ...recordingData } = item;
+    return recordingData;
+}
+
+// Get stored metadata for a recording in the open workspace (null if none)
+function getRecordingMetadata(filename) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(RECORDINGS_STORE, 'readonly');
+        const store = transaction.objectStore(RECORDINGS_STORE);
+        const request = store.get([workspaceId, filename]);
+
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => resolve(request.result ? withoutWorkspace(request.result) : null);
+    });
+}
+
+// Get the stored metadata of every recording in the open workspace, by file name
+function getAllRecordingMetadata() {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(RECORDINGS_STORE, 'readonly');
+        const store = transaction.objectStore(RECORDINGS_STORE);
+        const request = store.index('workspace').getAll(workspaceId);
+
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+            const map = new Map();
+            for (const item of request.result) {
+                map.set(item.filename, withoutWorkspace(item));
+            }
+            resolve(map);
+        };
+    });
+}
+
+// Store metadata for a recording in the open workspace
+function putRecordingMetadata(recordingData) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(RECORDINGS_STORE, 'readwrite');
+        const store = transaction.objectStore(RECORDINGS_STORE);
+        const request = store.put({ ...recordingData, workspace: workspaceId });
+
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => resolve(recordingData);
+    });
+}
+
+// Remove a recording's metadata from the cache
+function deleteRecordingMetadata(filename) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(RECORDINGS_STORE, 'readwrite');
+        const store = transaction.objectStore(RECORDINGS_STORE);
+        const request = store.delete([workspaceId, filename]);
+
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => resolve();
+    });
+}
+
+// Recordings in a collection are named by their path in the folder, e.g. "Customer A/recording-123.webm".
+// Recordings at the top of the folder are in the '' collection and named by their file name.
+function joinPath(collection, name) {
+    return collection ? `${collection}/${name}` : name;
+}
+
+// Split a path into its collection and file name
+function splitPath(path) {
+    const index = path.indexOf('/');
+    return index === -1
+        ? { collection: '', name: path }
+        : { collection: path.slice(0, index), name: path.slice(index + 1) };
+}
+
+// Get the folder of a collection (the chosen folder itself for '')
+function getFolder(collection, create = false) {
+    return collection ? directoryHandle.getDirectoryHandle(collection, { create }) : directoryHandle;
+}
+
+// Get a file by its path
+async function getFileHandle(path, create = false) {
+    const { collection, name } = splitPath(path);
+    const folder = await getFolder(collection, create);
+    return folder.getFileHandle(name, { create });
+}
+
+// Remove a file by its path
+async function removeFile(path) {
+    const { collection, name } = splitPath(path);
+    const folder = await getFolder(collection);
+    await folder.removeEntry(name);
+}
+
+// List the files in a collection's folder (collected first, so it can be changed while they're used)
+async function getFolderFiles(collection) {
+    const folder = await getFolder(collection);
+    const entries = [];
+    for await (const entry of folder.values()) {
+        if (entry.kind === 'file') entries.push(entry);
+    }
+    return entries;
+}
+
+// Write a blob to a file in the folder
+async function writeFile(path, blob) {
+    const fileHandle = await getFileHandle(path, true);
+    const writable = await fileHandle.createWritable();
+    await writable.write(blob);
+    await writable.close();
+}
+
+// Name of a recording's metadata file, e.g. recording-123.webm.unloom.json
+function getSidecarFilename(filename) {
+    return filename + SIDECAR_SUFFIX;
+}
+
+// Name metadata files had before they included the extension, e.g. recording-123.unloom.json
+function getLegacySidecarFilename(filename) {
+    return getBaseName(filename) + SIDECAR_SUFFIX;
+}
+
+// Find a recording's metadata file among the files in its folder, falling back to one with the
+// old name. Returns { entry, legacy } (entry is undefined if there's none).
+function findSidecarEntry(entries, filename) {
+    const { name } = splitPath(filename);
+    const entry = entries.find(e => e.name === getSidecarFilename(name));
+    if (entry) return { entry, legacy: false };
+    return { entry: entries.find(e => e.name === getLegacySidecarFilename(name)), legacy: true };
+}
+
+// Write a recording's metadata file. Size, audio tracks and the collection aren't included,
+// since they're read from the folder.
+async function writeSidecar(recordingData) {
+    const { size, audioTracks, ...metadata } = recordingData;
+    const json = JSON.stringify({ version: SIDECAR_VERSION, ...metadata, filename: splitPath(metadata.filename).name }, null, 2);
+    await writeFile(getSidecarFilename(recordingData.filename), new Blob([json], { type: 'application/json' }));
+}
+
+// Read a metadata file for a recording. Returns null if it can't be read or belongs to another
+// file with the same name (recording-1.webm and recording-1.mp4). A file written by hand
+// without modifiedAt counts as modified when the file was.
+async function readSidecar(entry, filename) {
+    if (!entry) return null;
+
+    try {
+        const file = await entry.getFile();
+        const { version, ...metadata } = JSON.parse(await file.text());
+        if (metadata.filename && metadata.filename !== splitPath(filename).name) return null;
+        return { ...metadata, filename, modifiedAt: metadata.modifiedAt || file.lastModified };
+    } catch (err) {
+        console.warn(`Could not read ${entry.name}:`, err);
+        return null;
+    }
+}
+
+// Save a recording's metadata to its file and the cache. modifiedAt is when it last changed:
+// now, unless it's being copied over from the cache. The cache is still updated if the file
+// can't be written, and being newer, the file is written again next time. A cache-only entry
+// stops being one once it's saved here.
+async function storeRecordingMetadata(recordingData, modifiedAt = Date.now()) {
+    const { cachedOnly, ...rest } = recordingData;
+    const data = { ...rest, modifiedAt };
+    try {
+        await writeSidecar(data);
+    } catch (err) {
+        console.warn(`Could not write the metadata file of ${data.filename}:`, err);
+    }
+    return putRecordingMetadata(data);
+}
+
+// Bring a recording's metadata file and cached copy in line, keeping whichever was modified
+// last (a cached copy from before metadata files counts as the oldest). A cache-only entry,
+// for a file Unloom didn't make, never gets a metadata file. Returns the metadata (null if
+// there's neither).
+async function reconcileMetadata(sidecar, cached) {
+    if (!sidecar && !cached) return null;
+    if (!sidecar && cached.cachedOnly) return cached;
+
+    if (sidecar && (sidecar.modifiedAt >= (cached?.modifiedAt || 0) || cached?.cachedOnly)) {
+        const { cachedOnly, ...merged } = { ...cached, ...sidecar };
+        if (sidecar.modifiedAt !== cached?.modifiedAt || cachedOnly) {
+            await putRecordingMetadata(merged);
+        }
+        return merged;
+    }
+
+    // The cache is newer, or the metadata file is missing (made before they existed, or removed)
+    return storeRecordingMetadata(cached, cached.modifiedAt || Date.now());
+}
+
+// Move metadata from a file with the old name to one with the new name. The new file is written
+// first, so the metadata isn't lost if this is interrupted.
+async function renameLegacySidecar(metadata, legacyPath) {
+    await writeSidecar(metadata);
+    await removeFile(legacyPath);
+}
+
+// Name of a separate audio track file, e.g. recording-123.mic.webm
+function getAudioTrackFilename(filename, trackId, mimeType) {
+    const extension = mimeType?.startsWith('audio/ogg') ? '.ogg' : '.webm';
+    return `${getBaseName(filename)}.${trackId}${extension}`;
+}
+
+// Save recording to folder and metadata to IndexedDB.
+// metadata.audioTracks ([{ id, blob, mimeType }]) are saved as companion files of the same recording,
+// and metadata.collection is the collection to save it in (the top of the folder by default).
 export async function saveRecording(blob, metadata) {
     if (!directoryHandle) {
         throw new Error('No directory selected');
     }
 
-    const filename = metadata.filename || `recording-${Date.now()}.webm`;
+    const name = metadata.filename || `recording-${Date.now()}.webm`;
+    const filename = joinPath(metadata.collection, name);
 
     // Write file to folder
-    const fileHandle = await directoryHandle.getFileHandle(filename, { create: true });
-    const writable = await fileHandle.createWritable();
-    await writable.write(blob);
-    await writable.close();
+    await writeFile(filename, blob);
+
+    const audioTracks = [];
+    for (const track of metadata.audioTracks || []) {
+        const trackFilename = getAudioTrackFilename(filename, track.id, track.mimeType || track.blob.type);
+        await writeFile(trackFilename, track.blob);
+        audioTracks.push({ id: track.id, filename: trackFilename, size: track.blob.size });
+    }
 
-    // Store metadata in IndexedDB
+    // Store metadata next to the recording and in IndexedDB
     const recordingData = {
         filename,
         duration: metadata.duration || 0,
         timestamp: metadata.timestamp || Date.now(),
-        title: metadata.title || filename,
-        size: blob.size
+        title: metadata.title || name,
+        description: metadata.description || '',
+        tags: metadata.tags || [],
+        size: blob.size,
+        kind: metadata.kind || getDefaultKind(filename),
+        audioTracks,
+        loudness: metadata.loudness || null, // { lufs, gain } with the gain applied to the file
+        series: metadata.series || null // { id, part } for recordings split into parts
     };
 
-    return new Promise((resolve, reject) => {
-        const transaction = db.transaction(RECORDINGS_STORE, 'readwrite');
-        const store = transaction.objectStore(RECORDINGS_STORE);
-        const request = store.put(recordingData);
+    return storeRecordingMetadata(recordingData);
+}
 
-        request.onerror = () => reject(request.error);
-        request.onsuccess = () => resolve(recordingData);
+// Get the MIME type for a recording file (null if it isn't one)
+function getMimeType(filename) {
+    const extension = filename.slice(filename.lastIndexOf('.')).toLowerCase();
+    return RECORDING_TYPES[extension] || null;
+}
+
+// Guess whether a recording has video when there's no metadata saying so
+function getDefaultKind(filename) {
+    return getMimeType(filename)?.startsWith('audio/') ? 'audio' : 'video';
+}
+
+// Whether a file without metadata has video, from a probe of the file (an audio-only WebM has
+// no picture), or from its extension if it couldn't be read
+function getProbedKind(filename, hasVideo) {
+    if (hasVideo === null) return getDefaultKind(filename);
+    return hasVideo ? 'video' : 'audio';
+}
+
+// Check if a file name looks like a recording (separate audio tracks belong to theirs)
+export function isRecordingFile(filename) {
+    return !!getMimeType(filename) && !AUDIO_TRACK_PATTERN.test(filename);
+}
+
+// Find the separate audio track files of each recording, keyed by the recording's name without extension
+function groupAudioTracks(fileEntries) {
+    const groups = new Map();
+    for (const entry of fileEntries) {
+        const match = entry.name.match(AUDIO_TRACK_PATTERN);
+        if (!match) continue;
+
+        const [, base, id] = match;
+        if (!groups.has(base)) groups.set(base, []);
+        groups.get(base).push({ id: id.toLowerCase(), filename: entry.name, entry });
+    }
+    return groups;
+}
+
+// Get the name of a recording without its extension
+function getBaseName(filename) {
+    return filename.slice(0, filename.lastIndexOf('.'));
+}
+
+// Get the folder holding in-progress recordings (null if it doesn't exist)
+async function getRecoveryDirectory(create = false) {
+    try {
+        return await directoryHandle.getDirectoryHandle(RECOVERY_DIR, { create });
+    } catch (err) {
+        if (err.name === 'NotFoundError') return null;
+        throw err;
+    }
+}
+
+// Part files are zero-padded so they sort in write order
+function getPartName(index) {
+    return `${index.toString().padStart(6, '0')}.part`;
+}
+
+// Read all committed part files of a session as a single file-backed blob
+async function readSessionBlob(sessionDir, type) {
+    const parts = [];
+    for await (const entry of sessionDir.values()) {
+        if (entry.kind === 'file' && entry.name.endsWith('.part')) {
+            parts.push(entry);
+        }
+    }
+    parts.sort((a, b) => a.name.localeCompare(b.name));
+
+    const files = [];
+    for (const part of parts) {
+        files.push(await part.getFile());
+    }
+    return new Blob(files, { type });
+}
+
+// Write chunks into numbered part files in a folder. Parts are committed every few chunks,
+// so an interrupted session loses at most the part that was still open.
+function createPartWriter(dir) {
+    let partIndex = 0;
+    let partChunks = 0;
+    let writable = null;
+    let queue = Promise.resolve();
+    let error = null;
+
+    const closePart = async () => {
+        if (writable) {
+            await writable.close();
+            writable = null;
+            partChunks = 0;
+        }
+    };
+
+    const writeChunk = async (chunk) => {
+        if (error) return; // Stop writing once the stream is broken
+        if (!writable) {
+            partIndex++;
+            const partHandle = await dir.getFileHandle(getPartName(partIndex), { create: true });
+            writable = await partHandle.createWritable();
+        }
+        await writable.write(chunk);
+        partChunks++;
+        if (partChunks >= CHUNKS_PER_PART) {
+            await closePart();
+        }
+    };
+
+    const enqueue = (task) => {
+        queue = queue.then(task).catch((err) => {
+            console.error('Error writing recording to disk:', err);
+            error = error || err;
+        });
+        return queue;
+    };
+
+    return {
+        // Append a chunk (writes are serialized in order)
+        write(chunk) {
+            return enqueue(() => writeChunk(chunk));
+        },
+
+        // Commit the last part and return everything written as a blob
+        async finalize(type) {
+            await enqueue(closePart);
+            if (error) throw error;
+            return readSessionBlob(dir, type);
+        },
+
+        // Stop writing, dropping the part that's open
+        async abort() {
+            await queue;
+            if (writable) {
+                await writable.abort().catch(() => {});
+                writable = null;
+            }
+        }
+    };
+}
+
+// Write a session's details file
+async function writeSessionFile(dir, details) {
+    const handle = await dir.getFileHandle(SESSION_FILE, { create: true });
+    const writable = await handle.createWritable();
+    await writable.write(JSON.stringify(details));
+    await writable.close();
+}
+
+// Create a crash-safe stream for a recording in progress.
+// Chunks go into numbered part files that are committed every few seconds,
+// so an interrupted session loses at most the part that was still open.
+// Separate audio tracks get their own stream in the same session (see createTrackStream).
+export async function createRecordingStream(metadata) {
+    if (!directoryHandle) {
+        throw new Error('No directory selected');
+    }
+
+    const { filename, timestamp = Date.now(), kind = 'video', series = null, collection = '' } = metadata;
+    const recoveryDir = await getRecoveryDirectory(true);
+    const sessionDir = await recoveryDir.getDirectoryHandle(filename, { create: true });
+    await writeSessionFile(sessionDir, { filename, timestamp, kind, series, collection });
+
+    const writer = createPartWriter(sessionDir);
+
+    return {
+        filename,
+        timestamp,
+        write: writer.write,
+        finalize: writer.finalize,
+
+        // Stream a separate audio track of this recording, so it's recovered along with it
+        async createTrackStream(trackId, mimeType) {
+            const trackDir = await sessionDir.getDirectoryHandle(trackId + TRACK_DIR_SUFFIX, { create: true });
+            await writeSessionFile(trackDir, { id: trackId, mimeType });
+            const trackWriter = createPartWriter(trackDir);
+
+            return {
+                write: trackWriter.write,
+                finalize: trackWriter.finalize,
+
+                // Remove the track's part files (the recording's discard() removes them too)
+                async discard() {
+                    await trackWriter.abort();
+                    await sessionDir.removeEntry(trackDir.name, { recursive: true }).catch(() => {});
+                }
+            };
+        },
+
+        // Remove the part files, the tracks' included (once the recording is saved or abandoned)
+        async discard() {
+            await writer.abort();
+            await recoveryDir.removeEntry(filename, { recursive: true });
+        }
+    };
+}
+
+// Read the separate audio tracks streamed into an interrupted session ([{ id, blob, mimeType }])
+async function readSessionTracks(sessionDir) {
+    const tracks = [];
+    for await (const entry of sessionDir.values()) {
+        if (entry.kind !== 'directory' || !entry.name.endsWith(TRACK_DIR_SUFFIX)) continue;
+
+        let details = { id: entry.name.slice(0, -TRACK_DIR_SUFFIX.length), mimeType: 'audio/webm' };
+        try {
+            const file = await (await entry.getFileHandle(SESSION_FILE)).getFile();
+            details = { ...details, ...JSON.parse(await file.text()) };
+        } catch {
+            // Fall back to the folder name
+        }
+
+        let blob = await readSessionBlob(entry, details.mimeType);
+        if (blob.size === 0) continue;
+        if (details.mimeType.startsWith('audio/webm')) {
+            try {
+                ({ blob } = await webm.fixWebm(blob));
+            } catch (err) {
+                console.warn(`Could not repair the recovered ${details.id} track:`, err);
+            }
+        }
+        tracks.push({ id: details.id, blob, mimeType: details.mimeType });
+    }
+    return tracks;
+}
+
+// Find recordings left behind by an interrupted session
+export async function getInterruptedRecordings() {
+    if (!directoryHandle) return [];
+
+    const recoveryDir = await getRecoveryDirectory();
+    if (!recoveryDir) return [];
+
+    const sessions = [];
+    for await (const entry of recoveryDir.values()) {
+        if (entry.kind !== 'directory') continue;
+
+        let session = { filename: entry.name, timestamp: 0 };
+        try {
+            const file = await (await entry.getFileHandle(SESSION_FILE)).getFile();
+            session = { ...session, ...JSON.parse(await file.text()) };
+        } catch {
+            // Fall back to the folder name
+        }
+
+        const blob = await readSessionBlob(entry);
+        sessions.push({ ...session, size: blob.size });
+    }
+
+    return sessions;
+}
+
+// Save an interrupted recording into the library and remove its parts
+export async function recoverRecording(session) {
+    const recoveryDir = await getRecoveryDirectory();
+    const sessionDir = await recoveryDir.getDirectoryHandle(session.filename);
+    const type = getMimeType(session.filename) || 'video/webm';
+    let blob = await readSessionBlob(sessionDir, type);
+    const kind = session.kind || getProbedKind(session.filename, (await probeMediaFile(blob)).hasVideo);
+    let duration = 0;
+
+    // Rebuild the WebM index (this also trims a block cut off mid-write).
+    // Fragmented MP4 is playable as-is.
+    if (type.endsWith('/webm')) {
+        try {
+            ({ blob, duration } = await webm.fixWebm(blob));
+        } catch (err) {
+            console.warn('Could not repair recovered recording:', err);
+        }
+    }
+
+    let recordingData = null;
+    if (blob.size > 0) {
+        recordingData = await saveRecording(blob, {
+            filename: session.filename,
+            timestamp: session.timestamp,
+            duration: Math.round(duration),
+            kind,
+            series: session.series,
+            collection: session.collection,
+            audioTracks: await readSessionTracks(sessionDir)
+        });
+    }
+
+    await recoveryDir.removeEntry(session.filename, { recursive: true });
+    return recordingData;
+}
+
+// Throw away an interrupted recording
+export async function discardInterruptedRecording(session) {
+    const recoveryDir = await getRecoveryDirectory();
+    await recoveryDir?.removeEntry(session.filename, { recursive: true });
+}
+
+// Repair an existing WebM recording in place (adds duration and seek index)
+export async function repairRecording(filename) {
+    if (!directoryHandle) {
+        throw new Error('No directory selected');
+    }
+
+    const fileHandle = await getFileHandle(filename);
+    const file = await fileHandle.getFile();
+    const { blob, duration } = await webm.fixWebm(file);
+
+    // The swap file is only committed on close, so reading from `file` while writing is safe
+    const writable = await fileHandle.createWritable();
+    await writable.write(blob);
+    await writable.close();
+
+    const existing = await getRecordingMetadata(filename);
+    return storeRecordingMetadata({
+        title: splitPath(filename).name,
+        ...existing,
+        filename,
+        timestamp: existing?.timestamp || file.lastModified,
+        duration: Math.round(duration) || existing?.duration || 0,
+        size: blob.size
     });
 }
 
-// Get video duration from file
-async function getVideoDuration(file) {
+// Characters that can't be used in file names on Windows or macOS
+const UNSAFE_FILENAME_PATTERN = /[\\/:*?"<>|\x00-\x1f]/g;
+const MAX_FILENAME_LENGTH = 100;
+
+// Turn a title into a file name with the given extension (null if nothing usable is left).
+// Dots are replaced if the name would otherwise look like an audio track.
+function getTitleFilename(title, extension) {
+    let base = title.replace(UNSAFE_FILENAME_PATTERN, '').replace(/\s+/g, ' ')
+        .slice(0, MAX_FILENAME_LENGTH).replace(/^[. ]+|[. ]+$/g, '');
+    if (!isRecordingFile(base + extension)) {
+        base = base.replace(/\./g, '-');
+    }
+    return base ? base + extension : null;
+}
+
+// Find a free name for a recording, numbering it if another recording (or its audio tracks or
+// metadata file) already uses the name
+function getFreeFilename(filename, takenNames) {
+    const base = getBaseName(filename);
+    const extension = filename.slice(base.length);
+    const isTaken = (name) => [...takenNames].some(taken => taken.toLowerCase().startsWith(getBaseName(name).toLowerCase() + '.'));
+
+    let candidate = filename;
+    for (let number = 2; isTaken(candidate); number++) {
+        candidate = `${base} (${number})${extension}`;
+    }
+    return candidate;
+}
+
+// Copy a file to a new path and check the copy before removing the original, so a failed
+// move never loses the recording. Returns the size of the copy.
+async function moveFile(path, newPath) {
+    // On case-insensitive file systems these are the same file, which would be removed
+    if (path.toLowerCase() === newPath.toLowerCase()) {
+        throw new Error(`Can't move ${path} onto itself`);
+    }
+
+    const file = await (await getFileHandle(path)).getFile();
+    try {
+        await writeFile(newPath, file);
+        const copy = await (await getFileHandle(newPath)).getFile();
+        if (copy.size !== file.size) {
+            throw new Error(`Copy of ${path} is incomplete`);
+        }
+    } catch (err) {
+        await removeFile(newPath).catch(() => {});
+        throw err;
+    }
+
+    await removeFile(path);
+    return file.size;
+}
+
+// Move a recording, its separate audio tracks and its metadata to a new path (a new name or
+// another collection). entries are the files in its folder.
+async function moveRecordingFiles(recordingData, newPath, entries) {
+    const { filename } = recordingData;
+    const { collection, name } = splitPath(filename);
+    const size = await moveFile(filename, newPath);
+
+    const tracks = groupAudioTracks(entries).get(getBaseName(name)) || [];
+    const audioTracks = [];
+    for (const track of tracks) {
+        const trackPath = getBaseName(newPath) + track.filename.slice(getBaseName(name).length);
+        try {
+            const trackSize = await moveFile(joinPath(collection, track.filename), trackPath);
+            audioTracks.push({ id: track.id, filename: trackPath, size: trackSize });
+        } catch (err) {
+            console.warn(`Could not move the audio track ${track.filename}:`, err);
+        }
+    }
+
+    // The new metadata goes in first, so the recording keeps its details if this is interrupted
+    const saved = await storeRecordingMetadata({ ...recordingData, filename: newPath, size, audioTracks });
+    const { entry: sidecarEntry } = findSidecarEntry(entries, filename);
+    if (await readSidecar(sidecarEntry, filename)) {
+        await removeFile(joinPath(collection, sidecarEntry.name)).catch(err => console.warn('Error removing metadata file:', err));
+    }
+    await deleteRecordingMetadata(filename);
+    return saved;
+}
+
+// Get a recording's metadata, filled in from the file where there's none
+async function getRecordingData(filename) {
+    const file = await (await getFileHandle(filename)).getFile();
+    const existing = await getRecordingMetadata(filename);
+    return {
+        title: splitPath(filename).name,
+        description: '',
+        tags: [],
+        duration: 0,
+        kind: getDefaultKind(filename),
+        ...existing,
+        filename,
+        timestamp: existing?.timestamp || file.lastModified,
+        size: file.size
+    };
+}
+
+// Names used in a folder, apart from the files of the recording `filename` (if given)
+function getTakenNames(entries, filename = null) {
+    const ownNames = new Set();
+    if (filename) {
+        const { name } = splitPath(filename);
+        ownNames.add(name);
+        ownNames.add(splitPath(getSidecarFilename(filename)).name);
+        ownNames.add(getLegacySidecarFilename(name));
+        for (const track of groupAudioTracks(entries).get(getBaseName(name)) || []) {
+            ownNames.add(track.filename);
+        }
+    }
+    return new Set(entries.map(entry => entry.name).filter(name => !ownNames.has(name)));
+}
+
+// Change a recording's title, description or tags. With renameFile, the file (and its audio
+// tracks and metadata file) is also renamed to match the title. Returns the updated metadata,
+// whose filename is the new name if it was renamed.
+export async function updateRecording(filename, changes, { renameFile = false } = {}) {
+    if (!directoryHandle) {
+        throw new Error('No directory selected');
+    }
+
+    const { collection, name } = splitPath(filename);
+    const recordingData = await getRecordingData(filename);
+
+    if (changes.title !== undefined) {
+        recordingData.title = changes.title.trim() || name;
+    }
+    if (changes.description !== undefined) {
+        recordingData.description = changes.description.trim();
+    }
+    if (changes.tags !== undefined) {
+        recordingData.tags = [...new Set(changes.tags.map(tag => tag.trim()).filter(Boolean))];
+    }
+
+    if (!renameFile || recordingData.title === name) {
+        return storeRecordingMetadata(recordingData);
+    }
+    const titleFilename = getTitleFilename(recordingData.title, name.slice(name.lastIndexOf('.')));
+    if (!titleFilename) {
+        throw new Error('The title has no characters that can be used in a file name');
+    }
+
+    const entries = await getFolderFiles(collection);
+    const newName = getFreeFilename(titleFilename, getTakenNames(entries, filename));
+    if (newName.toLowerCase() === name.toLowerCase()) {
+        return storeRecordingMetadata(recordingData);
+    }
+    return moveRecordingFiles(recordingData, joinPath(collection, newName), entries);
+}
+
+// Move a recording (with its audio tracks and metadata file) into a collection ('' for the top
+// of the folder), numbering its name if the collection already has one like it. Returns the
+// updated metadata.
+export async function moveRecording(filename, collection) {
+    if (!directoryHandle) {
+        throw new Error('No directory selected');
+    }
+
+    const { collection: current, name } = splitPath(filename);
+    const recordingData = await getRecordingData(filename);
+    if (current === collection) return recordingData;
+
+    const newName = getFreeFilename(name, getTakenNames(await getFolderFiles(collection)));
+    return moveRecordingFiles(recordingData, joinPath(collection, newName), await getFolderFiles(current));
+}
+
+// Check a collection name can be used as a folder name (returns it trimmed)
+function checkCollectionName(name) {
+    const trimmed = name.trim();
+    if (!trimmed || trimmed.replace(UNSAFE_FILENAME_PATTERN, '') !== trimmed || /^\.|\.$/.test(trimmed)) {
+        throw new Error(`"${name}" can't be used as a folder name`);
+    }
+    return trimmed;
+}
+
+// Throw if another collection has the name (ignoring case, as most file systems do)
+async function checkCollectionFree(name, except = null) {
+    const taken = (await getCollections()).filter(collection => collection !== except);
+    if (taken.some(collection => collection.toLowerCase() === name.toLowerCase())) {
+        throw new Error(`There's already a collection called "${name}"`);
+    }
+}
+
+// List the collections: the folders inside the chosen folder, apart from hidden ones (like the
+// folder of in-progress recordings)
+export async function getCollections() {
+    if (!directoryHandle) {
+        return [];
+    }
+
+    const names = [];
+    for await (const entry of directoryHandle.values()) {
+        if (entry.kind === 'directory' && !entry.name.startsWith('.')) {
+            names.push(entry.name);
+        }
+    }
+    return names.sort((a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' }));
+}
+
+// Create a collection (a new folder). Returns its name.
+export async function createCollection(name) {
+    if (!directoryHandle) {
+        throw new Error('No directory selected');
+    }
+
+    const collection = checkCollectionName(name);
+    await checkCollectionFree(collection);
+    await directoryHandle.getDirectoryHandle(collection, { create: true });
+    return collection;
+}
+
+// Rename a collection. Folders can't be renamed directly, so its files are moved to a new folder
+// one at a time (each copy checked before the original is removed) and the old folder removed.
+// Returns the new name.
+export async function renameCollection(name, newName) {
+    if (!directoryHandle) {
+        throw new Error('No directory selected');
+    }
+
+    const collection = checkCollectionName(newName);
+    if (collection === name) return name;
+    if (collection.toLowerCase() === name.toLowerCase()) {
+        throw new Error('A collection can\'t be renamed to only change the case of its letters');
+    }
+    await checkCollectionFree(collection, name);
+
+    const folder = await getFolder(name);
+    for await (const entry of folder.values()) {
+        if (entry.kind === 'directory') {
+            throw new Error(`"${name}" has folders in it, so it can't be renamed here`);
+        }
+    }
+
+    const files = await getFolderFiles(name);
+    await getFolder(collection, true);
+    for (const entry of files) {
+        await moveFile(joinPath(name, entry.name), joinPath(collection, entry.name));
+
+        // Metadata files name the recording without its collection, so only the cache changes
+        const cached = isRecordingFile(entry.name) ? await getRecordingMetadata(joinPath(name, entry.name)) : null;
+        if (cached) {
+            await putRecordingMetadata({ ...cached, filename: joinPath(collection, entry.name) });
+            await deleteRecordingMetadata(joinPath(name, entry.name));
+        }
+    }
+
+    await directoryHandle.removeEntry(name);
+    return collection;
+}
+
+// Delete a collection. Its recordings are moved to the top of the folder first, so none are lost,
+// and the folder is only removed if nothing else is left in it.
+export async function deleteCollection(name) {
+    if (!directoryHandle) {
+        throw new Error('No directory selected');
+    }
+
+    for (const entry of await getFolderFiles(name)) {
+        if (isRecordingFile(entry.name)) {
+            await moveRecording(joinPath(name, entry.name), '');
+        }
+    }
+
+    try {
+        await directoryHandle.removeEntry(name);
+    } catch (err) {
+        throw new Error(`The recordings were moved out, but "${name}" has other files in it, so the folder was kept`);
+    }
+}
+
+// Read a file's duration and whether it has a picture ({ duration, hasVideo }, with hasVideo
+// null if the file couldn't be read)
+async function probeMediaFile(file) {
     return new Promise((resolve) => {
         const video = document.createElement('video');
         video.preload = 'metadata';
@@ -162,7 +1099,7 @@ async function getVideoDuration(file) {
         // Timeout after 3 seconds
         const timeout = setTimeout(() => {
             cleanup();
-            resolve(0);
+            resolve({ duration: 0, hasVideo: null });
         }, 3000);
 
         video.onloadedmetadata = () => {
@@ -170,60 +1107,54 @@ async function getVideoDuration(file) {
             const dur = video.duration;
             // Handle Infinity, NaN, or invalid durations
             const duration = (isFinite(dur) && !isNaN(dur) && dur > 0) ? Math.round(dur) : 0;
+            const hasVideo = video.videoWidth > 0;
             cleanup();
-            resolve(duration);
+            resolve({ duration, hasVideo });
         };
 
         video.onerror = () => {
             clearTimeout(timeout);
             cleanup();
-            resolve(0);
+            resolve({ duration: 0, hasVideo: null });
         };
 
         video.src = url;
     });
 }
 
-// Get all recordings (from folder + metadata)
-export async function getRecordings() {
-    if (!directoryHandle) {
-        return [];
-    }
-
+// Get the recordings in one collection's folder (from its files + metadata)
+async function getFolderRecordings(collection, metadataMap) {
     // Get files from directory with file info
     const fileEntries = [];
-    try {
-        for await (const entry of directoryHandle.values()) {
-            if (entry.kind === 'file' && entry.name.endsWith('.webm')) {
-                fileEntries.push(entry);
-            }
+    const audioTrackEntries = [];
+    const sidecarEntries = [];
+    for (const entry of await getFolderFiles(collection)) {
+        if (isRecordingFile(entry.name)) {
+            fileEntries.push(entry);
+        } else if (AUDIO_TRACK_PATTERN.test(entry.name)) {
+            audioTrackEntries.push(entry);
+        } else if (entry.name.endsWith(SIDECAR_SUFFIX)) {
+            sidecarEntries.push(entry);
         }
-    } catch (err) {
-        console.error('Error reading directory:', err);
-        return [];
     }
+    const audioTrackGroups = groupAudioTracks(audioTrackEntries);
 
-    // Get metadata from IndexedDB
-    const metadataMap = await new Promise((resolve, reject) => {
-        const transaction = db.transaction(RECORDINGS_STORE, 'readonly');
-        const store = transaction.objectStore(RECORDINGS_STORE);
-        const request = store.getAll();
-
-        request.onerror = () => reject(request.error);
-        request.onsuccess = () => {
-            const map = new Map();
-            for (const item of request.result) {
-                map.set(item.filename, item);
-            }
-            resolve(map);
-        };
-    });
-
-    // Build recordings list with file metadata fallback
+    // Build recordings list from the metadata files (reconciled with the cache), falling back to the file itself
     const recordings = [];
     for (const entry of fileEntries) {
-        const filename = entry.name;
-        const dbMeta = metadataMap.get(filename);
+        const filename = joinPath(collection, entry.name);
+        const { entry: sidecarEntry, legacy } = findSidecarEntry(sidecarEntries, filename);
+        const sidecar = await readSidecar(sidecarEntry, filename);
+        let dbMeta = null;
+        try {
+            dbMeta = await reconcileMetadata(sidecar, metadataMap.get(filename));
+            if (sidecar && legacy) {
+                await renameLegacySidecar(dbMeta, joinPath(collection, sidecarEntry.name));
+            }
+        } catch (err) {
+            console.warn(`Could not reconcile the metadata of ${filename}:`, err);
+            dbMeta = sidecar || metadataMap.get(filename) || null;
+        }
 
         // Get actual file for size and timestamp
         const file = await entry.getFile();
@@ -233,31 +1164,89 @@ export async function getRecordings() {
         const size = file.size || dbMeta?.size || 0;
         const timestamp = dbMeta?.timestamp || file.lastModified || 0;
 
-        // If no duration in DB, try to extract from video
-        if (!duration && file.size > 0) {
-            duration = await getVideoDuration(file);
+        // If no duration or kind in DB, try to read them from the file
+        let kind = dbMeta?.kind || getDefaultKind(filename);
+        if ((!duration || !dbMeta?.kind) && file.size > 0) {
+            const probe = await probeMediaFile(file);
+            duration = duration || probe.duration;
+            kind = dbMeta?.kind || getProbedKind(filename, probe.hasVideo);
 
-            // Save extracted metadata back to DB for next time
+            // Save extracted metadata for next time (only in the cache for files Unloom has no metadata
+            // for, so copying videos into the folder doesn't create files next to them)
             if (duration > 0) {
                 try {
-                    const transaction = db.transaction(RECORDINGS_STORE, 'readwrite');
-                    const store = transaction.objectStore(RECORDINGS_STORE);
-                    store.put({ filename, duration, timestamp, title: filename, size });
+                    if (dbMeta && !dbMeta.cachedOnly) {
+                        await storeRecordingMetadata({ ...dbMeta, duration, kind });
+                    } else {
+                        await putRecordingMetadata({
+                            filename, timestamp, title: entry.name, size,
+                            ...dbMeta, duration, kind, cachedOnly: true
+                        });
+                    }
                 } catch (e) {
                     // Ignore save errors
                 }
             }
         }
 
+        // Separate audio tracks found next to the file (they may have been copied in without metadata)
+        const audioTracks = [];
+        for (const track of audioTrackGroups.get(getBaseName(entry.name)) || []) {
+            const trackFile = await track.entry.getFile();
+            audioTracks.push({ id: track.id, filename: joinPath(collection, track.filename), size: trackFile.size });
+        }
+
         recordings.push({
             filename,
             duration,
             timestamp,
-            title: dbMeta?.title || filename,
-            size
+            title: dbMeta?.title || entry.name,
+            description: dbMeta?.description || '',
+            tags: dbMeta?.tags || [],
+            size,
+            kind,
+            audioTracks,
+            loudness: dbMeta?.loudness || null,
+            series: dbMeta?.series || null,
+            collection
         });
     }
 
+    return recordings;
+}
+
+// Get all recordings, in the folder and its collections (from files + metadata)
+export async function getRecordings() {
+    if (!directoryHandle) {
+        return [];
+    }
+
+    // Get cached metadata from IndexedDB
+    const metadataMap = await getAllRecordingMetadata();
+
+    const recordings = [];
+    try {
+        for (const collection of ['', ...await getCollections()]) {
+            recordings.push(...await getFolderRecordings(collection, metadataMap));
+        }
+    } catch (err) {
+        console.error('Error reading directory:', err);
+        return [];
+    }
+
+    // Number the parts of each series by what's actually in the folder
+    const seriesParts = new Map();
+    for (const recording of recordings) {
+        if (recording.series) {
+            seriesParts.set(recording.series.id, (seriesParts.get(recording.series.id) || 0) + 1);
+        }
+    }
+    for (const recording of recordings) {
+        if (recording.series) {
+            recording.series = { ...recording.series, total: seriesParts.get(recording.series.id) };
+        }
+    }
+
     // Sort by timestamp descending (newest first)
     recordings.sort((a, b) => b.timestamp - a.timestamp);
 
@@ -270,22 +1259,38 @@ export async function deleteRecording(filename) {
         throw new Error('No directory selected');
     }
 
+    const { collection, name } = splitPath(filename);
+
     // Remove file from folder
     try {
-        await directoryHandle.removeEntry(filename);
+        await removeFile(filename);
     } catch (err) {
         console.error('Error removing file:', err);
     }
 
-    // Remove metadata from IndexedDB
-    return new Promise((resolve, reject) => {
-        const transaction = db.transaction(RECORDINGS_STORE, 'readwrite');
-        const store = transaction.objectStore(RECORDINGS_STORE);
-        const request = store.delete(filename);
+    // Remove its separate audio tracks (collected first so the folder isn't changed mid-listing)
+    const entries = await getFolderFiles(collection);
+    const tracks = groupAudioTracks(entries).get(getBaseName(name)) || [];
+    for (const track of tracks) {
+        try {
+            await removeFile(joinPath(collection, track.filename));
+        } catch (err) {
+            console.error('Error removing audio track:', err);
+        }
+    }
 
-        request.onerror = () => reject(request.error);
-        request.onsuccess = () => resolve();
-    });
+    // Remove its metadata file, unless it belongs to another recording with the same name
+    const { entry: sidecarEntry } = findSidecarEntry(entries, filename);
+    if (await readSidecar(sidecarEntry, filename)) {
+        try {
+            await removeFile(joinPath(collection, sidecarEntry.name));
+        } catch (err) {
+            console.error('Error removing metadata file:', err);
+        }
+    }
+
+    // Remove metadata from IndexedDB
+    return deleteRecordingMetadata(filename);
 }
 
 // Get recording blob for playback
@@ -294,11 +1299,37 @@ export async function getRecordingBlob(filename) {
         throw new Error('No directory selected');
     }
 
-    const fileHandle = await directoryHandle.getFileHandle(filename);
+    const fileHandle = await getFileHandle(filename);
     const file = await fileHandle.getFile();
     return file;
 }
 
+// List the images in the folder, by name
+export async function getImageNames() {
+    if (!directoryHandle) {
+        return [];
+    }
+
+    const names = [];
+    for await (const entry of directoryHandle.values()) {
+        const extension = entry.name.slice(entry.name.lastIndexOf('.')).toLowerCase();
+        if (entry.kind === 'file' && IMAGE_EXTENSIONS.includes(extension)) {
+            names.push(entry.name);
+        }
+    }
+    return names.sort((a, b) => a.localeCompare(b));
+}
+
+// Get an image from the folder
+export async function getImageFile(filename) {
+    if (!directoryHandle) {
+        throw new Error('No directory selected');
+    }
+
+    const fileHandle = await directoryHandle.getFileHandle(filename);
+    return fileHandle.getFile();
+}
+
 // Get current folder name for display
 export function getFolderName() {
     return directoryHandle ? directoryHandle.name : null;
@@ -0,0 +1,304 @@
+// WebCodecs recorder module - MP4 recording for browsers whose MediaRecorder can't write MP4
+//
+// createWebCodecsRecorder() returns an object with the parts of the MediaRecorder interface
+// the recorder module uses (start/pause/resume/stop, state, mimeType, ondataavailable,
+// onstop, onerror), backed by VideoEncoder/AudioEncoder and the fragmented MP4 muxer.
+
+import { createMp4Muxer } from './mp4-muxer.js';
+
+const VIDEO_CODECS = ['avc1.640033', 'avc1.640028', 'avc1.4d0028', 'avc1.42001f'];
+const AUDIO_CODECS = [
+    { codec: 'mp4a.40.2', container: 'aac', mime: 'mp4a.40.2' },
+    { codec: 'opus', container: 'opus', mime: 'opus' }
+];
+const KEYFRAME_INTERVAL_US = 2000000;
+const MAX_ENCODE_QUEUE = 10; // Drop frames instead of buffering if the encoder falls behind
+const MAX_HELD_FRAMES = 20; // Start anyway if one track gives nothing after this many frames of the other
+const DEFAULT_SAMPLE_RATE = 48000;
+const DEFAULT_CHANNELS = 2;
+
+// Check if this browser has everything the WebCodecs path needs
+export function isSupported() {
+    return !!(window.VideoEncoder && window.AudioEncoder && window.MediaStreamTrackProcessor);
+}
+
+// H.264 needs even dimensions
+function toEven(value) {
+    return Math.max(2, Math.floor(value / 2) * 2);
+}
+
+// Find the first video config the encoder accepts
+async function findVideoConfig(width, height, framerate, bitrate) {
+    for (const codec of VIDEO_CODECS) {
+        const config = { codec, width, height, framerate, bitrate, avc: { format: 'avc' } };
+        const { supported } = await VideoEncoder.isConfigSupported(config);
+        if (supported) return config;
+    }
+    return null;
+}
+
+// Find the first audio codec the encoder accepts
+async function findAudioCodec(bitrate) {
+    for (const option of AUDIO_CODECS) {
+        const config = {
+            codec: option.codec,
+            sampleRate: DEFAULT_SAMPLE_RATE,
+            numberOfChannels: DEFAULT_CHANNELS,
+            bitrate
+        };
+        const { supported } = await AudioEncoder.isConfigSupported(config);
+        if (supported) return option;
+    }
+    return null;
+}
+
+// Create a MediaRecorder-like recorder that writes fragmented MP4
+export async function createWebCodecsRecorder(stream, options = {}) {
+    const {
+        videoBitsPerSecond = 3000000,
+        audioBitsPerSecond = 128000
+    } = options;
+
+    const videoTrack = stream.getVideoTracks()[0] || null;
+    const audioTrack = stream.getAudioTracks()[0] || null;
+
+    let videoConfig = null;
+    if (videoTrack) {
+        const settings = videoTrack.getSettings();
+        videoConfig = await findVideoConfig(
+            toEven(settings.width || 1920),
+            toEven(settings.height || 1080),
+            settings.frameRate || 30,
+            videoBitsPerSecond
+        );
+        if (!videoConfig) {
+            throw new Error('No supported H.264 encoder configuration');
+        }
+    }
+
+    let audioCodec = null;
+    if (audioTrack) {
+        audioCodec = await findAudioCodec(audioBitsPerSecond);
+        if (!audioCodec) {
+            throw new Error('No supported AAC or Opus encoder');
+        }
+    }
+
+    const codecs = [videoConfig?.codec, audioCodec?.mime].filter(Boolean).join(',');
+
+    const recorder = {
+        state: 'inactive',
+        mimeType: `video/mp4;codecs=${codecs}`,
+        ondataavailable: null,
+        onstop: null,
+        onerror: null
+    };
+
+    let muxer = null;
+    let videoEncoder = null;
+    let audioEncoder = null;
+    const readers = [];
+
+    // Timeline: audio and video share one origin (the earliest first timestamp of either) so
+    // any start-up offset between them is kept, and paused time is cut out
+    const kinds = [videoTrack && 'video', audioTrack && 'audio'].filter(Boolean);
+    let firstTimestamp = { video: null, audio: null };
+    let origin = null;
+    let held = []; // [{ kind, item }] while waiting for the other kind's first timestamp
+    let pausedAt = null;
+    let pausedOffset = 0; // µs
+    let lastTimestamp = { video: -1, audio: -1 };
+    let lastKeyframe = -Infinity;
+
+    const fail = (err) => {
+        console.error('WebCodecs recorder error:', err);
+        recorder.onerror?.({ error: err });
+    };
+
+    // Map a capture timestamp onto the output timeline (null if it should be dropped)
+    const mapTimestamp = (kind, timestamp) => {
+        if (recorder.state !== 'recording') return null;
+        const mapped = timestamp - origin - pausedOffset;
+        if (mapped <= lastTimestamp[kind]) return null;
+        lastTimestamp[kind] = mapped;
+        return mapped;
+    };
+
+    const handleVideoFrame = (frame) => {
+        const timestamp = mapTimestamp('video', frame.timestamp);
+        if (timestamp === null || videoEncoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+            frame.close();
+            return;
+        }
+
+        const keyFrame = timestamp - lastKeyframe >= KEYFRAME_INTERVAL_US;
+        if (keyFrame) lastKeyframe = timestamp;
+
+        const output = new VideoFrame(frame, { timestamp });
+        frame.close();
+        videoEncoder.encode(output, { keyFrame });
+        output.close();
+    };
+
+    const handleAudioData = (data) => {
+        const timestamp = mapTimestamp('audio', data.timestamp);
+        if (timestamp === null) {
+            data.close();
+            return;
+        }
+
+        // The encoder is configured from the first real data so the format always matches
+        if (audioEncoder.state === 'unconfigured') {
+            audioEncoder.configure({
+                codec: audioCodec.codec,
+                sampleRate: data.sampleRate,
+                numberOfChannels: data.numberOfChannels,
+                bitrate: audioBitsPerSecond
+            });
+        }
+
+        const samples = new Float32Array(data.numberOfFrames * data.numberOfChannels);
+        data.copyTo(samples, { planeIndex: 0, format: 'f32' });
+        const output = new AudioData({
+            format: 'f32',
+            sampleRate: data.sampleRate,
+            numberOfFrames: data.numberOfFrames,
+            numberOfChannels: data.numberOfChannels,
+            timestamp,
+            data: samples
+        });
+        data.close();
+        audioEncoder.encode(output);
+        output.close();
+    };
+
+    const handlers = { video: handleVideoFrame, audio: handleAudioData };
+
+    // Hold the first frames until both kinds have started, so the shared origin is known
+    const receive = (kind, item) => {
+        if (recorder.state !== 'recording') {
+            item.close();
+            return;
+        }
+        if (firstTimestamp[kind] === null) {
+            firstTimestamp[kind] = item.timestamp;
+        }
+        if (origin === null) {
+            const started = kinds.filter(k => firstTimestamp[k] !== null);
+            if (started.length < kinds.length && held.length < MAX_HELD_FRAMES) {
+                held.push({ kind, item });
+                return;
+            }
+            origin = Math.min(...started.map(k => firstTimestamp[k]));
+            const waiting = held;
+            held = [];
+            for (const entry of waiting) handlers[entry.kind](entry.item);
+        }
+        handlers[kind](item);
+    };
+
+    // Read frames from a track until it ends or the reader is cancelled
+    const pump = async (track, kind) => {
+        const processor = new MediaStreamTrackProcessor({ track });
+        const reader = processor.readable.getReader();
+        readers.push(reader);
+
+        try {
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                receive(kind, value);
+            }
+        } catch (err) {
+            if (recorder.state !== 'inactive') fail(err);
+        }
+    };
+
+    // Start encoding (the timeslice is ignored: data is emitted per fragment)
+    recorder.start = () => {
+        if (recorder.state !== 'inactive') return;
+
+        let sampleRate = DEFAULT_SAMPLE_RATE;
+        let numberOfChannels = DEFAULT_CHANNELS;
+        if (audioTrack) {
+            const settings = audioTrack.getSettings();
+            sampleRate = settings.sampleRate || sampleRate;
+            numberOfChannels = settings.channelCount || numberOfChannels;
+        }
+
+        muxer = createMp4Muxer({
+            video: videoConfig && { codec: videoConfig.codec, width: videoConfig.width, height: videoConfig.height },
+            audio: audioCodec && { codec: audioCodec.container, sampleRate, numberOfChannels, bitrate: audioBitsPerSecond },
+            onData: (bytes) => recorder.ondataavailable?.({ data: new Blob([bytes], { type: 'video/mp4' }) })
+        });
+
+        if (videoConfig) {
+            videoEncoder = new VideoEncoder({
+                output: (chunk, metadata) => muxer.addVideoChunk(chunk, metadata),
+                error: fail
+            });
+            videoEncoder.configure(videoConfig);
+        }
+
+        if (audioCodec) {
+            audioEncoder = new AudioEncoder({
+                output: (chunk, metadata) => muxer.addAudioChunk(chunk, metadata),
+                error: fail
+            });
+        }
+
+        recorder.state = 'recording';
+
+        if (videoTrack) pump(videoTrack, 'video');
+        if (audioTrack) pump(audioTrack, 'audio');
+    };
+
+    recorder.pause = () => {
+        if (recorder.state !== 'recording') return;
+        recorder.state = 'paused';
+        pausedAt = performance.now();
+    };
+
+    recorder.resume = () => {
+        if (recorder.state !== 'paused') return;
+        pausedOffset += (performance.now() - pausedAt) * 1000;
+        pausedAt = null;
+        recorder.state = 'recording';
+    };
+
+    // Flush the encoders, write the last fragment and fire onstop
+    recorder.stop = async () => {
+        if (recorder.state === 'inactive') return;
+        recorder.state = 'inactive';
+
+        for (const reader of readers) {
+            reader.cancel().catch(() => {});
+        }
+        for (const { item } of held) {
+            item.close();
+        }
+        held = [];
+
+        try {
+            if (videoEncoder?.state === 'configured') await videoEncoder.flush();
+            if (audioEncoder?.state === 'configured') await audioEncoder.flush();
+            muxer.finish();
+        } catch (err) {
+            fail(err);
+        } finally {
+            for (const encoder of [videoEncoder, audioEncoder]) {
+                if (encoder && encoder.state !== 'closed') encoder.close();
+            }
+        }
+
+        recorder.onstop?.();
+    };
+
+    // Replace the header written at the start with one that has the final duration
+    recorder.finalizeBlob = (blob) => {
+        const initSegment = muxer.createInitSegment(muxer.getDuration());
+        return new Blob([initSegment, blob.slice(initSegment.length)], { type: blob.type });
+    };
+
+    return recorder;
+}
@@ -0,0 +1,828 @@
+// WebM module - post-processes MediaRecorder output so files have a duration and can be seeked
+//
+// MediaRecorder writes a live WebM stream: the Segment and Clusters have unknown sizes,
+// Info has no Duration and there is no Cues index. fixWebm() rebuilds the file with a
+// SeekHead, a Duration, known-size Clusters and Cues. Cluster payloads are copied as
+// blob slices, so large recordings are never loaded into memory.
+//
+// transformAudio() re-encodes the audio track (used for loudness normalisation) and copies
+// the video blocks as they are.
+//
+// createClusterScanner() follows a live stream chunk by chunk and reports where each
+// Cluster starts, so a stream can be cut at a keyframe (used by the replay buffer).
+
+// EBML element IDs (including their length marker bits)
+const ID = {
+    EBML: 0x1A45DFA3,
+    SEGMENT: 0x18538067,
+    SEEK_HEAD: 0x114D9B74,
+    SEEK: 0x4DBB,
+    SEEK_ID: 0x53AB,
+    SEEK_POSITION: 0x53AC,
+    INFO: 0x1549A966,
+    TIMECODE_SCALE: 0x2AD7B1,
+    DURATION: 0x4489,
+    TRACKS: 0x1654AE6B,
+    TRACK_ENTRY: 0xAE,
+    TRACK_NUMBER: 0xD7,
+    TRACK_TYPE: 0x83,
+    CODEC_ID: 0x86,
+    CODEC_PRIVATE: 0x63A2,
+    AUDIO: 0xE1,
+    SAMPLING_FREQUENCY: 0xB5,
+    CHANNELS: 0x9F,
+    CLUSTER: 0x1F43B675,
+    TIMECODE: 0xE7,
+    SIMPLE_BLOCK: 0xA3,
+    BLOCK_GROUP: 0xA0,
+    BLOCK: 0xA1,
+    REFERENCE_BLOCK: 0xFB,
+    CUES: 0x1C53BB6B,
+    CUE_POINT: 0xBB,
+    CUE_TIME: 0xB3,
+    CUE_TRACK_POSITIONS: 0xB7,
+    CUE_TRACK: 0xF7,
+    CUE_CLUSTER_POSITION: 0xF1,
+    VOID: 0xEC
+};
+
+// Elements that may appear inside a Cluster (used to find the end of unknown-size clusters)
+const CLUSTER_CHILDREN = new Set([
+    ID.TIMECODE, ID.SIMPLE_BLOCK, ID.BLOCK_GROUP,
+    0xA7, // Position
+    0xAB, // PrevSize
+    0xAF, // EncryptedBlock
+    0x5854 // SilentTracks
+]);
+
+// Top-level elements we regenerate rather than copy
+const REGENERATED = new Set([ID.SEEK_HEAD, ID.CUES, ID.VOID]);
+
+const TRACK_TYPE_VIDEO = 1;
+const TRACK_TYPE_AUDIO = 2;
+const AUDIO_CODECS = { A_OPUS: 'opus' }; // WebM codec ID -> WebCodecs codec
+const BLOCK_LACING = 0x06; // Lacing bits of the block flags
+const DEFAULT_TIMECODE_SCALE = 1000000; // 1ms
+const READ_WINDOW = 1024 * 1024;
+
+// Buffered random-access reader over a blob
+function createReader(blob) {
+    let bufferStart = 0;
+    let buffer = new Uint8Array(0);
+
+    return {
+        size: blob.size,
+
+        // Read up to `length` bytes at `pos` (fewer at end of file)
+        async bytes(pos, length) {
+            const end = Math.min(pos + length, blob.size);
+            if (pos < bufferStart || end > bufferStart + buffer.length) {
+                const windowEnd = Math.min(blob.size, pos + Math.max(length, READ_WINDOW));
+                buffer = new Uint8Array(await blob.slice(pos, windowEnd).arrayBuffer());
+                bufferStart = pos;
+            }
+            return buffer.subarray(pos - bufferStart, end - bufferStart);
+        }
+    };
+}
+
+// Number of bytes in a variable-length integer, from its first byte
+function vintLength(firstByte) {
+    for (let length = 1; length <= 8; length++) {
+        if (firstByte & (0x80 >> (length - 1))) return length;
+    }
+    return 0;
+}
+
+// Read an element header at `pos` (null if invalid or truncated)
+async function readElementHeader(reader, pos) {
+    const bytes = await reader.bytes(pos, 12);
+    if (bytes.length < 2) return null;
+
+    const idLength = vintLength(bytes[0]);
+    if (!idLength || idLength > 4 || bytes.length < idLength + 1) return null;
+
+    let id = 0;
+    for (let i = 0; i < idLength; i++) {
+        id = id * 256 + bytes[i];
+    }
+
+    const sizeLength = vintLength(bytes[idLength]);
+    if (!sizeLength || bytes.length < idLength + sizeLength) return null;
+
+    // Size is unknown when all of its value bits are set
+    const marker = 0x80 >> (sizeLength - 1);
+    let size = bytes[idLength] & (marker - 1);
+    let unknown = size === marker - 1;
+    for (let i = 1; i < sizeLength; i++) {
+        const byte = bytes[idLength + i];
+        size = size * 256 + byte;
+        unknown = unknown && byte === 0xFF;
+    }
+
+    const dataStart = pos + idLength + sizeLength;
+    return {
+        id,
+        start: pos,
+        dataStart,
+        size: unknown ? null : size,
+        end: unknown ? null : dataStart + size
+    };
+}
+
+// Read an unsigned integer from element data
+function readUint(bytes) {
+    let value = 0;
+    for (const byte of bytes) {
+        value = value * 256 + byte;
+    }
+    return value;
+}
+
+// Read the track number, timecode and flags from a (Simple)Block. `headerLength` is where
+// the frame data starts.
+async function readBlockHeader(reader, pos) {
+    const bytes = await reader.bytes(pos, 12);
+    const trackLength = vintLength(bytes[0]);
+    if (!trackLength || bytes.length < trackLength + 3) return null;
+
+    let track = bytes[0] & ((0x80 >> (trackLength - 1)) - 1);
+    for (let i = 1; i < trackLength; i++) {
+        track = track * 256 + bytes[i];
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset + trackLength, 3);
+    return {
+        track,
+        timecode: view.getInt16(0),
+        keyframe: (view.getUint8(2) & 0x80) !== 0,
+        laced: (view.getUint8(2) & BLOCK_LACING) !== 0,
+        headerLength: trackLength + 3
+    };
+}
+
+// Read the Block inside a BlockGroup (a block is a keyframe if it references nothing)
+async function readBlockGroup(reader, element) {
+    let block = null;
+    let hasReference = false;
+
+    let pos = element.dataStart;
+    while (pos < element.end) {
+        const child = await readElementHeader(reader, pos);
+        if (!child || child.end === null) break;
+
+        if (child.id === ID.BLOCK) {
+            block = await readBlockHeader(reader, child.dataStart);
+        } else if (child.id === ID.REFERENCE_BLOCK) {
+            hasReference = true;
+        }
+        pos = child.end;
+    }
+
+    return block && { ...block, keyframe: !hasReference, group: true };
+}
+
+// Parse Info for its timecode scale
+async function parseInfo(reader, element) {
+    let timecodeScale = DEFAULT_TIMECODE_SCALE;
+
+    let pos = element.dataStart;
+    while (pos < element.end) {
+        const child = await readElementHeader(reader, pos);
+        if (!child || child.end === null) break;
+
+        if (child.id === ID.TIMECODE_SCALE) {
+            timecodeScale = readUint(await reader.bytes(child.dataStart, child.size)) || DEFAULT_TIMECODE_SCALE;
+        }
+        pos = child.end;
+    }
+
+    return { timecodeScale };
+}
+
+// Read a float element's data (4 or 8 bytes)
+function readFloat(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+    if (bytes.length === 4) return view.getFloat32(0);
+    if (bytes.length === 8) return view.getFloat64(0);
+    return 0;
+}
+
+// Parse a track's Audio element for its sample rate and channel count
+async function parseAudio(reader, element, track) {
+    let pos = element.dataStart;
+    while (pos < element.end) {
+        const child = await readElementHeader(reader, pos);
+        if (!child || child.end === null) break;
+
+        if (child.id === ID.SAMPLING_FREQUENCY) {
+            track.sampleRate = readFloat(await reader.bytes(child.dataStart, child.size));
+        } else if (child.id === ID.CHANNELS) {
+            track.channels = readUint(await reader.bytes(child.dataStart, child.size));
+        }
+        pos = child.end;
+    }
+}
+
+// Parse Tracks for track numbers and types, and the codec of audio tracks
+async function parseTracks(reader, element) {
+    const tracks = [];
+
+    let pos = element.dataStart;
+    while (pos < element.end) {
+        const entry = await readElementHeader(reader, pos);
+        if (!entry || entry.end === null) break;
+
+        if (entry.id === ID.TRACK_ENTRY) {
+            const track = { number: 0, type: 0, codecId: '', codecPrivate: null, sampleRate: 0, channels: 0 };
+            let childPos = entry.dataStart;
+            while (childPos < entry.end) {
+                const child = await readElementHeader(reader, childPos);
+                if (!child || child.end === null) break;
+
+                if (child.id === ID.TRACK_NUMBER) {
+                    track.number = readUint(await reader.bytes(child.dataStart, child.size));
+                } else if (child.id === ID.TRACK_TYPE) {
+                    track.type = readUint(await reader.bytes(child.dataStart, child.size));
+                } else if (child.id === ID.CODEC_ID) {
+                    track.codecId = new TextDecoder().decode(await reader.bytes(child.dataStart, child.size)).replace(/\0+$/, '');
+                } else if (child.id === ID.CODEC_PRIVATE) {
+                    track.codecPrivate = (await reader.bytes(child.dataStart, child.size)).slice();
+                } else if (child.id === ID.AUDIO) {
+                    await parseAudio(reader, child, track);
+                }
+                childPos = child.end;
+            }
+            tracks.push(track);
+        }
+        pos = entry.end;
+    }
+
+    return tracks;
+}
+
+// Parse a Cluster, stopping at the last complete child if the file is truncated
+async function parseCluster(reader, element) {
+    const limit = element.end === null ? reader.size : Math.min(element.end, reader.size);
+    const cluster = {
+        dataStart: element.dataStart,
+        end: element.dataStart,
+        timecode: 0,
+        timecodeElement: null, // { start, end } so the timecode can be rewritten
+        blocks: []
+    };
+
+    let pos = element.dataStart;
+    while (pos < limit) {
+        const child = await readElementHeader(reader, pos);
+        if (!child) break;
+
+        // An unknown-size cluster ends where the next top-level element starts
+        if (element.end === null && !CLUSTER_CHILDREN.has(child.id)) break;
+        if (child.end === null || child.end > reader.size) break;
+
+        if (child.id === ID.TIMECODE) {
+            cluster.timecode = readUint(await reader.bytes(child.dataStart, child.size));
+            cluster.timecodeElement = { start: child.start, end: child.end };
+        } else if (child.id === ID.SIMPLE_BLOCK || child.id === ID.BLOCK_GROUP) {
+            const block = child.id === ID.SIMPLE_BLOCK
+                ? await readBlockHeader(reader, child.dataStart)
+                : await readBlockGroup(reader, child);
+            if (block) cluster.blocks.push({ ...block, start: child.start, dataStart: child.dataStart, end: child.end });
+        }
+
+        pos = child.end;
+        cluster.end = pos;
+    }
+
+    return cluster;
+}
+
+// Walk the file and collect everything needed to rebuild it
+async function parseWebm(blob) {
+    const reader = createReader(blob);
+
+    const ebml = await readElementHeader(reader, 0);
+    if (!ebml || ebml.id !== ID.EBML || ebml.end === null) {
+        throw new Error('Not a WebM file');
+    }
+
+    const segment = await readElementHeader(reader, ebml.end);
+    if (!segment || segment.id !== ID.SEGMENT) {
+        throw new Error('WebM file has no segment');
+    }
+
+    const segmentEnd = segment.end === null ? reader.size : Math.min(segment.end, reader.size);
+    const result = {
+        ebmlEnd: ebml.end,
+        info: null,
+        timecodeScale: DEFAULT_TIMECODE_SCALE,
+        tracks: null,
+        trackList: [],
+        others: [],
+        clusters: []
+    };
+
+    let pos = segment.dataStart;
+    while (pos < segmentEnd) {
+        const element = await readElementHeader(reader, pos);
+        if (!element) break;
+
+        if (element.id === ID.CLUSTER) {
+            const cluster = await parseCluster(reader, element);
+            if (cluster.end === cluster.dataStart) break; // Nothing readable left
+            if (cluster.blocks.length > 0) {
+                result.clusters.push(cluster);
+            }
+            pos = element.end === null ? cluster.end : element.end;
+            continue;
+        }
+
+        // Anything else must have a known size and be complete
+        if (element.end === null || element.end > reader.size) break;
+
+        if (element.id === ID.INFO) {
+            result.info = element;
+            ({ timecodeScale: result.timecodeScale } = await parseInfo(reader, element));
+        } else if (element.id === ID.TRACKS) {
+            result.tracks = element;
+            result.trackList = await parseTracks(reader, element);
+        } else if (!REGENERATED.has(element.id)) {
+            result.others.push(element);
+        }
+
+        pos = element.end;
+    }
+
+    if (!result.info || !result.tracks) {
+        throw new Error('WebM file is missing Info or Tracks');
+    }
+
+    return result;
+}
+
+// Encode an element ID
+function encodeId(id) {
+    const length = id >= 0x1000000 ? 4 : id >= 0x10000 ? 3 : id >= 0x100 ? 2 : 1;
+    return encodeNumber(id, length);
+}
+
+// Encode a number as big-endian bytes
+function encodeNumber(value, length) {
+    const bytes = new Uint8Array(length);
+    for (let i = length - 1; i >= 0; i--) {
+        bytes[i] = value % 256;
+        value = Math.floor(value / 256);
+    }
+    return bytes;
+}
+
+// Encode an element size as a variable-length integer
+function encodeSize(size, length = 0) {
+    if (!length) {
+        length = 1;
+        while (size >= 2 ** (7 * length) - 1) length++;
+    }
+    const bytes = encodeNumber(size, length);
+    bytes[0] |= 0x80 >> (length - 1);
+    return bytes;
+}
+
+// Minimal bytes needed for an unsigned integer
+function uintBytes(value, length = 0) {
+    if (!length) {
+        length = 1;
+        while (value >= 2 ** (8 * length)) length++;
+    }
+    return encodeNumber(value, length);
+}
+
+// Concatenate byte arrays
+function concatBytes(...arrays) {
+    const total = arrays.reduce((sum, array) => sum + array.length, 0);
+    const result = new Uint8Array(total);
+    let offset = 0;
+    for (const array of arrays) {
+        result.set(array, offset);
+        offset += array.length;
+    }
+    return result;
+}
+
+// Build an element from its ID and data
+function element(id, data) {
+    return concatBytes(encodeId(id), encodeSize(data.length), data);
+}
+
+// Build an unsigned integer element
+function uintElement(id, value, length = 0) {
+    return element(id, uintBytes(value, length));
+}
+
+// Build a float64 element
+function floatElement(id, value) {
+    const data = new Uint8Array(8);
+    new DataView(data.buffer).setFloat64(0, value);
+    return element(id, data);
+}
+
+// Rebuild Info with the given duration (replacing any existing one)
+async function buildInfo(blob, info, duration) {
+    const reader = createReader(blob);
+    const children = [];
+
+    let pos = info.dataStart;
+    while (pos < info.end) {
+        const child = await readElementHeader(reader, pos);
+        if (!child || child.end === null) break;
+
+        if (child.id !== ID.DURATION && child.id !== ID.VOID) {
+            children.push(new Uint8Array(await blob.slice(child.start, child.end).arrayBuffer()));
+        }
+        pos = child.end;
+    }
+
+    children.push(floatElement(ID.DURATION, duration));
+    return element(ID.INFO, concatBytes(...children));
+}
+
+// Build a SeekHead pointing at the given elements (positions use 8 bytes so the size is fixed)
+function buildSeekHead(entries) {
+    const seeks = entries.map(({ id, position }) => element(ID.SEEK, concatBytes(
+        element(ID.SEEK_ID, encodeId(id)),
+        uintElement(ID.SEEK_POSITION, position, 8)
+    )));
+    return element(ID.SEEK_HEAD, concatBytes(...seeks));
+}
+
+// Build a Cues index with one cue per cluster that starts a seekable point
+function buildCues(cuePoints, cueTrack) {
+    const points = cuePoints.map(({ time, position }) => element(ID.CUE_POINT, concatBytes(
+        uintElement(ID.CUE_TIME, time),
+        element(ID.CUE_TRACK_POSITIONS, concatBytes(
+            uintElement(ID.CUE_TRACK, cueTrack),
+            uintElement(ID.CUE_CLUSTER_POSITION, position)
+        ))
+    )));
+    return element(ID.CUES, concatBytes(...points));
+}
+
+// Work out the duration (in timecode units) from the last blocks of each track
+function computeDuration(clusters) {
+    const lastTimes = new Map(); // track -> [previous, last]
+
+    for (const cluster of clusters) {
+        for (const block of cluster.blocks) {
+            const time = cluster.timecode + block.timecode;
+            const [, last = time] = lastTimes.get(block.track) || [];
+            if (time >= last) {
+                lastTimes.set(block.track, [last, time]);
+            }
+        }
+    }
+
+    // Add one frame interval so the final frame is included
+    let duration = 0;
+    for (const [previous, last] of lastTimes.values()) {
+        duration = Math.max(duration, last + (last - previous));
+    }
+    return duration;
+}
+
+// Fix a MediaRecorder WebM blob. Returns { blob, duration } with duration in seconds.
+// Timecodes are rebased so the file starts at zero (a stream cut from the middle keeps its original ones).
+export async function fixWebm(blob) {
+    const parsed = await parseWebm(blob);
+    const { clusters, trackList, timecodeScale } = parsed;
+
+    if (clusters.length === 0) {
+        throw new Error('WebM file has no media');
+    }
+
+    const offset = clusters[0].timecode;
+    for (const cluster of clusters) {
+        cluster.timecode -= offset;
+    }
+
+    // Cue on video keyframes if there is video, otherwise on every cluster of the first track
+    const videoTrack = trackList.find(t => t.type === TRACK_TYPE_VIDEO);
+    const cueTrack = videoTrack ? videoTrack.number : (trackList[0]?.number || clusters[0].blocks[0].track);
+    const cueBlocks = clusters.map(cluster => cluster.blocks.find(b => b.track === cueTrack && b.keyframe));
+
+    // Cues must hold at least one CuePoint, so without a keyframe to cue on they're left out
+    const hasCues = cueBlocks.some(Boolean);
+
+    const duration = computeDuration(clusters);
+    const info = await buildInfo(blob, parsed.info, duration);
+
+    const tracksSize = parsed.tracks.end - parsed.tracks.start;
+    const othersSize = parsed.others.reduce((sum, el) => sum + (el.end - el.start), 0);
+
+    // Lay out segment data: SeekHead, Info, Tracks, others, Clusters, Cues
+    const placeholderSeekHead = buildSeekHead([
+        { id: ID.INFO, position: 0 },
+        { id: ID.TRACKS, position: 0 },
+        ...(hasCues ? [{ id: ID.CUES, position: 0 }] : [])
+    ]);
+    const infoPosition = placeholderSeekHead.length;
+    const tracksPosition = infoPosition + info.length;
+    let position = tracksPosition + tracksSize + othersSize;
+
+    const clusterParts = [];
+    const cuePoints = [];
+    const clusterId = encodeId(ID.CLUSTER);
+
+    for (const [i, cluster] of clusters.entries()) {
+        // Copy the payload, with a new Timecode if it had to be rebased
+        const tc = cluster.timecodeElement;
+        const payload = offset && tc
+            ? [blob.slice(cluster.dataStart, tc.start), uintElement(ID.TIMECODE, cluster.timecode), blob.slice(tc.end, cluster.end)]
+            : [blob.slice(cluster.dataStart, cluster.end)];
+        const dataSize = payload.reduce((sum, part) => sum + (part.size ?? part.length), 0);
+        const header = concatBytes(clusterId, encodeSize(dataSize, 8));
+
+        const cueBlock = cueBlocks[i];
+        if (cueBlock) {
+            cuePoints.push({ time: Math.max(0, cluster.timecode + cueBlock.timecode), position });
+        }
+
+        clusterParts.push(header, ...payload);
+        position += header.length + dataSize;
+    }
+
+    const cues = hasCues ? buildCues(cuePoints, cueTrack) : new Uint8Array(0);
+    const seekHead = buildSeekHead([
+        { id: ID.INFO, position: infoPosition },
+        { id: ID.TRACKS, position: tracksPosition },
+        ...(hasCues ? [{ id: ID.CUES, position }] : [])
+    ]);
+
+    const segmentSize = position + cues.length;
+    const segmentHeader = concatBytes(encodeId(ID.SEGMENT), encodeSize(segmentSize, 8));
+
+    const fixed = new Blob([
+        blob.slice(0, parsed.ebmlEnd),
+        segmentHeader,
+        seekHead,
+        info,
+        blob.slice(parsed.tracks.start, parsed.tracks.end),
+        ...parsed.others.map(el => blob.slice(el.start, el.end)),
+        ...clusterParts,
+        cues
+    ], { type: blob.type || 'video/webm' });
+
+    return {
+        blob: fixed,
+        duration: (duration * timecodeScale) / 1e9
+    };
+}
+
+// Build a SimpleBlock for one audio frame (a keyframe, without lacing)
+function buildAudioBlock(trackNumber, timecode, data) {
+    const header = new Uint8Array(3);
+    const view = new DataView(header.buffer);
+    view.setInt16(0, timecode);
+    view.setUint8(2, 0x80);
+    return element(ID.SIMPLE_BLOCK, concatBytes(encodeSize(trackNumber), header, data));
+}
+
+// Re-encode the audio track of a WebM file. `transform(track)` gets { codec, description,
+// sampleRate, numberOfChannels, packets }, with packets as { timestamp, data } (timestamps in µs),
+// and resolves to the new packets. Each new packet goes in the cluster its time falls in,
+// between the copied video blocks. The result has no Cues or Duration, so it still needs fixWebm().
+export async function transformAudio(blob, transform) {
+    const parsed = await parseWebm(blob);
+    const { clusters, timecodeScale } = parsed;
+
+    const audioTrack = parsed.trackList.find(t => t.type === TRACK_TYPE_AUDIO);
+    const codec = AUDIO_CODECS[audioTrack?.codecId];
+    if (!codec) {
+        throw new Error('WebM file has no Opus audio track');
+    }
+
+    const reader = createReader(blob);
+    const packets = [];
+    for (const cluster of clusters) {
+        for (const block of cluster.blocks) {
+            if (block.track !== audioTrack.number) continue;
+            if (block.group || block.laced) {
+                throw new Error('WebM audio is in block groups or laced, which is not supported');
+            }
+
+            const dataStart = block.dataStart + block.headerLength;
+            packets.push({
+                timestamp: Math.round(((cluster.timecode + block.timecode) * timecodeScale) / 1000),
+                data: (await reader.bytes(dataStart, block.end - dataStart)).slice()
+            });
+        }
+    }
+
+    const encoded = await transform({
+        codec,
+        description: audioTrack.codecPrivate,
+        sampleRate: audioTrack.sampleRate,
+        numberOfChannels: audioTrack.channels,
+        packets
+    });
+
+    const clusterParts = [];
+    const clusterId = encodeId(ID.CLUSTER);
+    let segmentSize = [parsed.info, parsed.tracks, ...parsed.others].reduce((sum, el) => sum + (el.end - el.start), 0);
+    let next = 0;
+
+    for (let i = 0; i < clusters.length; i++) {
+        const cluster = clusters[i];
+        const last = i === clusters.length - 1;
+        const blocks = cluster.blocks
+            .filter(block => block.track !== audioTrack.number)
+            .map(block => ({ time: block.timecode, part: blob.slice(block.start, block.end) }));
+
+        while (next < encoded.length) {
+            const time = Math.round((encoded[next].timestamp * 1000) / timecodeScale);
+            if (!last && time >= clusters[i + 1].timecode) break;
+
+            const relative = time - cluster.timecode;
+            if (relative < -0x8000 || relative > 0x7FFF) {
+                throw new Error('Re-encoded audio is too far from its cluster');
+            }
+            blocks.push({ time: relative, part: buildAudioBlock(audioTrack.number, relative, encoded[next].data) });
+            next++;
+        }
+        if (blocks.length === 0) continue;
+
+        blocks.sort((a, b) => a.time - b.time);
+        const payload = [uintElement(ID.TIMECODE, cluster.timecode), ...blocks.map(block => block.part)];
+        const dataSize = payload.reduce((sum, part) => sum + (part.size ?? part.length), 0);
+        const header = concatBytes(clusterId, encodeSize(dataSize, 8));
+
+        clusterParts.push(header, ...payload);
+        segmentSize += header.length + dataSize;
+    }
+
+    return new Blob([
+        blob.slice(0, parsed.ebmlEnd),
+        concatBytes(encodeId(ID.SEGMENT), encodeSize(segmentSize, 8)),
+        blob.slice(parsed.info.start, parsed.info.end),
+        blob.slice(parsed.tracks.start, parsed.tracks.end),
+        ...parsed.others.map(el => blob.slice(el.start, el.end)),
+        ...clusterParts
+    ], { type: blob.type || 'video/webm' });
+}
+
+// Read an element header from bytes in memory (null if more bytes are needed)
+function readHeaderBytes(bytes, pos) {
+    if (pos >= bytes.length) return null;
+
+    const idLength = vintLength(bytes[pos]);
+    if (!idLength || idLength > 4) throw new Error('Invalid WebM element');
+    if (pos + idLength >= bytes.length) return null;
+
+    const sizeLength = vintLength(bytes[pos + idLength]);
+    if (!sizeLength) throw new Error('Invalid WebM element size');
+    if (pos + idLength + sizeLength > bytes.length) return null;
+
+    const id = readUint(bytes.subarray(pos, pos + idLength));
+    const marker = 0x80 >> (sizeLength - 1);
+    let size = bytes[pos + idLength] & (marker - 1);
+    let unknown = size === marker - 1;
+    for (let i = 1; i < sizeLength; i++) {
+        const byte = bytes[pos + idLength + i];
+        size = size * 256 + byte;
+        unknown = unknown && byte === 0xFF;
+    }
+
+    return { id, headerLength: idLength + sizeLength, size: unknown ? null : size };
+}
+
+// Find the video track number in the bytes of a Tracks element (null if there's no video)
+function findVideoTrack(bytes) {
+    let pos = 0;
+    while (pos < bytes.length) {
+        const entry = readHeaderBytes(bytes, pos);
+        if (!entry || entry.size === null) break;
+        const entryStart = pos + entry.headerLength;
+        const entryEnd = entryStart + entry.size;
+
+        if (entry.id === ID.TRACK_ENTRY) {
+            let number = 0;
+            let type = 0;
+            let childPos = entryStart;
+            while (childPos < entryEnd) {
+                const child = readHeaderBytes(bytes, childPos);
+                if (!child || child.size === null) break;
+                const data = bytes.subarray(childPos + child.headerLength, childPos + child.headerLength + child.size);
+                if (child.id === ID.TRACK_NUMBER) number = readUint(data);
+                if (child.id === ID.TRACK_TYPE) type = readUint(data);
+                childPos += child.headerLength + child.size;
+            }
+            if (type === TRACK_TYPE_VIDEO) return number;
+        }
+        pos = entryEnd;
+    }
+    return null;
+}
+
+// Follow a live WebM stream as it arrives. After each push(), `headerEnd` is the offset of
+// the first Cluster (everything before it is the file header) and `clusters` lists every
+// Cluster seen so far as { start, timecode, keyframe }. A cluster is a keyframe cluster if its
+// first video block is a keyframe (any cluster, for audio-only streams), so playback can start there.
+export function createClusterScanner() {
+    let pending = new Uint8Array(0); // Unparsed bytes, starting at pendingStart
+    let pendingStart = 0;
+    let skip = 0; // Bytes of element data still to pass over
+    let level = 'top'; // top, segment or cluster
+    let videoTrack = null;
+    let current = null;
+
+    const scanner = {
+        headerEnd: null,
+        clusters: [],
+
+        push(bytes) {
+            const joined = new Uint8Array(pending.length + bytes.length);
+            joined.set(pending);
+            joined.set(bytes, pending.length);
+
+            let pos = 0;
+            while (true) {
+                if (skip > 0) {
+                    const step = Math.min(skip, joined.length - pos);
+                    skip -= step;
+                    pos += step;
+                    if (skip > 0) break;
+                }
+
+                const header = readHeaderBytes(joined, pos);
+                if (!header) break;
+                const dataStart = pos + header.headerLength;
+                const dataEnd = header.size === null ? null : dataStart + header.size;
+
+                // An unknown-size cluster ends where the next top-level element starts
+                if (level === 'cluster' && !CLUSTER_CHILDREN.has(header.id)) {
+                    level = 'segment';
+                    current = null;
+                }
+
+                if (level === 'top') {
+                    if (header.id === ID.SEGMENT) {
+                        level = 'segment';
+                        pos = dataStart;
+                    } else if (header.id === ID.EBML && header.size !== null) {
+                        pos = dataStart;
+                        skip = header.size;
+                    } else {
+                        throw new Error('Not a WebM stream');
+                    }
+                    continue;
+                }
+
+                if (level === 'segment') {
+                    if (header.id === ID.CLUSTER) {
+                        const start = pendingStart + pos;
+                        if (scanner.headerEnd === null) scanner.headerEnd = start;
+                        current = { start, timecode: null, keyframe: false, blockSeen: false };
+                        scanner.clusters.push(current);
+                        level = 'cluster';
+                        pos = dataStart;
+                    } else if (header.id === ID.TRACKS && dataEnd !== null) {
+                        if (dataEnd > joined.length) break;
+                        videoTrack = findVideoTrack(joined.subarray(dataStart, dataEnd));
+                        pos = dataEnd;
+                    } else {
+                        pos = dataStart;
+                        skip = header.size || 0;
+                    }
+                    continue;
+                }
+
+                // Inside a cluster: read its timecode and whether it opens on a keyframe
+                if (header.id === ID.TIMECODE) {
+                    if (dataEnd > joined.length) break;
+                    current.timecode = readUint(joined.subarray(dataStart, dataEnd));
+                    pos = dataEnd;
+                    continue;
+                }
+                if (header.id === ID.SIMPLE_BLOCK && !current.blockSeen) {
+                    const trackLength = vintLength(joined[dataStart]);
+                    if (dataStart + trackLength + 3 > joined.length) break;
+
+                    let track = joined[dataStart] & ((0x80 >> (trackLength - 1)) - 1);
+                    for (let i = 1; i < trackLength; i++) {
+                        track = track * 256 + joined[dataStart + i];
+                    }
+                    if (videoTrack === null || track === videoTrack) {
+                        current.keyframe = (joined[dataStart + trackLength + 2] & 0x80) !== 0;
+                        current.blockSeen = true;
+                    }
+                }
+                pos = dataStart;
+                skip = header.size || 0;
+            }
+
+            pending = joined.slice(pos);
+            pendingStart += pos;
+        }
+    };
+
+    return scanner;
+}